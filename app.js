@@ -2,6 +2,9 @@
 class WikiApp {
     constructor() {
         this.storage = new WikiStorage();
+        this.storage.onOutboxChange = () => this.updateStorageIndicator();
+        this.storage.onArticleConflict = (key) => this.handleArticleConflict(key);
+        this.storage.onSyncRejected = (op, error) => this.handleSyncRejected(op, error);
         this.articles = {};
         this.currentArticleKey = null;
         this.selectedText = '';
@@ -13,6 +16,7 @@ class WikiApp {
         this.collectionEditMode = false; // Track collection edit mode
         this.selectedCollectionItems = new Set(); // Track selected items for deletion
         this.selectedCollections = new Set(); // Track selected collections (albums) for deletion
+        this.annotateMode = false; // Show which revision last changed each paragraph
         this.init();
     }
 
@@ -61,16 +65,23 @@ class WikiApp {
             this.quill = new Quill('#article-content-editor', {
                 theme: 'snow',
                 modules: {
-                    toolbar: [
-                        [{ 'header': [1, 2, 3, false] }],
-                        ['bold', 'italic', 'underline'],
-                        ['link', 'blockquote'],
-                        [{ 'list': 'ordered'}, { 'list': 'bullet' }],
-                        ['clean']
-                    ]
+                    toolbar: {
+                        container: [
+                            [{ 'header': [1, 2, 3, false] }],
+                            ['bold', 'italic', 'underline'],
+                            ['link', 'blockquote'],
+                            [{ 'list': 'ordered'}, { 'list': 'bullet' }],
+                            ['clean'],
+                            ['source']
+                        ],
+                        handlers: {
+                            source: () => this.toggleSourceMode()
+                        }
+                    }
                 },
                 placeholder: 'Write your article here. Use the toolbar above to format text.'
             });
+            this.applyEditorMode();
         } catch (error) {
             console.error('Quill error:', error);
         }
@@ -218,7 +229,16 @@ class WikiApp {
                 this.navigate(route);
             }
         });
-        
+
+        // Article and section buttons carry their key in data attributes, never in inline script
+        document.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-article-action]');
+            if (control) {
+                e.preventDefault();
+                this.runArticleAction(control.dataset);
+            }
+        });
+
         // Track drag events to prevent navigation
         document.addEventListener('dragstart', () => {
             this.wasDragged = true;
@@ -287,11 +307,24 @@ class WikiApp {
         if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteArticle());
         const viewHistoryBtn = document.getElementById('view-history');
         if (viewHistoryBtn) viewHistoryBtn.addEventListener('click', () => this.viewHistory());
+        const conflictSaveBtn = document.getElementById('conflict-save');
+        if (conflictSaveBtn) conflictSaveBtn.addEventListener('click', () => this.saveConflictResolution());
+        const conflictCancelBtn = document.getElementById('conflict-cancel');
+        if (conflictCancelBtn) conflictCancelBtn.addEventListener('click', () => this.closeConflictModal());
+        ['history-diff-from', 'history-diff-to'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.addEventListener('change', () => this.renderHistoryDiff());
+        });
+        document.querySelectorAll('.history-diff-mode').forEach(btn => {
+            btn.addEventListener('click', () => this.setHistoryDiffMode(btn.dataset.mode));
+        });
         
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 if (e.target.closest('#history-modal')) {
                     this.closeHistoryModal();
+                } else if (e.target.closest('#conflict-modal')) {
+                    this.closeConflictModal();
                 } else if (e.target.closest('#import-json-modal')) {
                     this.closeImportModal();
                 } else if (e.target.closest('#bluesky-modal')) {
@@ -319,6 +352,8 @@ class WikiApp {
                 const modalId = modal.id;
                 if (modalId === 'history-modal') {
                     this.closeHistoryModal();
+                } else if (modalId === 'conflict-modal') {
+                    this.closeConflictModal();
                 } else if (modalId === 'import-json-modal') {
                     this.closeImportModal();
                 } else if (modalId === 'bluesky-modal') {
@@ -625,7 +660,7 @@ class WikiApp {
                     // If a result is selected, navigate to it
                     else if (this.searchSelectedIndex >= 0 && this.searchSelectedIndex < this.searchResults.length) {
                         const selectedResult = this.searchResults[this.searchSelectedIndex];
-                        if (selectedResult.type === 'article') {
+                        if (selectedResult.type === 'article' || selectedResult.type === 'category') {
                             this.navigate(selectedResult.key);
                         } else if (selectedResult.type === 'collection') {
                             this.filterCollectionByAlbum(selectedResult.id);
@@ -635,12 +670,12 @@ class WikiApp {
                         searchInput.blur();
                         searchResults.style.display = 'none';
                         this.searchSelectedIndex = -1;
-                    } else {
-                        // Otherwise just trigger search
-                        this.handleSearch(e.target.value);
-                        if (e.target.value.trim()) {
-                            searchResults.style.display = 'block';
-                        }
+                    } else if (e.target.value.trim()) {
+                        // Otherwise open the full results page
+                        this.navigate(this.searchRoute(e.target.value));
+                        searchInput.blur();
+                        searchResults.style.display = 'none';
+                        this.searchSelectedIndex = -1;
                     }
                 } else if (e.key === 'ArrowDown' && isResultsVisible && totalSelectable > 0) {
                     e.preventDefault();
@@ -661,9 +696,9 @@ class WikiApp {
         if (searchButton) {
             searchButton.addEventListener('click', () => {
                 const query = searchInput ? searchInput.value : '';
-                this.handleSearch(query);
                 if (query.trim()) {
-                    document.getElementById('search-results').style.display = 'block';
+                    document.getElementById('search-results').style.display = 'none';
+                    this.navigate(this.searchRoute(query));
                 }
             });
         }
@@ -954,7 +989,7 @@ class WikiApp {
         const articleKey = this.currentArticleKey || 'main';
         const tocItems = toc.map(item => {
             const indent = item.level > 1 ? ` style="padding-left: ${(item.level - 1) * 1}em;"` : '';
-            return `<div class="toc-item toc-level-${item.level}"${indent}><a href="#${articleKey}#${item.id}" data-route="${articleKey}" data-section="${item.id}">${item.text}</a></div>`;
+            return `<div class="toc-item toc-level-${item.level}"${indent}><a href="${this._escapeMarkup(`#${articleKey}#${item.id}`)}" data-route="${this._escapeMarkup(articleKey)}" data-section="${this._escapeMarkup(item.id)}">${this.escapeHtml(item.text)}</a></div>`;
         }).join('');
         
         tocList.innerHTML = tocItems;
@@ -1304,6 +1339,20 @@ class WikiApp {
         } else if (articleKey.startsWith('profile:')) {
             const username = decodeURIComponent(articleKey.replace('profile:', ''));
             await this.showUserProfile(username);
+        } else if (articleKey === 'special' || articleKey.startsWith('special:')) {
+            await this.showSpecialPage(articleKey.slice('special:'.length));
+        } else if (articleKey.startsWith('search:')) {
+            const [, query, page] = articleKey.slice('search:'.length).match(/^(.*?)(?:\/(\d+))?$/s);
+            await this.showSearchPage(decodeURIComponent(query), page ? Number(page) : 1);
+        } else if (articleKey === 'graph' || articleKey.startsWith('graph:')) {
+            await this.showGraphPage(articleKey.startsWith('graph:') ? decodeURIComponent(articleKey.slice('graph:'.length)) : null);
+        } else if (articleKey === 'categories') {
+            await this.showCategoryList();
+        } else if (articleKey.startsWith('category:')) {
+            await this.showCategoryPage(decodeURIComponent(articleKey.slice('category:'.length)), sectionId);
+        } else if (articleKey.startsWith('wiki:')) {
+            const [handle, ...rest] = articleKey.slice('wiki:'.length).split('/');
+            await this.showRemoteWiki(decodeURIComponent(handle), rest.length ? decodeURIComponent(rest.join('/')) : null, sectionId);
         } else if (articleKey === 'main') {
             await this.showArticle('main', sectionId);
         } else {
@@ -1342,12 +1391,23 @@ class WikiApp {
         }
     }
 
-    async showArticle(key, sectionId = null) {
+    /** Show an article; aliases and #REDIRECT pages are followed unless followRedirects is false. */
+    async showArticle(key, sectionId = null, { followRedirects = true } = {}) {
         this.currentArticleKey = key;
         
         // Reload articles to ensure we have latest
         await this.loadArticles();
         
+        let redirect = null;
+        if (followRedirects) {
+            redirect = this.followRedirects(key);
+            if (redirect.key !== key) {
+                key = redirect.key;
+                this.currentArticleKey = key;
+                window.history.replaceState(null, '', `#${key}${sectionId ? `#${sectionId}` : ''}`);
+            }
+        }
+        
         const article = this.articles[key] || await this.storage.getArticle(key);
 
         const container = document.getElementById('article-container');
@@ -1375,13 +1435,7 @@ class WikiApp {
                 const webcomicHtml = this.renderWebcomicSection();
                 
                 // Get section order from storage or use default
-                // Get section order and migrate old 'archive' to 'collections'
-                let sectionOrder = this.storage.getSectionOrder();
-                if (sectionOrder && sectionOrder.includes('archive') && !sectionOrder.includes('collections')) {
-                    sectionOrder = sectionOrder.map(s => s === 'archive' ? 'collections' : s);
-                    this.storage.saveSectionOrder(sectionOrder);
-                }
-                sectionOrder = sectionOrder || ['welcome', 'articles', 'bookmarks', 'collections', 'habits', 'webcomic'];
+                const sectionOrder = this.storage.getSectionOrder() || ['welcome', 'articles', 'bookmarks', 'collections', 'habits', 'webcomic'];
                 
                 // Get random article preview for articles bento
                 const articleKeys = Object.keys(this.articles).filter(k => k !== 'main');
@@ -1406,12 +1460,6 @@ class WikiApp {
                 
                 // Get saved bento sizes early so we can use them
                 const bentoSizes = this.storage.getBentoSizes();
-                // Migrate old 'archive' key to 'collections' if it exists
-                if (bentoSizes['archive'] && !bentoSizes['collections']) {
-                    bentoSizes['collections'] = bentoSizes['archive'];
-                    delete bentoSizes['archive'];
-                    this.storage.saveBentoSize('collections', bentoSizes['collections']);
-                }
                 // Ensure collections section defaults to 3 columns and square if not set
                 if (!bentoSizes['collections']) {
                     bentoSizes['collections'] = { cols: 3, rows: 3 };
@@ -1547,6 +1595,20 @@ class WikiApp {
                             </div>
                             ${webcomicHtml}
                         </div>
+                    `,
+                    graph: `
+                        <div class="bento-card bento-graph bento-wide draggable-section" data-section="graph">
+                            <div class="bento-controls-wrapper">
+                                ${getControlsHTML('graph')}
+                            </div>
+                            <div class="bento-header">
+                                <h3><svg class="section-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="5" cy="6" r="2.5"/><circle cx="19" cy="6" r="2.5"/><circle cx="12" cy="18" r="2.5"/><path d="M7.5 6h9M6.3 8.2l4.4 7.6M17.7 8.2l-4.4 7.6"/></svg><a href="#graph" data-route="graph">Link Graph</a></h3>
+                            </div>
+                            <div class="link-graph link-graph-bento">
+                                <canvas></canvas>
+                                <p class="link-graph-summary"></p>
+                            </div>
+                        </div>
                     `
                 };
                 
@@ -2157,6 +2219,7 @@ class WikiApp {
                     { id: 'collections', name: 'Artboards', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>' },
                     { id: 'habits', name: 'Habits', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><path d="M22 4L12 14.01l-3-3"/></svg>' },
                     { id: 'webcomic', name: 'Webcomic', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M9 9h6v6H9z"/></svg>' },
+                    { id: 'graph', name: 'Link Graph', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="5" cy="6" r="2.5"/><circle cx="19" cy="6" r="2.5"/><circle cx="12" cy="18" r="2.5"/><path d="M7.5 6h9M6.3 8.2l4.4 7.6M17.7 8.2l-4.4 7.6"/></svg>' },
                     { id: 'media', name: 'Image/Video', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>' }
                 ];
                 
@@ -2260,6 +2323,7 @@ class WikiApp {
                 
                 // Setup webcomic event listeners
                 this.setupWebcomicListeners();
+                this.setupLinkGraphBentos(container);
                 document.title = 'Home Page - XoxoWiki';
                 // Hide TOC when showing main page
                 const tocContainer = document.getElementById('table-of-contents');
@@ -2338,9 +2402,9 @@ class WikiApp {
             
             container.innerHTML = `
                 <h1>Article Not Found</h1>
-                <p>The article "${key}" does not exist yet.</p>
+                <p>The article "${this.escapeHtml(key)}" does not exist yet.</p>
                 <p><a href="#articles" data-route="articles">View all articles</a> or <a href="#main" data-route="main">return to home page</a>.</p>
-                <p><button class="btn-primary" onclick="window.wikiApp.createArticleFromKey('${key}')">Create this article</button></p>
+                <p><button class="btn-primary" data-article-action="create" data-article-key="${this._escapeMarkup(key)}">Create this article</button></p>
             `;
             document.title = 'Article Not Found - XoxoWiki';
             return;
@@ -2349,7 +2413,9 @@ class WikiApp {
         // Update articles cache
         this.articles[key] = article;
 
-        const content = this.parseContent(article.content);
+        const content = this.annotateMode
+            ? await this.renderAnnotatedContent(key, article.content)
+            : this.parseContent(article.content);
         const isBookmarked = this.storage.isBookmarked(key);
         const bookmarkText = isBookmarked ? 'Unbookmark' : 'Bookmark';
         const isPinned = this.storage.getPinnedArticles().includes(key);
@@ -2374,38 +2440,55 @@ class WikiApp {
         // Only show visibility badge if private (public is default)
         const visibilityBadge = meta.isPublic ? '' : 
             '<span class="visibility-badge private">Private</span>';
-        const sourceBadge = meta.source ? 
-            `<div class="source-link">Source: <a href="${meta.source}" target="_blank">${new URL(meta.source).hostname}</a></div>` : '';
-        const remixBadge = meta.remixedFrom ? 
-            `<span class="remix-badge">Remixed from ${meta.remixedFrom}</span>` : '';
+        const sourceBadge = meta.source && this.isSafeUrl(meta.source) ? 
+            `<div class="source-link">Source: <a href="${this._escapeMarkup(meta.source)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(new URL(meta.source, location.href).hostname)}</a></div>` : '';
+        // Remixes made before sources were recorded only know the title
+        const forkSource = meta.remixedFrom && (meta.remixedFrom.uri || meta.remixedFrom.key) ? meta.remixedFrom : null;
+        const remixBadge = meta.remixedFrom && !forkSource ?
+            `<span class="remix-badge">Remixed from ${this.escapeHtml(meta.remixedFrom.title || '')}</span>` : '';
+        const forkBanner = this.renderForkBanner(key, forkSource);
+        const conflictBanner = this.renderConflictBanner(key);
+        const redirectNote = this.renderRedirectNote(redirect);
+        const keyAttr = `data-article-key="${this._escapeMarkup(key)}"`;
         
         container.innerHTML = `
             ${this.renderSectionNav()}
             <div class="article-header">
-                <h1>${article.title}<span class="section-actions"><a href="#${key}" class="section-copy-link" onclick="window.wikiApp.copyArticleLink('${key}'); return false;">[copy link]</a></span>${visibilityBadge}${remixBadge}</h1>
+                <h1>${this.escapeHtml(article.title)}<span class="section-actions"><a href="#${this._escapeMarkup(key)}" class="section-copy-link" data-article-action="copy-link" ${keyAttr}>[copy link]</a></span>${visibilityBadge}${remixBadge}</h1>
+                ${redirectNote}
                 ${sourceBadge}
+                ${forkBanner}
+                ${conflictBanner}
                 <div class="article-actions">
-                    <button class="article-bookmark-button ${isBookmarked ? 'active' : ''}" onclick="window.wikiApp.toggleBookmark('${key}')"><svg viewBox="0 0 24 24" fill="${isBookmarked ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>${bookmarkText}</button>
-                    <button class="article-remix-button" onclick="window.wikiApp.remixArticle('${key}')" title="Create your own copy of this article"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M7 16V4m0 0L3 8m4-4l4 4m6 4v12m0 0l4-4m-4 4l-4-4"/></svg>Remix</button>
-                    <button class="article-history-button" onclick="window.wikiApp.viewHistory('${key}')"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>History</button>
-                    <button class="btn-secondary article-edit-button" onclick="window.wikiApp.editArticle('${key}')" style="display: inline-flex; align-items: center;"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;margin-right:0.5em;"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>Edit</button>
+                    <button class="article-bookmark-button ${isBookmarked ? 'active' : ''}" data-article-action="bookmark" ${keyAttr}><svg viewBox="0 0 24 24" fill="${isBookmarked ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>${bookmarkText}</button>
+                    <button class="article-remix-button" data-article-action="remix" ${keyAttr} title="Create your own copy of this article"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M7 16V4m0 0L3 8m4-4l4 4m6 4v12m0 0l4-4m-4 4l-4-4"/></svg>Remix</button>
+                    <button class="article-history-button" data-article-action="history" ${keyAttr}><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>History</button>
+                    <button class="article-history-button" data-article-action="move" ${keyAttr} title="Rename this article; links to it are updated"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 12h14M13 6l6 6-6 6"/></svg>Move</button>
+                    <button class="article-history-button article-annotate-button ${this.annotateMode ? 'active' : ''}" data-article-action="annotate" ${keyAttr} title="Show which edit last changed each paragraph"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M4 6h10M4 12h10M4 18h10"/><circle cx="19" cy="6" r="1.5"/><circle cx="19" cy="12" r="1.5"/><circle cx="19" cy="18" r="1.5"/></svg>${this.annotateMode ? 'Hide annotations' : 'Annotate'}</button>
+                    <button class="btn-secondary article-edit-button" data-article-action="edit" ${keyAttr} style="display: inline-flex; align-items: center;"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;margin-right:0.5em;"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>Edit</button>
                 </div>
             </div>
             ${content}
+            ${this.renderTemplateUsers(key)}
+            ${this.renderCategoryBar(key)}
             ${backlinksHtml}
             ${remixesHtml}
+            <div id="article-proposals"></div>
             <div class="article-comments-section">
                 <h2>Discussion${topLevelComments.length > 0 ? ` <span class="comment-count">(${topLevelComments.length} ${topLevelComments.length === 1 ? 'comment' : 'comments'})</span>` : ''}</h2>
                 <div class="comment-form">
                     <textarea id="new-comment-text" placeholder="Add a comment..." rows="3"></textarea>
-                    <button class="btn-primary" onclick="window.wikiApp.addComment('${key}')" style="margin-top: 0.5em;">Post Comment</button>
+                    <button class="btn-primary" data-article-action="comment" ${keyAttr} style="margin-top: 0.5em;">Post Comment</button>
                 </div>
-                <div id="comments-list-${key}" class="comments-list">
+                <div id="comments-list-${this._escapeMarkup(key)}" class="comments-list">
                     ${commentsHtml}
                 </div>
             </div>
         `;
         
+        this.checkForkUpstream(key, forkSource);
+        this.loadArticleProposals(key);
+        
         // Update TOC after DOM is ready
         setTimeout(() => {
             const toc = this.generateTableOfContents(content);
@@ -2450,20 +2533,44 @@ class WikiApp {
         // Note: Moved bento handling is now done in the main page rendering section above
         // This keeps it in one place and ensures it runs after all setup is complete
         
-        // Scroll to section if specified
-        if (sectionId) {
-            setTimeout(() => {
-                const sectionElement = document.getElementById(sectionId);
-                if (sectionElement) {
-                    this.scrollToElement(sectionElement, 'center');
-                    // Highlight the section briefly
-                    sectionElement.style.backgroundColor = '#fff3cd';
-                    setTimeout(() => {
-                        sectionElement.style.backgroundColor = '';
-                    }, 2000);
-                }
-            }, 100);
-        }
+        this.highlightSection(sectionId);
+    }
+
+    /** Scroll to a section of the article just rendered and highlight it briefly. */
+    highlightSection(sectionId) {
+        if (!sectionId) return;
+        setTimeout(() => {
+            const sectionElement = document.getElementById(sectionId);
+            if (sectionElement) {
+                this.scrollToElement(sectionElement, 'center');
+                sectionElement.style.backgroundColor = '#fff3cd';
+                setTimeout(() => {
+                    sectionElement.style.backgroundColor = '';
+                }, 2000);
+            }
+        }, 100);
+    }
+
+    /** Run what a [data-article-action] control asks for, on the article its data attributes name. */
+    runArticleAction({ articleAction, articleKey, sectionId, revision, proposalId }) {
+        const actions = {
+            'copy-link': () => sectionId ? this.copySectionLink(articleKey, sectionId) : this.copyArticleLink(articleKey),
+            'edit-section': () => this.editArticleAtSection(articleKey, sectionId),
+            edit: () => this.editArticle(articleKey),
+            bookmark: () => this.toggleBookmark(articleKey),
+            remix: () => this.remixArticle(articleKey),
+            history: () => this.viewHistory(articleKey),
+            move: () => this.moveArticle(articleKey),
+            annotate: () => this.toggleAnnotateMode(articleKey),
+            'show-revision': () => this.showRevisionInHistory(articleKey, Number(revision)),
+            comment: () => this.addComment(articleKey),
+            create: () => this.createArticleFromKey(articleKey),
+            'show-redirect': () => this.showArticle(articleKey, null, { followRedirects: false }),
+            'resolve-conflict': () => this.showConflictModal(articleKey),
+            propose: () => this.proposeMerge(articleKey),
+            'withdraw-proposal': () => this.withdrawProposal(articleKey, proposalId)
+        };
+        if (Object.hasOwn(actions, articleAction)) actions[articleAction]();
     }
 
     async showArticleList() {
@@ -2692,20 +2799,8 @@ class WikiApp {
         // Hide the technical "Article Key" field for simplicity
         document.getElementById('article-key-group').style.display = 'none';
         
-        // Set content in Quill editor
-        if (this.quill) {
-            if (this.selectedText) {
-                this.quill.root.innerHTML = this.selectedText;
-            } else {
-                this.quill.setText('');
-            }
-        } else {
-            // Fallback to textarea
-            const fallbackTextarea = document.getElementById('article-content-fallback');
-            if (fallbackTextarea) {
-                fallbackTextarea.value = this.selectedText || '';
-            }
-        }
+        // Start from the selected text, if any (it is plain text, not markup)
+        this.setEditorContent(this.selectedText ? this._escapeMarkupText(this.selectedText) : '');
         
         document.getElementById('delete-article').style.display = 'none';
         document.getElementById('view-history').style.display = 'none';
@@ -2753,13 +2848,19 @@ class WikiApp {
         if (history.length === 0) {
             container.innerHTML = '<p>No edit history available for this article.</p>';
         } else {
-            const historyItems = history.map((entry, index) => {
+            // History holds the superseded versions; list the live text above them. Articles read from the
+            // PDS may carry no updatedAt, so the newest revision's time stands in
+            const article = this.articles[articleKey];
+            const entries = article
+                ? [{ title: article.title, content: article.content || '', timestamp: article.updatedAt || history[0].timestamp, isCurrent: true }, ...history]
+                : history;
+            const historyItems = entries.map(entry => {
                 const date = new Date(entry.timestamp);
                 const dateStr = date.toLocaleString();
-                const isCurrent = index === 0;
+                const isCurrent = !!entry.isCurrent;
                 
                 return `
-                    <div class="history-entry ${isCurrent ? 'current' : ''}">
+                    <div class="history-entry ${isCurrent ? 'current' : ''}" data-timestamp="${entry.timestamp}">
                         <div class="history-header">
                             <span class="history-date">${dateStr}</span>
                             ${isCurrent ? '<span class="history-badge">Current</span>' : ''}
@@ -2768,6 +2869,7 @@ class WikiApp {
                             <strong>${entry.title}</strong>
                             <p>${entry.content.substring(0, 200)}${entry.content.length > 200 ? '...' : ''}</p>
                         </div>
+                        ${!isCurrent ? `<button class="btn-secondary btn-sm" onclick="window.wikiApp.compareRevisions(${entry.timestamp})">Compare with current</button>` : ''}
                         ${!isCurrent ? `<button class="btn-secondary btn-sm" onclick="window.wikiApp.restoreVersion('${articleKey}', ${entry.timestamp})">Restore this version</button>` : ''}
                     </div>
                 `;
@@ -2775,6 +2877,7 @@ class WikiApp {
 
             container.innerHTML = historyItems;
         }
+        this.setupHistoryCompare(articleKey, history);
 
         const historyModal = document.getElementById('history-modal');
         historyModal.style.display = 'flex';
@@ -2810,6 +2913,433 @@ class WikiApp {
         document.getElementById('history-modal').style.display = 'none';
     }
 
+    // ===== HISTORY DIFF =====
+    static DIFF_CONTEXT_LINES = 3;
+
+    /** Fill the compare pickers for an article's history and show the most recent change */
+    setupHistoryCompare(articleKey, history) {
+        const compare = document.getElementById('history-compare');
+        const diffContainer = document.getElementById('history-diff');
+        const fromSelect = document.getElementById('history-diff-from');
+        const toSelect = document.getElementById('history-diff-to');
+        if (!compare || !diffContainer || !fromSelect || !toSelect) return;
+
+        const previous = this.historyState && this.historyState.key === articleKey ? this.historyState : null;
+        this.historyState = { key: articleKey, history, mode: this.historyState ? this.historyState.mode : 'split', hunks: [] };
+
+        if (history.length === 0) {
+            compare.style.display = 'none';
+            diffContainer.innerHTML = '';
+            return;
+        }
+
+        const options = history.map(entry =>
+            `<option value="${entry.timestamp}">${new Date(entry.timestamp).toLocaleString()} - ${this.escapeHtml(entry.title)}</option>`
+        ).join('');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = `<option value="current">Current text</option>${options}`;
+
+        const keep = (select, value) => Array.from(select.options).some(o => o.value === value) ? value : null;
+        fromSelect.value = (previous && keep(fromSelect, previous.from)) || String(history[0].timestamp);
+        toSelect.value = (previous && keep(toSelect, previous.to)) || 'current';
+        compare.style.display = 'flex';
+        this.renderHistoryDiff();
+    }
+
+    /** Show the diff between a revision and another revision (or the current text) */
+    compareRevisions(fromTimestamp, toTimestamp = 'current') {
+        const fromSelect = document.getElementById('history-diff-from');
+        const toSelect = document.getElementById('history-diff-to');
+        if (!fromSelect || !toSelect) return;
+        fromSelect.value = String(fromTimestamp);
+        toSelect.value = String(toTimestamp);
+        this.renderHistoryDiff();
+        document.getElementById('history-diff').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    setHistoryDiffMode(mode) {
+        if (!this.historyState) return;
+        this.historyState.mode = mode;
+        document.querySelectorAll('.history-diff-mode').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        this.renderHistoryDiff();
+    }
+
+    _historyRevisionText(value) {
+        const { key, history } = this.historyState;
+        if (value === 'current') {
+            const article = this.articles[key];
+            return article ? article.content || '' : '';
+        }
+        const entry = history.find(h => String(h.timestamp) === String(value));
+        return entry ? entry.content || '' : '';
+    }
+
+    /**
+     * Group a line diff into hunks: runs of changes with DIFF_CONTEXT_LINES of unchanged lines
+     * around them. Rows are { type: 'equal' | 'delete' | 'insert', text, oldNo, newNo }; oldStart,
+     * oldCount, newStart and newCount give the 0-based line span each hunk covers on either side,
+     * and oldLines/newLines its text there.
+     */
+    buildDiffHunks(oldText, newText) {
+        const rows = [];
+        let oldNo = 0;
+        let newNo = 0;
+        this.storage.diffLines(oldText, newText).forEach(run => {
+            run.lines.forEach(text => {
+                rows.push({
+                    type: run.type,
+                    text,
+                    oldNo: run.type === 'insert' ? null : oldNo++,
+                    newNo: run.type === 'delete' ? null : newNo++
+                });
+            });
+        });
+
+        const context = WikiApp.DIFF_CONTEXT_LINES;
+        const hunks = [];
+        rows.forEach((row, index) => {
+            if (row.type === 'equal') return;
+            const start = Math.max(0, index - context);
+            const last = hunks[hunks.length - 1];
+            if (last && start <= last.end) {
+                last.end = Math.min(rows.length, index + context + 1);
+            } else {
+                hunks.push({ start, end: Math.min(rows.length, index + context + 1) });
+            }
+        });
+
+        return hunks.map(({ start, end }) => {
+            const hunkRows = rows.slice(start, end);
+            const oldRows = hunkRows.filter(row => row.type !== 'insert');
+            const newRows = hunkRows.filter(row => row.type !== 'delete');
+            // A pure insertion/deletion has no lines on one side; anchor it after the preceding line
+            const anchor = side => {
+                const before = rows.slice(0, start).reverse().find(row => row[side] !== null);
+                return before ? before[side] + 1 : 0;
+            };
+            return {
+                rows: hunkRows,
+                oldStart: oldRows.length ? oldRows[0].oldNo : anchor('oldNo'),
+                oldCount: oldRows.length,
+                newStart: newRows.length ? newRows[0].newNo : anchor('newNo'),
+                newCount: newRows.length,
+                oldLines: oldRows.map(row => row.text),
+                newLines: newRows.map(row => row.text)
+            };
+        });
+    }
+
+    renderHistoryDiff() {
+        const container = document.getElementById('history-diff');
+        const fromSelect = document.getElementById('history-diff-from');
+        const toSelect = document.getElementById('history-diff-to');
+        if (!container || !fromSelect || !toSelect || !this.historyState) return;
+
+        const state = this.historyState;
+        state.from = fromSelect.value;
+        state.to = toSelect.value;
+        state.hunks = this.buildDiffHunks(this._historyRevisionText(state.from), this._historyRevisionText(state.to));
+
+        if (state.hunks.length === 0) {
+            container.innerHTML = '<p class="history-diff-empty">No differences between these versions.</p>';
+            return;
+        }
+
+        // Restoring a hunk edits the article, so it only makes sense against the current text
+        const canRestore = state.to === 'current';
+        const lineRange = (start, count) => count === 0 ? `after line ${start}`
+            : count === 1 ? `line ${start + 1}` : `lines ${start + 1}-${start + count}`;
+        container.innerHTML = state.hunks.map((hunk, index) => `
+            <div class="diff-hunk">
+                <div class="diff-hunk-header">
+                    <span>${lineRange(hunk.oldStart, hunk.oldCount)} &rarr; ${lineRange(hunk.newStart, hunk.newCount)}</span>
+                    ${canRestore ? `<button class="btn-secondary btn-sm" onclick="window.wikiApp.restoreHunk(${index})">Restore this part</button>` : ''}
+                </div>
+                <table class="diff-table diff-${state.mode}">${state.mode === 'inline' ? this._renderInlineDiffRows(hunk.rows) : this._renderSplitDiffRows(hunk.rows)}</table>
+            </div>
+        `).join('');
+    }
+
+    /** Split hunk rows into unchanged rows and change blocks pairing deleted with inserted lines */
+    _diffBlocks(rows) {
+        const blocks = [];
+        rows.forEach(row => {
+            const last = blocks[blocks.length - 1];
+            if (row.type === 'equal') {
+                blocks.push({ equal: row });
+            } else if (last && !last.equal) {
+                last[row.type === 'delete' ? 'deleted' : 'inserted'].push(row);
+            } else {
+                blocks.push({ deleted: row.type === 'delete' ? [row] : [], inserted: row.type === 'insert' ? [row] : [] });
+            }
+        });
+        return blocks;
+    }
+
+    /** Word-level highlighting of one changed line: { old, new } HTML */
+    _diffWordsHtml(oldLine, newLine) {
+        const parts = this.storage.diffWords(oldLine, newLine);
+        const side = (skip, tag) => parts
+            .filter(part => part.type !== skip)
+            .map(part => part.type === 'equal' ? this.escapeHtml(part.text) : `<${tag}>${this.escapeHtml(part.text)}</${tag}>`)
+            .join('');
+        return { old: side('insert', 'del'), new: side('delete', 'ins') };
+    }
+
+    _renderSplitDiffRows(rows) {
+        const cell = (row, html, type) => row
+            ? `<td class="diff-num">${row[type === 'insert' ? 'newNo' : 'oldNo'] + 1}</td><td class="diff-line diff-${type}">${html}</td>`
+            : '<td class="diff-num"></td><td class="diff-line diff-empty"></td>';
+
+        return this._diffBlocks(rows).map(block => {
+            if (block.equal) {
+                const text = this.escapeHtml(block.equal.text);
+                return `<tr><td class="diff-num">${block.equal.oldNo + 1}</td><td class="diff-line">${text}</td><td class="diff-num">${block.equal.newNo + 1}</td><td class="diff-line">${text}</td></tr>`;
+            }
+            const count = Math.max(block.deleted.length, block.inserted.length);
+            let html = '';
+            for (let i = 0; i < count; i++) {
+                const oldRow = block.deleted[i];
+                const newRow = block.inserted[i];
+                const words = oldRow && newRow ? this._diffWordsHtml(oldRow.text, newRow.text) : null;
+                html += `<tr>${cell(oldRow, words ? words.old : oldRow && this.escapeHtml(oldRow.text), 'delete')}${cell(newRow, words ? words.new : newRow && this.escapeHtml(newRow.text), 'insert')}</tr>`;
+            }
+            return html;
+        }).join('');
+    }
+
+    _renderInlineDiffRows(rows) {
+        const line = (row, html, type) => {
+            const oldNo = row.oldNo === null ? '' : row.oldNo + 1;
+            const newNo = row.newNo === null ? '' : row.newNo + 1;
+            const sign = type === 'delete' ? '-' : type === 'insert' ? '+' : ' ';
+            return `<tr><td class="diff-num">${oldNo}</td><td class="diff-num">${newNo}</td><td class="diff-line diff-${type}"><span class="diff-sign">${sign}</span>${html}</td></tr>`;
+        };
+
+        return this._diffBlocks(rows).map(block => {
+            if (block.equal) return line(block.equal, this.escapeHtml(block.equal.text), 'equal');
+            const words = block.deleted.map((row, i) => block.inserted[i] ? this._diffWordsHtml(row.text, block.inserted[i].text) : null);
+            return block.deleted.map((row, i) => line(row, words[i] ? words[i].old : this.escapeHtml(row.text), 'delete')).join('') +
+                block.inserted.map((row, i) => line(row, words[i] ? words[i].new : this.escapeHtml(row.text), 'insert')).join('');
+        }).join('');
+    }
+
+    /** Put one hunk of the older revision back into the current text, as a new edit */
+    async restoreHunk(index) {
+        const state = this.historyState;
+        const hunk = state && state.hunks[index];
+        const article = state && this.articles[state.key];
+        if (!hunk || !article || state.to !== 'current') return;
+
+        const lines = (article.content || '').split('\n');
+        lines.splice(hunk.newStart, hunk.newCount, ...hunk.oldLines);
+
+        try {
+            await this.storage.saveArticle(state.key, article.title, lines.join('\n'));
+        } catch (error) {
+            console.error('Restore hunk error:', error);
+            alert('Error restoring this part: ' + error.message);
+            return;
+        }
+        await this.loadArticles();
+        this.showUpdateNotification('Part of the old version restored');
+        if (this.currentArticleKey === state.key) this.showArticle(state.key);
+        await this.viewHistory(state.key);
+    }
+
+    // ===== ANNOTATE (BLAME) =====
+    toggleAnnotateMode(key) {
+        this.annotateMode = !this.annotateMode;
+        this.showArticle(key);
+    }
+
+    /** Article HTML with a note beside each block naming the revision that last changed it */
+    async renderAnnotatedContent(key, content) {
+        const blame = await this.storage.blameArticle(key);
+        const ownHandle = this.storage.blueskyClient && this.storage.blueskyClient.handle;
+
+        return this.parseContent(content, { blockNote: block => {
+            const [start, end] = block.lines;
+            const owners = blame.lines.slice(start, end).filter(index => index !== undefined);
+            if (owners.length === 0) return '<div class="blame-note"></div>';
+
+            const revision = blame.revisions[Math.max(...owners)];
+            const date = new Date(revision.timestamp);
+            const who = revision.author ? (revision.author === ownHandle ? 'you' : `@${this.escapeHtml(revision.author)}`) : '';
+            return `<div class="blame-note"><a href="#" data-article-action="show-revision" data-article-key="${this._escapeMarkup(key)}" data-revision="${revision.timestamp}" title="${date.toLocaleString()}">${date.toLocaleDateString()}</a>${who ? `<span class="blame-author">${who}</span>` : ''}</div>`;
+        } });
+    }
+
+    /** Open the history modal on the change a revision made (against the revision before it) */
+    async showRevisionInHistory(key, timestamp) {
+        await this.viewHistory(key);
+        const history = this.historyState ? this.historyState.history : [];
+        const index = history.findIndex(entry => entry.timestamp === timestamp);
+        const to = index === -1 ? 'current' : timestamp;
+        // History is newest first, so the revision before this one comes after it
+        const before = index === -1 ? history[0] : history[index + 1];
+        if (before) this.compareRevisions(before.timestamp, to);
+
+        const entry = document.querySelector(`#history-list .history-entry[data-timestamp="${timestamp}"]`);
+        if (entry) {
+            document.querySelectorAll('#history-list .history-entry.highlighted').forEach(el => el.classList.remove('highlighted'));
+            entry.classList.add('highlighted');
+        }
+    }
+
+    // ===== EDIT CONFLICTS =====
+    handleArticleConflict(key) {
+        const conflict = this.storage.getArticleConflict(key);
+        if (!conflict) return;
+        this.showUpdateNotification(`"${conflict.title}" was also edited on another device - open it to resolve the conflict`);
+        if (this.currentArticleKey === key) this.showArticle(key);
+    }
+
+    /** A queued write the lexicon check rejected; it was dropped, so say so rather than fail silently */
+    handleSyncRejected(op, error) {
+        const labels = { article: 'article', revision: 'revision', comment: 'comment', proposal: 'proposal', artboardItem: 'artboard item', album: 'album', selfRecord: 'settings', webcomicPages: 'webcomic pages', webcomicProgress: 'webcomic progress' };
+        const what = op.payload && (op.payload.title || op.payload.name);
+        this.showUpdateNotification(`Couldn't sync ${labels[op.kind] || op.kind}${what ? ` "${what}"` : ''} to Bluesky: ${error.field || 'record'} is invalid. It is still saved on this device.`);
+    }
+
+    renderConflictBanner(key) {
+        const conflict = this.storage.getArticleConflict(key);
+        if (!conflict) return '';
+        const count = conflict.hunks.filter(h => h.type === 'conflict').length;
+        return `
+            <div class="conflict-banner">
+                This article was also changed on another device and ${count} ${count === 1 ? 'change' : 'changes'} could not be merged automatically. It won't sync until resolved.
+                <button class="btn-primary btn-sm" data-article-action="resolve-conflict" data-article-key="${this._escapeMarkup(key)}">Resolve conflict</button>
+            </div>
+        `;
+    }
+
+    showConflictModal(key) {
+        const conflict = this.storage.getArticleConflict(key);
+        const modal = document.getElementById('conflict-modal');
+        const body = document.getElementById('conflict-modal-body');
+        if (!conflict || !modal || !body) return;
+        this.conflictState = { key, hunks: conflict.hunks };
+
+        const lines = (list) => this.escapeHtml(list.join('\n')) || '<em>(nothing)</em>';
+        body.innerHTML = `
+            <p class="conflict-intro">Pick a version for each conflicting change, then review the merged text below.</p>
+            ${conflict.hunks.map((hunk, index) => {
+                if (hunk.type === 'ok') {
+                    const context = hunk.lines.length > 4 ? [...hunk.lines.slice(0, 2), '…', ...hunk.lines.slice(-2)] : hunk.lines;
+                    return `<pre class="conflict-context">${this.escapeHtml(context.join('\n'))}</pre>`;
+                }
+                return `
+                    <div class="conflict-hunk">
+                        <div class="conflict-sides">
+                            <div class="conflict-side conflict-mine">
+                                <label><input type="radio" name="conflict-hunk-${index}" value="mine" checked> Your version</label>
+                                <pre>${lines(hunk.mine)}</pre>
+                            </div>
+                            <div class="conflict-side conflict-theirs">
+                                <label><input type="radio" name="conflict-hunk-${index}" value="theirs"> Other device</label>
+                                <pre>${lines(hunk.theirs)}</pre>
+                            </div>
+                        </div>
+                        <label class="conflict-both"><input type="radio" name="conflict-hunk-${index}" value="both"> Keep both (yours first)</label>
+                    </div>
+                `;
+            }).join('')}
+            <label for="conflict-result"><strong>Merged text</strong></label>
+            <textarea id="conflict-result" class="conflict-result" rows="12"></textarea>
+        `;
+        body.querySelectorAll('.conflict-hunk input[type="radio"]').forEach(input => {
+            input.addEventListener('change', () => this.updateConflictResult());
+        });
+        this.updateConflictResult();
+        modal.style.display = 'flex';
+    }
+
+    /** Rebuild the merged text from the per-hunk choices. */
+    updateConflictResult() {
+        const textarea = document.getElementById('conflict-result');
+        if (!textarea || !this.conflictState) return;
+        const merged = this.conflictState.hunks.flatMap((hunk, index) => {
+            if (hunk.type === 'ok') return hunk.lines;
+            const choice = document.querySelector(`input[name="conflict-hunk-${index}"]:checked`)?.value || 'mine';
+            if (choice === 'theirs') return hunk.theirs;
+            if (choice === 'both') return [...hunk.mine, ...hunk.theirs];
+            return hunk.mine;
+        });
+        textarea.value = merged.join('\n');
+    }
+
+    async saveConflictResolution() {
+        if (!this.conflictState) return;
+        const { key } = this.conflictState;
+        const content = document.getElementById('conflict-result')?.value || '';
+        if (!content.trim()) {
+            alert('The merged text is empty.');
+            return;
+        }
+        await this.storage.resolveArticleConflict(key, content);
+        this.closeConflictModal();
+        await this.loadArticles();
+        await this.showArticle(key);
+        this.showUpdateNotification('Conflict resolved');
+    }
+
+    closeConflictModal() {
+        const modal = document.getElementById('conflict-modal');
+        if (modal) modal.style.display = 'none';
+        this.conflictState = null;
+    }
+
+    // ===== MOVE (RENAME) =====
+    /** Give an article a new title and key; links to it are rewritten and the old key redirects. */
+    async moveArticle(key) {
+        const article = this.articles[key];
+        if (!article) return;
+        const input = prompt('Move this article to a new title:', article.title);
+        if (input === null || !input.trim()) return;
+        // Templates and category pages stay in their namespace, whether or not the new title repeats it
+        const namespace = (key.match(/^(template|category):/) || [])[1] || null;
+        const name = namespace ? input.trim().replace(new RegExp(`^${namespace}\\s*:\\s*`, 'i'), '') : input.trim();
+        const newTitle = namespace ? `${namespace.charAt(0).toUpperCase()}${namespace.slice(1)}:${name}` : name;
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const newKey = slug && namespace ? `${namespace}:${slug}` : slug;
+        if (!newKey) {
+            alert('The new title needs at least one letter or number.');
+            return;
+        }
+
+        let rewritten = 0;
+        try {
+            if (newKey === key) {
+                // Same key: only the title changes
+                await this.storage.saveArticle(key, newTitle, article.content);
+            } else {
+                await this.storage.moveArticle(key, newKey, newTitle);
+                // Keep the link text readable where the new title still leads to the new key
+                const target = this.wikiLinkKey(newTitle) === newKey ? newTitle : newKey;
+                for (const [otherKey, other] of Object.entries(this.storage.articles)) {
+                    if (otherKey === key) continue;
+                    const content = this.rewriteWikiLinks(other.content || '', key, target);
+                    if (content === other.content) continue;
+                    await this.storage.saveArticle(otherKey, other.title, content);
+                    rewritten++;
+                }
+            }
+        } catch (error) {
+            console.error('Move article error:', error);
+            alert('Error moving article: ' + error.message);
+            return;
+        }
+
+        await this.loadArticles();
+        this.updateBookmarksDisplay();
+        this.updateRecentArticlesDisplay();
+        this.showUpdateNotification(newKey === key ? 'Article renamed'
+            : `Article moved${rewritten ? `; links updated in ${rewritten} ${rewritten === 1 ? 'article' : 'articles'}` : ''}`);
+        window.location.hash = `#${newKey}`;
+        await this.showArticle(newKey);
+    }
+
     editArticle(key, sectionId = null) {
         const article = this.articles[key];
         if (!article) return;
@@ -2824,50 +3354,25 @@ class WikiApp {
         // Show modal first
         document.getElementById('article-modal').style.display = 'flex';
         
-        // Set content in Quill editor - use setTimeout to ensure modal is visible
+        // Set content in the editor - use setTimeout to ensure modal is visible
         setTimeout(() => {
-            if (this.quill) {
-                try {
-                    // Get raw content
-                    const content = article.content || '';
-                    
-                    // Convert to HTML
-                    const htmlContent = this.convertToHTML(content);
-                    
-                    // Clear editor completely
-                    const length = this.quill.getLength();
-                    this.quill.deleteText(0, length);
-                    
-                    // Get the editor element and set HTML directly
-                    const editorElement = document.querySelector('#article-content-editor .ql-editor');
-                    if (editorElement) {
-                        editorElement.innerHTML = htmlContent;
-                    } else {
-                        // Fallback to root
-                        this.quill.root.innerHTML = htmlContent;
-                    }
-                    
-                    // If sectionId is provided, scroll to that section in the editor
-                    if (sectionId) {
-                        setTimeout(() => {
-                            this.scrollToSectionInEditor(sectionId);
-                        }, 300);
-                    }
-                } catch (error) {
-                    console.error('Error loading content into editor:', error);
-                    alert('Error loading article content: ' + error.message);
-                }
-            } else {
-                // Fallback to textarea
-                const fallbackTextarea = document.getElementById('article-content-fallback');
-                if (fallbackTextarea) {
-                    fallbackTextarea.value = article.content;
-                    if (sectionId) {
-                        setTimeout(() => {
-                            this.scrollToSectionInTextarea(fallbackTextarea, sectionId);
-                        }, 300);
-                    }
-                }
+            try {
+                this.setEditorContent(article.content || '');
+            } catch (error) {
+                console.error('Error loading content into editor:', error);
+                alert('Error loading article content: ' + error.message);
+                return;
+            }
+
+            // If sectionId is provided, scroll to that section in the editor
+            if (sectionId) {
+                const textarea = this.isSourceMode() || !this.quill
+                    ? document.getElementById(this.quill ? 'article-content' : 'article-content-fallback')
+                    : null;
+                setTimeout(() => {
+                    if (textarea) this.scrollToSectionInTextarea(textarea, sectionId);
+                    else this.scrollToSectionInEditor(sectionId);
+                }, 300);
             }
         }, 100);
         
@@ -2876,6 +3381,7 @@ class WikiApp {
         
         // Load metadata
         const meta = this.storage.getArticleMeta(key);
+        document.getElementById('article-aliases').value = (meta.aliases || []).join(', ');
         
         this.currentArticleKey = key;
     }
@@ -2888,7 +3394,9 @@ class WikiApp {
         if (!this.quill) return;
         
         const editor = this.quill.root;
-        const heading = editor.querySelector(`h1#${sectionId}, h2#${sectionId}, h3#${sectionId}`);
+        // Quill drops heading ids, so match headings by the id their text would get
+        const heading = Array.from(editor.querySelectorAll('h1, h2, h3'))
+            .find(h => this.generateSectionId(h.textContent) === sectionId);
         
         if (heading) {
             // Scroll the heading into view
@@ -2975,7 +3483,7 @@ class WikiApp {
         document.getElementById('article-title').value = key.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
         document.getElementById('article-key').value = key;
         document.getElementById('article-key').disabled = false;
-        this.quill.setText('');
+        this.setEditorContent('');
         document.getElementById('delete-article').style.display = 'none';
         document.getElementById('view-history').style.display = 'none';
         document.getElementById('article-modal').style.display = 'flex';
@@ -2997,16 +3505,8 @@ class WikiApp {
             const key = this.currentArticleKey || keyInput.value.trim() || 
                        title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
             
-            // Get content from Quill editor and convert to markdown-like format
-            let content = '';
-            if (this.quill) {
-                const htmlContent = this.quill.root.innerHTML;
-                content = this.convertFromHTML(htmlContent);
-            } else {
-                // Fallback to textarea if Quill isn't available
-                const fallbackTextarea = document.getElementById('article-content-fallback');
-                content = fallbackTextarea ? fallbackTextarea.value : '';
-            }
+            // Get content from the editor as markup
+            const content = this.getEditorContent();
 
             if (!title) {
                 alert('Please enter a title.');
@@ -3020,24 +3520,21 @@ class WikiApp {
 
             console.log('Saving article:', key, title);
             
-            // Save to localStorage and PDS (if connected)
-            try {
-                await this.storage.saveArticle(key, title, content);
-            } catch (err) {
-                console.error('Save error:', err);
-                if (this.storage.storageMode === 'bluesky') {
-                    this.showUpdateNotification('Saved locally; could not sync to Bluesky: ' + (err.message || 'Unknown error'));
-                } else {
-                    throw err;
-                }
-                // Article was saved locally; Bluesky sync failed
+            // Save locally; the PDS write is queued and retried until it goes through
+            await this.storage.saveArticle(key, title, content);
+            if (this.storage.storageMode === 'bluesky' && this.storage.getPendingSyncOps('article').some(op => op.key === key)) {
+                this.showUpdateNotification('Saved locally; will sync to Bluesky when the connection is back');
             }
             this.articles[key] = { title, content };
             
             // Save metadata
+            const aliases = (document.getElementById('article-aliases')?.value || '')
+                .split(',').map(alias => alias.trim()).filter((alias, i, all) => alias && all.indexOf(alias) === i);
             this.storage.saveArticleMeta(key, {
-                isPublic: true  // Articles are public by default
+                isPublic: true,  // Articles are public by default
+                aliases
             });
+            this.updateSearchIndex(key, { title, content });
             
             // Log activity
             this.storage.logActivity('article', { key, title });
@@ -3057,6 +3554,12 @@ class WikiApp {
             // Show the published article without reloading (keeps user logged in)
             window.location.hash = `#${key}`;
             await this.showArticle(key);
+
+            // Pages render templates from their current text, so every page using this one has the edit
+            const templateUsers = this.getArticleIndex().templateUsers[key] || [];
+            if (templateUsers.length) {
+                this.showUpdateNotification(`Template updated on ${templateUsers.length} ${templateUsers.length === 1 ? 'page' : 'pages'}`);
+            }
         } catch (error) {
             console.error('Error in saveArticle:', error);
             alert('Error saving article: ' + error.message);
@@ -3111,6 +3614,7 @@ class WikiApp {
             
             // Remove from local cache
             delete this.articles[deletedKey];
+            this.updateSearchIndex(deletedKey, null);
             
             // Remove from bookmarks if bookmarked
             if (this.storage.isBookmarked(deletedKey)) {
@@ -3147,6 +3651,7 @@ class WikiApp {
     closeModal() {
         document.getElementById('article-modal').style.display = 'none';
         document.getElementById('article-key').disabled = false;
+        document.getElementById('article-aliases').value = '';
     }
 
     openBlueskyModal() {
@@ -3359,7 +3864,7 @@ class WikiApp {
         }
     }
 
-    clearBrowserStorage() {
+    async clearBrowserStorage() {
         if (!confirm('Are you sure you want to clear ALL browser storage? This will delete:\n\n• All articles\n• All artboards/albums\n• All archive items\n• All bookmarks\n• All habits\n• All drafts\n• All settings\n\nThis cannot be undone!')) {
             return;
         }
@@ -3383,7 +3888,11 @@ class WikiApp {
             'xoxowiki-pinned',
             'xoxowiki-activity',
             'xoxowiki-meta',
+            'xoxowiki-proposals',
+            'xoxowiki-proposal-status',
             'xoxowiki-rss',
+            'xoxowiki-outbox',
+            'xoxowiki-schema-versions',
             'articles-json-cache'
         ];
         
@@ -3399,6 +3908,9 @@ class WikiApp {
         
         keysToRemove.forEach(key => localStorage.removeItem(key));
         
+        // Articles, history, comments, archive, habits and drafts live in IndexedDB
+        await this.storage.clearLocalDatabase();
+        
         // Reload the page to reset the app
         alert('Browser storage cleared! The page will reload.');
         window.location.reload();
@@ -3544,9 +4056,13 @@ class WikiApp {
         const viewPdsBtn = document.getElementById('view-pds-data');
         const menuRssFeed = document.getElementById('menu-rss-feed');
         const headerBlueskyBtn = document.getElementById('header-bluesky-btn');
+        if (!indicator) return;
+        const pending = this.storage.getPendingSyncCount();
+        const pendingText = pending > 0 ? ` (${pending} pending${navigator.onLine === false ? ', offline' : ''})` : '';
+        indicator.title = pending > 0 ? `${pending} change(s) waiting to sync to your PDS` : '';
 
         if (this.storage.storageMode === 'bluesky') {
-            indicator.textContent = 'Sync Status: Bluesky';
+            indicator.textContent = `Sync Status: Bluesky${pendingText}`;
             indicator.className = 'storage-mode-bluesky';
             if (menuConnectBtn) menuConnectBtn.style.display = 'none';
             if (menuDisconnectBtn) menuDisconnectBtn.style.display = 'flex';
@@ -3559,7 +4075,7 @@ class WikiApp {
                 headerBlueskyBtn.setAttribute('aria-label', 'Bluesky connected');
             }
         } else {
-            indicator.textContent = 'Sync Status: Local Only';
+            indicator.textContent = `Sync Status: Local Only${pendingText}`;
             indicator.className = 'storage-mode-local';
             if (menuConnectBtn) menuConnectBtn.style.display = 'flex';
             if (menuDisconnectBtn) menuDisconnectBtn.style.display = 'none';
@@ -3664,178 +4180,1293 @@ class WikiApp {
         }, 3000);
     }
 
-    // Convert HTML from Quill to markdown-like format for storage
-    convertFromHTML(html) {
-        // Create a temporary div to parse HTML
-        const temp = document.createElement('div');
-        temp.innerHTML = html;
-
-        // Convert headers
-        temp.querySelectorAll('h1').forEach(h => {
-            h.outerHTML = `# ${h.textContent}\n\n`;
-        });
-        temp.querySelectorAll('h2').forEach(h => {
-            h.outerHTML = `## ${h.textContent}\n\n`;
-        });
-        temp.querySelectorAll('h3').forEach(h => {
-            h.outerHTML = `### ${h.textContent}\n\n`;
+    // ===== MARKUP PARSER =====
+    // Articles are written in CommonMark-style Markdown plus the wiki dialect: [[Target]] and
+    // [[Target|label]] links, MediaWiki '''bold''' / ''italic'' and ++underline++. parseMarkup() turns the source
+    // into a small AST and renderMarkup() turns that into HTML, so the article view and the editor
+    // share one grammar. Raw HTML in the source is escaped, never passed through.
+    //
+    //   parseMarkup('- a\n  - b')  -> list > item(paragraph "a", list > item(paragraph "b"))
+    //   parseMarkup("''x'' **y**") -> paragraph(em "x", text " ", strong "y")
+
+    static MARKUP_FENCE = /^( {0,3})(`{3,}|~{3,})(?![^`]*`)[ \t]*([^`\s]*)[^`]*$/;
+    static MARKUP_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+    static MARKUP_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+    static MARKUP_QUOTE = /^ {0,3}> ?(.*)$/;
+    static MARKUP_LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:( +)(.*))?$/;
+    // Quotes and lists nested deeper than this are read as text, so the parser's recursion stays bounded
+    static MARKUP_MAX_NESTING = 64;
+    static MARKUP_REDIRECT = /^\s*#REDIRECT\s*\[\[([^\]|\n]+)(?:\|[^\]\n]*)?\]\]/i;
+    static MAX_REDIRECTS = 5;
+
+    /** Normalize a wiki link target to the article key it points at */
+    wikiLinkKey(target) {
+        return target.trim().toLowerCase().replace(/\s+/g, '-');
+    }
+
+    /** Article a link target leads to, without its #section or the ':' of [[:Category:X]]; '' for a link within the page */
+    linkTargetKey(target) {
+        return this.wikiLinkKey(String(target).replace(/^\s*:/, '').split('#')[0]);
+    }
+
+    /** Category name of a [[Category:Name]] tag's target, or null ([[:Category:Name]] is a plain link) */
+    categoryTagName(target) {
+        const match = String(target).match(/^\s*category\s*:\s*(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Remove [[Category:...]] tags from a markup AST and return their names. Paragraphs left with
+     * nothing but whitespace are dropped, so tags on their own lines leave no gap.
+     */
+    _takeCategories(ast) {
+        const names = [];
+        const isBlank = node => node.type === 'softbreak' || node.type === 'break' || (node.type === 'text' && !node.value.trim());
+        const takeInline = nodes => {
+            const kept = [];
+            let removed = false;
+            nodes.forEach(node => {
+                const name = node.type === 'wikilink' ? this.categoryTagName(node.target) : null;
+                if (name) {
+                    names.push(name);
+                    removed = true;
+                    while (kept.length && kept[kept.length - 1].type === 'text' && !kept[kept.length - 1].value.trim()) kept.pop();
+                    return;
+                }
+                // Don't leave an empty line where a tag was
+                if (removed && isBlank(node) && (kept.length === 0 || isBlank(kept[kept.length - 1]))) return;
+                removed = false;
+                if (node.type === 'wikilink' && node.target.startsWith(':') && node.children.length === 1 && node.children[0].value === node.target) {
+                    node.children = [{ type: 'text', value: node.target.slice(1) }];
+                }
+                if (node.children) node.children = takeInline(node.children);
+                kept.push(node);
+            });
+            while (kept.length && isBlank(kept[kept.length - 1])) kept.pop();
+            return kept;
+        };
+        const takeBlocks = blocks => blocks.filter(block => {
+            if (block.type === 'paragraph' || block.type === 'heading') {
+                const before = block.children.length;
+                block.children = takeInline(block.children);
+                return block.type === 'heading' || block.children.length > 0 || before === 0;
+            }
+            if (block.type === 'list') block.items.forEach(item => { item.children = takeBlocks(item.children); });
+            if (block.type === 'blockquote') block.children = takeBlocks(block.children);
+            return true;
         });
+        ast.children = takeBlocks(ast.children);
+        return names;
+    }
 
-        // Convert links - check for wiki links (format: / article-name)
-        temp.querySelectorAll('a').forEach(a => {
-            const href = a.getAttribute('href');
-            if (href && href.startsWith('/ ')) {
-                const articleName = href.substring(2);
-                a.outerHTML = `[[${articleName}${a.textContent !== articleName ? '|' + a.textContent : ''}]]`;
-            } else if (href) {
-                a.outerHTML = `[${a.textContent}](${href})`;
-            }
-        });
+    /** Key a #REDIRECT [[Target]] page points at, or null for an ordinary article */
+    redirectTarget(content) {
+        const match = String(content || '').match(WikiApp.MARKUP_REDIRECT);
+        return match ? this.wikiLinkKey(match[1]) : null;
+    }
 
-        // Convert formatting
-        temp.querySelectorAll('strong, b').forEach(el => {
-            el.outerHTML = `**${el.textContent}**`;
-        });
-        temp.querySelectorAll('em, i').forEach(el => {
-            el.outerHTML = `*${el.textContent}*`;
-        });
-        temp.querySelectorAll('code').forEach(el => {
-            if (el.parentElement.tagName === 'PRE') {
-                el.outerHTML = `\`\`\`\n${el.textContent}\n\`\`\``;
-            } else {
-                el.outerHTML = `\`${el.textContent}\``;
-            }
-        });
-        temp.querySelectorAll('blockquote').forEach(el => {
-            el.outerHTML = `> ${el.textContent}\n\n`;
-        });
+    /**
+     * Lookups worked out from every article's name and meta, kept until this.articles is reloaded or
+     * forgetArticleNames() is called after an article or its meta changes in place
+     */
+    _articleNames() {
+        if (!this._articleNamesCache || this._articleNamesCache.articles !== this.articles) {
+            this._articleNamesCache = { articles: this.articles, aliasIndex: null, otherNames: null };
+        }
+        return this._articleNamesCache;
+    }
 
-        // Convert lists
-        temp.querySelectorAll('ul li, ol li').forEach(li => {
-            li.outerHTML = `- ${li.textContent}\n`;
-        });
+    forgetArticleNames() {
+        this._articleNamesCache = null;
+    }
 
-        // Convert paragraphs
-        temp.querySelectorAll('p').forEach(p => {
-            if (p.textContent.trim()) {
-                p.outerHTML = `${p.textContent}\n\n`;
+    /** Other names of articles, from their meta aliases: { aliasKey: articleKey }. Real articles win over aliases. */
+    buildAliasIndex() {
+        const cache = this._articleNames();
+        if (cache.aliasIndex) return cache.aliasIndex;
+        const index = {};
+        const meta = this.storage.getAllArticleMeta();
+        for (const key of Object.keys(this.articles)) {
+            ((meta[key] && meta[key].aliases) || []).forEach(alias => {
+                const aliasKey = this.wikiLinkKey(alias);
+                if (aliasKey && !this.articles[aliasKey] && !index[aliasKey]) index[aliasKey] = key;
+            });
+        }
+        cache.aliasIndex = index;
+        return index;
+    }
+
+    /** The article a key refers to: itself if it exists, otherwise the article that has it as an alias */
+    resolveArticleKey(key, aliasIndex = this.buildAliasIndex()) {
+        return this.articles[key] ? key : (aliasIndex[key] || key);
+    }
+
+    /** Whether a link to key leads somewhere: an article, an alias of one, or a category with pages */
+    linkTargetExists(key, aliasIndex = this.buildAliasIndex()) {
+        if (this.articles[key] || aliasIndex[key]) return true;
+        return key.startsWith('category:') && !!this.getArticleIndex().categories[key.slice('category:'.length)];
+    }
+
+    /**
+     * Follow aliases and #REDIRECT pages from key: { key, from, loop }. `from` is the requested key when
+     * we ended up elsewhere. A loop, or a chain longer than MAX_REDIRECTS, stops at the last page reached;
+     * a redirect to a missing article stops at the redirect page itself.
+     */
+    followRedirects(key, aliasIndex = this.buildAliasIndex()) {
+        let current = this.resolveArticleKey(key, aliasIndex);
+        const seen = [key, current];
+        let loop = false;
+        while (this.articles[current]) {
+            const target = this.redirectTarget(this.articles[current].content);
+            if (!target) break;
+            const next = this.resolveArticleKey(target, aliasIndex);
+            if (!this.articles[next]) break;
+            if (seen.includes(next) || seen.length > WikiApp.MAX_REDIRECTS) {
+                loop = true;
+                break;
             }
-        });
-
-        return temp.textContent.trim();
+            seen.push(next);
+            current = next;
+        }
+        return { key: current, from: current === key ? null : key, loop };
     }
 
-    // Convert markdown-like content to HTML for Quill editor
-    convertToHTML(content) {
-        let html = content;
-
-        // Headers
-        html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-        html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-        html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
-
-        // Links - [[Article Name]] or [[Article Name|Display Text]]
-        html = html.replace(/\[\[([^\]]+)\]\]/g, (match, linkText) => {
-            const parts = linkText.split('|');
-            const articleName = parts[0].trim().toLowerCase().replace(/\s+/g, '-');
-            const displayText = parts[1] ? parts[1].trim() : parts[0].trim();
-            return `<a href="#${articleName}" data-route="${articleName}">${displayText}</a>`;
-        });
+    /** "(Redirected from X)" under the title; X opens the redirect page itself, so it can be edited */
+    renderRedirectNote(redirect) {
+        if (!redirect || (!redirect.from && !redirect.loop)) return '';
+        const from = redirect.from && this.articles[redirect.from]
+            ? `<a href="#${this._escapeMarkup(redirect.from)}" data-article-action="show-redirect" data-article-key="${this._escapeMarkup(redirect.from)}">${this.escapeHtml(this.articles[redirect.from].title)}</a>`
+            : this.escapeHtml(redirect.from || '');
+        return `
+            <div class="redirect-note">
+                ${redirect.from ? `(Redirected from ${from})` : ''}
+                ${redirect.loop ? '<span class="redirect-loop">The redirects from here form a loop or a chain too long to follow; showing the last page reached.</span>' : ''}
+            </div>
+        `;
+    }
 
-        // External links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
+    /**
+     * Point every [[link]] to oldKey at newTarget, keeping labels, #sections and a leading ':'. For a
+     * template key, {{calls}} to it are renamed as well. Code is left alone.
+     */
+    rewriteWikiLinks(content, oldKey, newTarget) {
+        const templateName = oldKey.startsWith('template:') ? newTarget.replace(/^\s*template\s*:\s*/i, '') : null;
+        let fence = null;
+        return String(content || '').split('\n').map(line => {
+            if (fence) {
+                const closing = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) fence = null;
+                return line;
+            }
+            const opening = line.match(WikiApp.MARKUP_FENCE);
+            if (opening) {
+                fence = opening[2];
+                return line;
+            }
+            // Code spans, [[links]] and the name part of {{calls}} (not {{{parameters}}})
+            return line.replace(/(`+)[^`]*?\1|\[\[((?:[^\]\\]|\\.|\](?!\]))*)\]\]|(?<!\{)\{\{(?!\{)([^{}|\n]*)(?=\||\}\})/g, (match, ticks, inner, call) => {
+                if (ticks) return match;
+                if (call !== undefined) {
+                    return templateName && call.trim() && this.templateKey(call) === oldKey ? `{{${templateName}` : match;
+                }
+                const pipe = inner.indexOf('|');
+                const target = pipe === -1 ? inner : inner.slice(0, pipe);
+                if (!target.trim() || this.linkTargetKey(target) !== oldKey) return match;
+                const colon = /^\s*:/.test(target) ? ':' : '';
+                const section = target.includes('#') ? target.slice(target.indexOf('#')) : '';
+                return `[[${colon}${newTarget}${section}${pipe === -1 ? '' : inner.slice(pipe)}]]`;
+            });
+        }).join('\n');
+    }
 
-        // Bold
-        html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/'''([^']+)'''/g, '<strong>$1</strong>');
+    /** Parse article markup into a block-level AST: { type: 'document', children } */
+    parseMarkup(source) {
+        const lines = String(source || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .split('\n');
+        return { type: 'document', children: this._parseBlocks(lines) };
+    }
 
-        // Italic
-        html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-        html = html.replace(/''([^']+)''/g, '<em>$1</em>');
+    /** Parse lines into block nodes; each node's `lines` is its [start, end) span within `lines` */
+    _parseBlocks(lines, depth = 0) {
+        const nested = depth < WikiApp.MARKUP_MAX_NESTING;
+        const blocks = [];
+        let i = 0;
 
-        // Code
-        html = html.replace(/```([^`]+)```/g, '<pre><code>$1</code></pre>');
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+        while (i < lines.length) {
+            const line = lines[i];
 
-        // Blockquote
-        html = html.replace(/^> (.*$)/gim, '<blockquote>$1</blockquote>');
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
 
-        // Lists
-        html = html.replace(/^- (.*$)/gim, '<li>$1</li>');
-        html = html.replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
+            const start = i;
+            const fence = line.match(WikiApp.MARKUP_FENCE);
+            const heading = line.match(WikiApp.MARKUP_HEADING);
 
-        // Line breaks
-        html = html.replace(/\n\n/g, '</p><p>');
-        html = html.replace(/\n/g, '<br>');
+            if (fence) {
+                const [, indent, marker, lang] = fence;
+                const body = [];
+                i++;
+                while (i < lines.length) {
+                    const closing = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                    if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length) break;
+                    body.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+                    i++;
+                }
+                i = Math.min(i + 1, lines.length); // Skip the closing fence (or run off the end of an unclosed one)
+                blocks.push({ type: 'code_block', lang, text: body.join('\n') });
+            } else if (heading) {
+                // Closing #s are dropped here rather than in MARKUP_HEADING, where they made long runs of spaces slow
+                const text = (heading[2] || '').replace(/(^|[^ \t])[ \t]*(?:[ \t]#+[ \t]*)?$/, '$1');
+                blocks.push({ type: 'heading', level: heading[1].length, children: this._parseInline(text) });
+                i++;
+            } else if (WikiApp.MARKUP_RULE.test(line)) {
+                blocks.push({ type: 'thematic_break' });
+                i++;
+            } else if (nested && WikiApp.MARKUP_QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length) {
+                    const match = lines[i].match(WikiApp.MARKUP_QUOTE);
+                    if (!match) break;
+                    quoted.push(match[1]);
+                    i++;
+                }
+                blocks.push({ type: 'blockquote', children: this._parseBlocks(quoted, depth + 1) });
+            } else if (nested && this._listMarker(line)) {
+                const { node, next } = this._parseList(lines, i, depth);
+                blocks.push(node);
+                i = next;
+            } else {
+                // Paragraph: runs until a blank line or the start of another block
+                const paragraph = [line.trim()];
+                i++;
+                while (i < lines.length && lines[i].trim() && !this._interruptsParagraph(lines[i])) {
+                    paragraph.push(lines[i].replace(/^ +/, ''));
+                    i++;
+                }
+                blocks.push({ type: 'paragraph', children: this._parseInline(paragraph.join('\n').trimEnd()) });
+            }
 
-        if (!html.startsWith('<')) {
-            html = '<p>' + html + '</p>';
+            blocks[blocks.length - 1].lines = [start, i];
         }
 
-        html = html.replace(/<p><\/p>/g, '');
-        html = html.replace(/<p>(<h[1-6])/g, '$1');
-        html = html.replace(/(<\/h[1-6]>)<\/p>/g, '$1');
-
-        return html;
+        return blocks;
     }
 
-    parseContent(content) {
-        let html = content;
+    /** Match a list item line: { indent, marker, ordered, contentIndent, content } or null */
+    _listMarker(line) {
+        const match = line.match(WikiApp.MARKUP_LIST_ITEM);
+        if (!match) return null;
+        const [, indent, marker, spacing = '', content = ''] = match;
+        // Five or more spaces after the marker mean the text is indented code in CommonMark;
+        // we treat it as ordinary content but only count one space toward the item's indent.
+        const gap = spacing.length > 4 || !content ? 1 : spacing.length;
+        return {
+            indent: indent.length,
+            marker,
+            ordered: /\d/.test(marker),
+            contentIndent: indent.length + marker.length + gap,
+            content: spacing.length > 4 ? spacing.slice(gap) + content : content
+        };
+    }
 
-        // Headers
-        html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-        html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-        html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
+    _interruptsParagraph(line) {
+        if (WikiApp.MARKUP_FENCE.test(line) || WikiApp.MARKUP_HEADING.test(line) ||
+            WikiApp.MARKUP_RULE.test(line) || WikiApp.MARKUP_QUOTE.test(line)) {
+            return true;
+        }
+        // As in CommonMark, only bullets and lists starting at 1 may interrupt a paragraph,
+        // so a sentence that happens to begin "1999. " stays prose.
+        const item = this._listMarker(line);
+        return !!item && item.content !== '' && (!item.ordered || parseInt(item.marker, 10) === 1);
+    }
 
-        // Links - [[Article Name]] or [[Article Name|Display Text]]
-        html = html.replace(/\[\[([^\]]+)\]\]/g, (match, linkText) => {
-            const parts = linkText.split('|');
-            const articleName = parts[0].trim().toLowerCase().replace(/\s+/g, '-');
-            const displayText = parts[1] ? parts[1].trim() : parts[0].trim();
-            // Check if article exists
-            const exists = this.articles[articleName] ? 'article-exists' : 'article-missing';
-            return `<a href="#${articleName}" data-route="${articleName}" class="wiki-link ${exists}">${displayText}</a>`;
-        });
+    _sameListType(a, b) {
+        if (a.ordered !== b.ordered) return false;
+        return a.ordered ? a.marker.slice(-1) === b.marker.slice(-1) : a.marker === b.marker;
+    }
 
-        // External links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+    _parseList(lines, start, depth = 0) {
+        const first = this._listMarker(lines[start]);
+        const node = {
+            type: 'list',
+            ordered: first.ordered,
+            start: first.ordered ? parseInt(first.marker, 10) : null,
+            tight: true,
+            items: []
+        };
+        let i = start;
+
+        while (i < lines.length) {
+            const item = this._listMarker(lines[i]);
+            if (!item || item.indent !== first.indent || !this._sameListType(item, first)) break;
+
+            const itemLines = [item.content];
+            let sawBlank = false;
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                const indent = line.length - line.replace(/^ +/, '').length;
+
+                if (!line.trim()) {
+                    // A blank line stays in the item only if indented content follows it
+                    let j = i + 1;
+                    while (j < lines.length && !lines[j].trim()) j++;
+                    const nextIndent = j < lines.length ? lines[j].length - lines[j].replace(/^ +/, '').length : 0;
+                    if (j >= lines.length || nextIndent < item.contentIndent) break;
+                    itemLines.push('');
+                    sawBlank = true;
+                    i++;
+                    continue;
+                }
+
+                if (indent >= item.contentIndent) {
+                    if (sawBlank) node.tight = false;
+                    itemLines.push(line.slice(item.contentIndent));
+                } else if (indent > item.indent && this._listMarker(line)) {
+                    // Be lenient about sublists that are indented less than CommonMark asks for
+                    itemLines.push(line.slice(indent));
+                } else if (!sawBlank && !this._listMarker(line) && !this._interruptsParagraph(line) && itemLines[itemLines.length - 1].trim()) {
+                    itemLines.push(line.trim()); // Lazy continuation of the item's paragraph
+                } else {
+                    break;
+                }
+                i++;
+            }
 
-        // Bold
-        html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/'''([^']+)'''/g, '<strong>$1</strong>');
+            node.items.push({ type: 'list_item', children: this._parseBlocks(itemLines, depth + 1) });
+
+            // A blank line between two items makes the whole list loose
+            if (i < lines.length && !lines[i].trim()) {
+                let j = i;
+                while (j < lines.length && !lines[j].trim()) j++;
+                const nextItem = j < lines.length ? this._listMarker(lines[j]) : null;
+                if (!nextItem || nextItem.indent !== first.indent || !this._sameListType(nextItem, first)) break;
+                node.tight = false;
+                i = j;
+            }
+        }
+
+        return { node, next: i };
+    }
+
+    /** Parse inline markup into nodes: text, code, em, strong, link, image, wikilink, break, softbreak */
+    _parseInline(text) {
+        const nodes = [];
+        let buffer = '';
+        const flush = () => {
+            if (buffer) nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        };
+        // Looked up once and reused by every opener before them, so a line full of unmatched
+        // [[ or [ stays linear: the next unescaped ]] and line end, and each [ matched to its ]
+        let wikiClose = null;
+        let lineEnd = null;
+        let brackets = null;
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+            const next = text[i + 1];
+
+            if (ch === '\\' && next === '\n') {
+                flush();
+                nodes.push({ type: 'break' });
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\\' && next && /[!-\/:-@[-`{-~]/.test(next)) {
+                buffer += next;
+                i += 2;
+                continue;
+            }
+
+            if (ch === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                const close = this._findBacktickRun(text, i + run.length, run.length);
+                if (close !== -1) {
+                    flush();
+                    let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                    if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+                    nodes.push({ type: 'code', value: code });
+                    i = close + run.length;
+                } else {
+                    buffer += run;
+                    i += run.length;
+                }
+                continue;
+            }
 
-        // Italic
-        html = html.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-        html = html.replace(/''([^']+)''/g, '<em>$1</em>');
+            if (ch === '[' && next === '[') {
+                if (wikiClose !== -1 && (wikiClose === null || wikiClose < i + 2)) {
+                    wikiClose = text.indexOf(']]', i + 2);
+                    while (wikiClose !== -1 && text[wikiClose - 1] === '\\') wikiClose = text.indexOf(']]', wikiClose + 1);
+                }
+                if (lineEnd !== -1 && (lineEnd === null || lineEnd < i)) lineEnd = text.indexOf('\n', i);
+                const close = wikiClose;
+                // Links don't span lines
+                const inner = close === -1 || (lineEnd !== -1 && lineEnd < close) ? '' : text.slice(i + 2, close);
+                const pipe = inner.indexOf('|');
+                const target = (pipe === -1 ? inner : inner.slice(0, pipe)).trim();
+                if (target) {
+                    flush();
+                    const label = pipe === -1 ? null : inner.slice(pipe + 1).trim();
+                    nodes.push({
+                        type: 'wikilink',
+                        target,
+                        children: label ? this._parseInline(label) : [{ type: 'text', value: target }]
+                    });
+                    i = close + 2;
+                    continue;
+                }
+            }
 
-        // Code
-        html = html.replace(/```([^`]+)```/g, '<pre><code>$1</code></pre>');
-        html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+            if (ch === '[' || (ch === '!' && next === '[')) {
+                const link = this._parseLinkAt(text, i, brackets || (brackets = this._matchBrackets(text)));
+                if (link) {
+                    flush();
+                    nodes.push(link.node);
+                    i = link.end;
+                    continue;
+                }
+            }
 
-        // Line breaks
-        html = html.replace(/\n\n/g, '</p><p>');
-        html = html.replace(/\n/g, '<br>');
+            if (ch === '<') {
+                const autolink = text.slice(i).match(/^<((?:https?|mailto):[^\s<>]*)>/i);
+                if (autolink) {
+                    flush();
+                    nodes.push({ type: 'link', href: autolink[1], title: null, children: [{ type: 'text', value: autolink[1] }] });
+                    i += autolink[0].length;
+                    continue;
+                }
+            }
 
-        if (!html.startsWith('<')) {
-            html = '<p>' + html + '</p>';
+            if (ch === '*' || ch === '_' || ch === "'" || ch === '+') {
+                const run = text.slice(i).match(/^(.)\1*/)[0];
+                // A lone apostrophe is punctuation ("don't") and a lone plus is just a plus;
+                // two or more are MediaWiki quotes or ++underline++
+                if (ch === '*' || ch === '_' || run.length >= 2) {
+                    flush();
+                    nodes.push(this._delimiterRun(ch, run.length, text[i - 1], text[i + run.length]));
+                } else {
+                    buffer += run;
+                }
+                i += run.length;
+                continue;
+            }
+
+            if (ch === '\n') {
+                const hard = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '');
+                flush();
+                nodes.push({ type: hard ? 'break' : 'softbreak' });
+                i++;
+                continue;
+            }
+
+            buffer += ch;
+            i++;
+        }
+
+        flush();
+        return this._processEmphasis(nodes);
+    }
+
+    _findBacktickRun(text, from, length) {
+        const pattern = /`+/g;
+        pattern.lastIndex = from;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === length) return match.index;
         }
+        return -1;
+    }
+
+    /** Map each [ in text to its matching ], skipping backslash escapes; unmatched ones are left out */
+    _matchBrackets(text) {
+        const matches = new Map();
+        const open = [];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\') i++;
+            else if (text[i] === '[') open.push(i);
+            else if (text[i] === ']' && open.length) matches.set(open.pop(), i);
+        }
+        return matches;
+    }
+
+    /** Parse [label](dest "title") or ![alt](src) starting at index; returns { node, end } or null */
+    _parseLinkAt(text, index, brackets = this._matchBrackets(text)) {
+        const isImage = text[index] === '!';
+        const i = brackets.get(index + (isImage ? 1 : 0));
+        if (i === undefined || text[i + 1] !== '(') return null;
+
+        const label = text.slice(index + (isImage ? 2 : 1), i);
+        const rest = text.slice(i + 2);
+        const dest = rest.match(/^[ \t]*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'))?[ \t]*\)/);
+        if (!dest) return null;
+
+        const href = (dest[1] !== undefined ? dest[1] : dest[2]).replace(/\\([!-\/:-@[-`{-~])/g, '$1');
+        const title = dest[3] ? dest[3].slice(1, -1).replace(/\\(.)/g, '$1') : null;
+        const children = this._parseInline(label);
+        const node = isImage
+            ? { type: 'image', src: href, title, alt: this.markupPlainText(children) }
+            : { type: 'link', href, title, children };
 
-        html = html.replace(/<p><\/p>/g, '');
-        html = html.replace(/<p>(<h[1-6])/g, '$1');
-        html = html.replace(/(<\/h[1-6]>)<\/p>/g, '$1');
+        return { node, end: i + 2 + dest[0].length };
+    }
+
+    /** Classify a run of *, _, ' or + using the CommonMark flanking rules */
+    _delimiterRun(char, count, before = ' ', after = ' ') {
+        const isSpace = c => /\s/.test(c);
+        const isPunct = c => /[!-\/:-@[-`{-~\u2000-\u206F\u2E00-\u2E7F]/.test(c);
+        const leftFlanking = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+        const rightFlanking = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+
+        let canOpen = leftFlanking;
+        let canClose = rightFlanking;
+        if (char === '_') {
+            // Underscores inside words (snake_case) never emphasize
+            canOpen = leftFlanking && (!rightFlanking || isPunct(before));
+            canClose = rightFlanking && (!leftFlanking || isPunct(after));
+        }
+        return { type: 'delimiter', char, count, length: count, canOpen, canClose };
+    }
+
+    /** Pair delimiter runs into em/strong/underline nodes (CommonMark "process emphasis", plus '', ''' and ++) */
+    _processEmphasis(nodes) {
+        let closerIndex = 0;
+
+        while (closerIndex < nodes.length) {
+            const closer = nodes[closerIndex];
+            if (closer.type !== 'delimiter' || !closer.canClose || closer.count === 0) {
+                closerIndex++;
+                continue;
+            }
+
+            let openerIndex = -1;
+            let use = 0;
+            for (let j = closerIndex - 1; j >= 0; j--) {
+                const opener = nodes[j];
+                if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+                if (closer.char === "'") {
+                    use = opener.count >= 3 && closer.count >= 3 ? 3 : opener.count >= 2 && closer.count >= 2 ? 2 : 0;
+                    if (!use) continue;
+                } else if (closer.char === '+') {
+                    use = opener.count >= 2 && closer.count >= 2 ? 2 : 0;
+                    if (!use) continue;
+                } else {
+                    // "Rule of 3": *foo**bar* must not pair the single and double runs
+                    const bothWays = opener.canClose || closer.canOpen;
+                    if (bothWays && (opener.length + closer.length) % 3 === 0 &&
+                        !(opener.length % 3 === 0 && closer.length % 3 === 0)) continue;
+                    use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+                }
+                openerIndex = j;
+                break;
+            }
 
-        // Add IDs and section buttons to headers
-        html = html.replace(/<h([1-3])>(.*?)<\/h\1>/g, (match, level, text) => {
-            // Extract text content (remove any existing HTML)
-            const textContent = text.replace(/<[^>]+>/g, '').trim();
-            const sectionId = this.generateSectionId(textContent);
-            const articleKey = this.currentArticleKey || 'main';
-            return `<h${level} id="${sectionId}">${text} <span class="section-actions"><a href="#${articleKey}#${sectionId}" class="section-copy-link" onclick="window.wikiApp.copySectionLink('${articleKey}', '${sectionId}'); return false;">[copy link]</a> <a href="#${articleKey}#${sectionId}" class="section-edit-link" onclick="window.wikiApp.editArticleAtSection('${articleKey}', '${sectionId}'); return false;">[edit]</a></span></h${level}>`;
+            if (openerIndex === -1) {
+                closerIndex++;
+                continue;
+            }
+
+            const opener = nodes[openerIndex];
+            const strong = closer.char === "'" ? use === 3 : use === 2;
+            const type = closer.char === '+' ? 'underline' : strong ? 'strong' : 'em';
+            // The delimiter character is kept so the editor can write emphasis back the same way
+            const wrapped = { type, delimiter: closer.char, children: this._finishInline(nodes.slice(openerIndex + 1, closerIndex)) };
+            nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1, wrapped);
+            opener.count -= use;
+            closer.count -= use;
+            closerIndex = openerIndex + 2;
+
+            if (opener.count === 0) {
+                nodes.splice(openerIndex, 1);
+                closerIndex--;
+            }
+            if (closer.count === 0) {
+                nodes.splice(closerIndex, 1);
+            }
+        }
+
+        return this._finishInline(nodes);
+    }
+
+    /** Turn unmatched delimiter runs back into text and merge adjacent text nodes */
+    _finishInline(nodes) {
+        const result = [];
+        nodes.forEach(node => {
+            if (node.type === 'delimiter') {
+                if (node.count === 0) return;
+                node = { type: 'text', value: node.char.repeat(node.count) };
+            }
+            const last = result[result.length - 1];
+            if (node.type === 'text' && last && last.type === 'text') {
+                last.value += node.value;
+            } else {
+                result.push(node);
+            }
         });
+        return result;
+    }
+
+    /** Flatten inline nodes to their visible text */
+    markupPlainText(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'code') return node.value;
+            if (node.type === 'image') return node.alt;
+            if (node.type === 'break' || node.type === 'softbreak') return ' ';
+            return node.children ? this.markupPlainText(node.children) : '';
+        }).join('');
+    }
+
+    _escapeMarkup(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Render a markup AST to HTML.
+     * options.wikiLink(node, key) returns the <a> attributes for a [[link]];
+     * options.heading(node, innerHtml) may replace the default <hN> rendering.
+     */
+    renderMarkup(ast, options = {}) {
+        return this._renderBlocks(ast.children, options, false);
+    }
+
+    _renderBlocks(blocks, options, tight) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'heading': {
+                    const inner = this._renderInline(block.children, options);
+                    if (options.heading) return options.heading(block, inner);
+                    return `<h${block.level}>${inner}</h${block.level}>`;
+                }
+                case 'paragraph': {
+                    const inner = this._renderInline(block.children, options);
+                    return tight ? inner : `<p>${inner}</p>`;
+                }
+                case 'list': {
+                    const tag = block.ordered ? 'ol' : 'ul';
+                    const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+                    const items = block.items
+                        .map(item => `<li>${this._renderBlocks(item.children, options, block.tight)}</li>`)
+                        .join('');
+                    return `<${tag}${start}>${items}</${tag}>`;
+                }
+                case 'blockquote':
+                    return `<blockquote>${this._renderBlocks(block.children, options, false)}</blockquote>`;
+                case 'code_block': {
+                    const lang = block.lang ? ` class="language-${this._escapeMarkup(block.lang)}"` : '';
+                    return `<pre><code${lang}>${this._escapeMarkup(block.text)}</code></pre>`;
+                }
+                case 'thematic_break':
+                    return '<hr>';
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    _renderInline(nodes, options) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return this._escapeMarkup(node.value);
+                case 'softbreak':
+                case 'break':
+                    // Single newlines have always rendered as line breaks in articles
+                    return '<br>';
+                case 'code':
+                    return `<code>${this._escapeMarkup(node.value)}</code>`;
+                case 'em':
+                    return `<em>${this._renderInline(node.children, options)}</em>`;
+                case 'strong':
+                    return `<strong>${this._renderInline(node.children, options)}</strong>`;
+                case 'underline':
+                    return `<u>${this._renderInline(node.children, options)}</u>`;
+                case 'link': {
+                    // Links with a disallowed scheme (javascript:, data:, ...) render as their text
+                    if (!this.isSafeUrl(node.href)) return this._renderInline(node.children, options);
+                    const title = node.title ? ` title="${this._escapeMarkup(node.title)}"` : '';
+                    return `<a href="${this._escapeMarkup(node.href)}"${title} target="_blank" rel="noopener">${this._renderInline(node.children, options)}</a>`;
+                }
+                case 'image': {
+                    if (!this.isSafeUrl(node.src, { image: true })) return this._escapeMarkup(node.alt);
+                    const title = node.title ? ` title="${this._escapeMarkup(node.title)}"` : '';
+                    return `<img src="${this._escapeMarkup(node.src)}" alt="${this._escapeMarkup(node.alt)}"${title}>`;
+                }
+                case 'wikilink': {
+                    const key = this.wikiLinkKey(node.target);
+                    const attrs = options.wikiLink
+                        ? options.wikiLink(node, key)
+                        : { href: `#${key}`, 'data-route': key };
+                    const attrHtml = Object.entries(attrs)
+                        .map(([name, value]) => ` ${name}="${this._escapeMarkup(value)}"`)
+                        .join('');
+                    return `<a${attrHtml}>${this._renderInline(node.children, options)}</a>`;
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Render article markup for display. With blockNote(block), every top-level block is wrapped
+     * together with the (trusted) HTML that blockNote returns for it, as annotate mode does.
+     * With wiki ({ handle, articles }), the article is from another user's wiki: links and templates
+     * resolve inside it and sections get no edit links.
+     */
+    parseContent(content, { blockNote = null, wiki = null } = {}) {
+        const articleKey = this.currentArticleKey || 'main';
+        // Annotate mode notes blocks by their source lines, so it shows template calls as written
+        const ast = this.parseMarkup(blockNote ? content : this.expandTemplates(content, wiki ? { articles: wiki.articles } : {}));
+        // Category tags aren't shown in the text; showArticle lists them in the category bar
+        this._takeCategories(ast);
+        let aliasIndex = null;
+        const exists = key => {
+            key = this.linkTargetKey(key);
+            if (wiki) return !key || !!wiki.articles[key];
+            if (!aliasIndex) aliasIndex = this.buildAliasIndex();
+            return !key || this.linkTargetExists(key, aliasIndex);
+        };
+        const options = {
+            wikiLink: (node, key) => {
+                // [[:Category:Name]] links to the category instead of tagging the article
+                key = key.replace(/^:/, '');
+                const route = wiki ? this.wikiRoute(wiki.handle, key) : key;
+                return {
+                    href: `#${route}`,
+                    'data-route': route,
+                    class: `wiki-link ${exists(key) ? 'article-exists' : 'article-missing'}`
+                };
+            },
+            heading: (node, inner) => {
+                if (node.level > 3) return `<h${node.level}>${inner}</h${node.level}>`;
+                const sectionId = this.generateSectionId(this.markupPlainText(node.children));
+                return `<h${node.level} id="${sectionId}">${inner}</h${node.level}>`;
+            }
+        };
+
+        // Article content can come from anyone's PDS, so sanitize it first and only then add
+        // our own (trusted) section buttons to the headers
+        const finish = html => {
+            const template = document.createElement('template');
+            template.innerHTML = this.sanitizeHtml(html);
+            template.content.querySelectorAll('h1[id], h2[id], h3[id]').forEach(heading => {
+                const section = `data-article-key="${this._escapeMarkup(articleKey)}" data-section-id="${this._escapeMarkup(heading.id)}"`;
+                const href = this._escapeMarkup(`#${articleKey}#${heading.id}`);
+                const editLink = wiki ? '' : ` <a href="${href}" class="section-edit-link" data-article-action="edit-section" ${section}>[edit]</a>`;
+                heading.insertAdjacentHTML('beforeend', ` <span class="section-actions"><a href="${href}" class="section-copy-link" data-article-action="copy-link" ${section}>[copy link]</a>${editLink}</span>`);
+            });
+            return template.innerHTML;
+        };
+
+        if (!blockNote) return finish(this.renderMarkup(ast, options));
+        return ast.children.map(block =>
+            `<div class="blame-block">${blockNote(block)}<div class="blame-content">${finish(this.renderMarkup({ children: [block] }, options))}</div></div>`
+        ).join('');
+    }
+
+    // ===== HTML SANITIZER =====
+    // Allowlist sanitizer for rendered article HTML. Anything not listed here is removed:
+    // unknown tags are unwrapped (their text is kept), dangerous ones are dropped with their
+    // contents, and attributes are filtered per tag with URLs checked against SAFE_URL_SCHEMES.
+
+    static SANITIZE_ALLOWED_TAGS = {
+        a: ['href', 'title', 'target', 'rel', 'class', 'data-route'],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        p: [], br: [], hr: [], span: ['class'], div: ['class'],
+        h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+        strong: [], b: [], em: [], i: [], u: [], s: [], del: [], sub: [], sup: [],
+        code: ['class'], pre: [], blockquote: [],
+        ul: [], ol: ['start'], li: ['class'],
+        table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+    };
+    static SANITIZE_DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'noscript', 'template', 'svg', 'math', 'form', 'input', 'button', 'textarea', 'select', 'option',
+        'link', 'meta', 'base', 'title', 'head', 'audio', 'video', 'source', 'track', 'canvas', 'xmp', 'noembed', 'plaintext'];
+    static SANITIZE_ALLOWED_CLASSES = /^(wiki-link|article-exists|article-missing|language-[\w-]+|ql-indent-[1-8])$/;
+    static SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+    static SAFE_IMAGE_DATA_URL = /^data:image\/(png|gif|jpeg|webp);base64,[a-z0-9+/=\s]+$/i;
+
+    /** True for relative URLs, fragments and http(s)/mailto; images may also be base64 raster data URLs */
+    isSafeUrl(url, { image = false } = {}) {
+        if (typeof url !== 'string') return false;
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const compact = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) return true;
+        if (image && WikiApp.SAFE_IMAGE_DATA_URL.test(url.trim())) return true;
+        return WikiApp.SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase());
+    }
+
+    /** Return html with only allowlisted tags, attributes, classes and URL schemes */
+    sanitizeHtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        this._sanitizeChildren(template.content);
+        return template.innerHTML;
+    }
+
+    _sanitizeChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments, processing instructions, CDATA
+                return;
+            }
+
+            const tag = node.localName;
+            if (WikiApp.SANITIZE_DROPPED_TAGS.includes(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+                node.remove();
+                return;
+            }
 
+            this._sanitizeChildren(node);
+
+            const allowedAttributes = WikiApp.SANITIZE_ALLOWED_TAGS[tag];
+            if (!allowedAttributes) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value;
+                let keep = allowedAttributes.includes(name);
+
+                if (keep && (name === 'href' || name === 'src')) {
+                    keep = this.isSafeUrl(value, { image: name === 'src' });
+                } else if (keep && name === 'class') {
+                    const classes = value.split(/\s+/).filter(c => WikiApp.SANITIZE_ALLOWED_CLASSES.test(c));
+                    if (classes.length) node.setAttribute('class', classes.join(' '));
+                    keep = classes.length > 0;
+                } else if (keep && name === 'target') {
+                    keep = value === '_blank';
+                } else if (keep && name === 'id') {
+                    keep = /^[\w-]+$/.test(value);
+                } else if (keep && ['start', 'width', 'height', 'colspan', 'rowspan'].includes(name)) {
+                    keep = /^\d{1,6}$/.test(value);
+                }
+
+                if (!keep || name === 'rel') node.removeAttribute(attribute.name);
+            });
+
+            // New-tab links must not get a handle on this window
+            if (tag === 'a' && node.getAttribute('target') === '_blank') {
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    // ===== EDITOR CONVERSION =====
+    // The editor works in Quill's HTML and articles are stored as markup, so every save and load
+    // goes through convertFromHTML()/convertToHTML(). Quill's document is a flat list of lines:
+    // each line is its own <p>, <hN>, <blockquote> or <li class="ql-indent-N">, and a blank
+    // paragraph separates blocks. Wiki links are stored in the editor as href="#<encoded target>".
+
+    /** Convert markup to the HTML Quill expects */
+    convertToHTML(content) {
+        return this._renderEditorBlocks(this.parseMarkup(content).children).join('');
+    }
+
+    /**
+     * How markup writes italics and bold: 'quotes' ('' and ''') when most of its emphasis uses
+     * them, 'asterisks' otherwise. The editor writes an article back in the dialect it was loaded in.
+     */
+    markupDialect(content) {
+        let quotes = 0;
+        let others = 0;
+        const walk = nodes => nodes.forEach(node => {
+            if (node.type === 'em' || node.type === 'strong') {
+                if (node.delimiter === "'") quotes++;
+                else others++;
+            }
+            if (node.children) walk(node.children);
+            if (node.items) node.items.forEach(item => walk(item.children));
+        });
+        walk(this.parseMarkup(content || '').children);
+        return quotes > others ? 'quotes' : 'asterisks';
+    }
+
+    _editorInline(nodes) {
+        return this._renderInline(nodes, {
+            wikiLink: node => ({ href: `#${encodeURIComponent(node.target)}` })
+        });
+    }
+
+    /** Split inline nodes into lines at (soft) breaks, keeping the formatting that spans them */
+    _splitInlineLines(nodes) {
+        const lines = [[]];
+        nodes.forEach(node => {
+            if (node.type === 'break' || node.type === 'softbreak') {
+                lines.push([]);
+            } else if (node.children && node.type !== 'wikilink') {
+                this._splitInlineLines(node.children).forEach((part, index) => {
+                    if (index > 0) lines.push([]);
+                    if (part.length) lines[lines.length - 1].push({ ...node, children: part });
+                });
+            } else {
+                lines[lines.length - 1].push(node);
+            }
+        });
+        return lines;
+    }
+
+    _renderEditorBlocks(blocks) {
+        const html = [];
+        blocks.forEach((block, index) => {
+            // Adjacent lists of different types need no gap; Quill keeps <ol> and <ul> apart anyway
+            if (index > 0 && !(block.type === 'list' && blocks[index - 1].type === 'list')) html.push('<p><br></p>');
+            switch (block.type) {
+                case 'heading':
+                    html.push(`<h${block.level}>${this._editorInline(block.children)}</h${block.level}>`);
+                    break;
+                case 'paragraph':
+                    this._splitInlineLines(block.children).forEach(line => {
+                        html.push(`<p>${this._editorInline(line) || '<br>'}</p>`);
+                    });
+                    break;
+                case 'list':
+                    html.push(...this._renderEditorList(block));
+                    break;
+                case 'blockquote':
+                    // Quill quotes hold single lines, so nested structure inside a quote is flattened
+                    this._quoteLines(block.children).forEach(line => {
+                        html.push(`<blockquote>${this._editorInline(line) || '<br>'}</blockquote>`);
+                    });
+                    break;
+                case 'code_block':
+                    html.push(`<pre class="ql-syntax" spellcheck="false">${this._escapeMarkup(block.text)}</pre>`);
+                    break;
+                case 'thematic_break':
+                    html.push('<p>---</p>');
+                    break;
+            }
+        });
         return html;
     }
 
+    /** Flatten list items into Quill's <ol>/<ul> runs of <li class="ql-indent-N"> */
+    _renderEditorList(list) {
+        const items = [];
+        const collect = (node, depth) => {
+            node.items.forEach((item, index) => {
+                // Quill has no loose lists; a blank line between the items keeps them apart
+                if (!node.tight && index > 0 && depth === 0) items.push({ blank: true });
+                const text = [];
+                const nested = [];
+                item.children.forEach(child => {
+                    if (child.type === 'list') {
+                        nested.push(child);
+                    } else {
+                        this._quoteLines([child]).forEach(line => {
+                            if (line.length) text.push(line);
+                        });
+                    }
+                });
+                const inline = text.map(line => this._editorInline(line)).join(' ');
+                const indent = depth > 0 ? ` class="ql-indent-${Math.min(depth, 8)}"` : '';
+                // Numbers Quill would count differently are kept as <li value>: a list that doesn't
+                // start at 1, and items after a blank line, which Quill sees as a new list
+                const restarts = index === 0 || (!node.tight && depth === 0);
+                const value = node.ordered && restarts && node.start + index !== 1 ? ` value="${node.start + index}"` : '';
+                items.push({ ordered: node.ordered, html: `<li${indent}${value}>${inline || '<br>'}</li>` });
+                nested.forEach(child => collect(child, depth + 1));
+            });
+        };
+        collect(list, 0);
+
+        const html = [];
+        let openTag = null;
+        items.forEach(item => {
+            const tag = item.blank ? null : item.ordered ? 'ol' : 'ul';
+            if (openTag && openTag !== tag) html.push(`</${openTag}>`);
+            if (item.blank) html.push('<p><br></p>');
+            else if (openTag !== tag) html.push(`<${tag}>`);
+            openTag = tag;
+            if (!item.blank) html.push(item.html);
+        });
+        if (openTag) html.push(`</${openTag}>`);
+        return html;
+    }
+
+    /** Flatten blocks into lines of inline nodes, with an empty line between blocks */
+    _quoteLines(blocks) {
+        const lines = [];
+        blocks.forEach((block, index) => {
+            if (index > 0) lines.push([]);
+            if (block.type === 'paragraph') {
+                lines.push(...this._splitInlineLines(block.children));
+            } else if (block.type === 'heading') {
+                lines.push(block.children);
+            } else if (block.type === 'list') {
+                block.items.forEach(item => lines.push(...this._quoteLines(item.children)));
+            } else if (block.type === 'blockquote') {
+                lines.push(...this._quoteLines(block.children));
+            } else if (block.type === 'code_block') {
+                block.text.split('\n').forEach(text => lines.push([{ type: 'code', value: text }]));
+            } else if (block.type === 'thematic_break') {
+                lines.push([{ type: 'text', value: '---' }]);
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Convert Quill's HTML back to markup. Italics and bold are written as '' and ''' in the
+     * 'quotes' dialect and as * and ** otherwise; see markupDialect().
+     */
+    convertFromHTML(html, dialect = 'asterisks') {
+        const temp = document.createElement('div');
+        temp.innerHTML = html;
+
+        // Read Quill's lines as { kind, text } blocks; kind 'blank' is an empty line
+        const lines = [];
+        Array.from(temp.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.textContent.trim()) lines.push({ kind: 'p', text: this._markupInline(node, dialect) });
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = node.localName;
+            if (/^h[1-6]$/.test(tag)) {
+                const text = this._markupInline(node, dialect).trim();
+                lines.push(text ? { kind: 'heading', text: `${'#'.repeat(Number(tag[1]))} ${text}` } : { kind: 'blank' });
+            } else if (tag === 'ol' || tag === 'ul') {
+                Array.from(node.children).forEach(li => {
+                    const indent = (li.className.match(/ql-indent-(\d+)/) || [0, 0])[1];
+                    const start = tag === 'ol' && /^\d{1,9}$/.test(li.getAttribute('value') || '') ? Number(li.getAttribute('value')) : null;
+                    lines.push({ kind: 'item', ordered: tag === 'ol', depth: Number(indent), start, text: this._markupInline(li, dialect).trim() });
+                });
+            } else if (tag === 'blockquote') {
+                lines.push({ kind: 'quote', text: this._markupInline(node, dialect).trim() });
+            } else if (tag === 'pre') {
+                lines.push({ kind: 'code', text: node.textContent.replace(/\n$/, '') });
+            } else if (tag === 'hr') {
+                lines.push({ kind: 'p', text: '---' });
+            } else {
+                const text = this._markupInline(node, dialect);
+                lines.push(text.trim() ? { kind: 'p', text: text.trim() } : { kind: 'blank' });
+            }
+        });
+
+        const output = [];
+        let previous = null;
+        let blank = false;
+        let listMarkers = [];
+
+        lines.forEach(line => {
+            if (line.kind === 'blank') {
+                blank = true;
+                return;
+            }
+
+            // Lines of the same paragraph, list or quote stay together; anything else gets a blank line
+            const continues = previous && previous.kind === line.kind && ['p', 'item', 'quote'].includes(line.kind);
+            if (previous && (blank || !continues)) {
+                output.push(line.kind === 'quote' && previous.kind === 'quote' ? '>' : '');
+            }
+            if (previous && (blank || previous.kind !== 'item')) listMarkers = [];
+            blank = false;
+
+            if (line.kind === 'p') {
+                output.push(this._escapeBlockStart(line.text));
+            } else if (line.kind === 'heading') {
+                output.push(line.text);
+            } else if (line.kind === 'quote') {
+                output.push(`> ${this._escapeBlockStart(line.text)}`.trimEnd());
+            } else if (line.kind === 'code') {
+                const longestRun = Math.max(2, ...(line.text.match(/`+/g) || []).map(run => run.length));
+                const fence = '`'.repeat(longestRun + 1);
+                output.push(fence, line.text, fence);
+            } else if (line.kind === 'item') {
+                output.push(this._markupListItem(line, listMarkers));
+            }
+            previous = line;
+        });
+
+        return output.join('\n').trim();
+    }
+
+    /** Format one Quill list line, tracking the marker of each open level so sublists nest */
+    _markupListItem(line, listMarkers) {
+        const depth = Math.min(line.depth, listMarkers.length);
+        listMarkers.length = depth + 1;
+        const parent = listMarkers[depth];
+        const number = !line.ordered ? 1 : line.start !== null ? line.start : parent && parent.ordered ? parent.number + 1 : 1;
+        const indent = listMarkers.slice(0, depth).reduce((width, level) => width + level.marker.length + 1, 0);
+        const marker = line.ordered ? `${number}.` : '-';
+        listMarkers[depth] = { ordered: line.ordered, number, marker };
+        return `${' '.repeat(indent)}${marker} ${this._escapeBlockStart(line.text)}`.trimEnd();
+    }
+
+    /** Convert an element's inline content (text, formatting, links, images) to markup */
+    _markupInline(element, dialect = 'asterisks') {
+        const parts = Array.from(element.childNodes).map(node => {
+            if (node.nodeType === Node.TEXT_NODE) return this._escapeMarkupText(node.textContent);
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const tag = node.localName;
+            if (tag === 'br') return '';
+            if (tag === 'img') {
+                const alt = (node.getAttribute('alt') || '').replace(/[[\]\\]/g, '\\$&');
+                return `![${alt}](${this._markupUrl(node.getAttribute('src') || '')})`;
+            }
+            if (tag === 'code') {
+                const text = node.textContent;
+                const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+                const ticks = '`'.repeat(longestRun + 1);
+                // Code spans lose one space at each end when both ends have one, so pad those too
+                const pad = /^`|`$|^ [\s\S]* $/.test(text) && text.trim() ? ' ' : '';
+                return `${ticks}${pad}${text}${pad}${ticks}`;
+            }
+
+            const inner = this._markupInline(node, dialect);
+            const delimiters = dialect === 'quotes'
+                ? { strong: "'''", b: "'''", em: "''", i: "''", u: '++' }
+                : { strong: '**', b: '**', em: '*', i: '*', u: '++' };
+            const delimiter = delimiters[tag];
+            if (delimiter) {
+                // Delimiters must hug the text, so keep surrounding spaces outside them
+                const [, lead, body, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                return body ? { lead, body, trail, delimiter } : inner;
+            }
+            if (tag === 'a') return this._markupLink(node, inner);
+            return inner;
+        });
+
+        let output = '';
+        parts.forEach((part, index) => {
+            let piece = part;
+            if (typeof part !== 'string') {
+                let { delimiter } = part;
+                // Quotes next to an apostrophe would run together with it; asterisks don't
+                const next = parts[index + 1];
+                const nextChar = part.trail || (typeof next === 'string' ? next[0] : next ? next.lead[0] || next.delimiter[0] : '');
+                if (delimiter[0] === "'" && (/'$/.test(output + part.lead) || /^'|'$/.test(part.body) || nextChar === "'")) {
+                    delimiter = delimiter.length === 3 ? '**' : '*';
+                }
+                // Back-to-back runs like **bold***italic* are ambiguous; use underscores for the
+                // second run where it is not inside a word
+                if (delimiter[0] === '*' && (output + part.lead).endsWith('*') && !/\w/.test(nextChar || '')) {
+                    delimiter = delimiter.replace(/\*/g, '_');
+                }
+                piece = `${part.lead}${delimiter}${part.body}${delimiter}${part.trail}`;
+            }
+            // "!" right before a link would turn it into an image
+            if (output.endsWith('!') && piece.startsWith('[')) output = `${output.slice(0, -1)}\\!`;
+            output += piece;
+        });
+        return output;
+    }
+
+    _markupLink(anchor, inner) {
+        const href = anchor.getAttribute('href') || '';
+        // Link labels are trimmed when parsed, so keep surrounding spaces outside the link
+        const [, lead, label, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!label || !href) return inner;
+
+        let target = null;
+        if (href.startsWith('#')) {
+            try {
+                target = decodeURIComponent(href.slice(1));
+            } catch (e) {
+                target = href.slice(1);
+            }
+        } else if (href.startsWith('/ ')) {
+            target = href.slice(2); // Links saved by older versions of the editor
+        }
+
+        let link;
+        if (target !== null && target.trim() && !/\]\]|\]$|\||\n/.test(target)) {
+            link = label === this._escapeMarkupText(target) ? `[[${target}]]` : `[[${target}|${label}]]`;
+        } else {
+            link = `[${label}](${this._markupUrl(href)})`;
+        }
+        return `${lead}${link}${trail}`;
+    }
+
+    _markupUrl(url) {
+        return /[\s()<>]/.test(url) ? `<${url.replace(/[<>\n]/g, encodeURIComponent)}>` : url;
+    }
+
+    /** Backslash-escape characters in plain text that the markup parser would treat as syntax */
+    _escapeMarkupText(text) {
+        return text
+            .replace(/[\\`*[\]<]/g, '\\$&')
+            .replace(/_/g, (match, index) => /\w/.test(text[index - 1] || '') && /\w/.test(text[index + 1] || '') ? '_' : '\\_')
+            .replace(/''+|\+\++/g, run => run.split('').join('\\'));
+    }
+
+    /** Escape a line that would otherwise start a heading, quote, list or fence */
+    _escapeBlockStart(line) {
+        if (WikiApp.MARKUP_RULE.test(line)) return line;
+        return line
+            .replace(/^(\s*)(#{1,6}(?:\s|$)|>|[-+](?:\s|$)|~~~)/, '$1\\$2')
+            .replace(/^(\s*\d{1,9})([.)])(\s|$)/, '$1\\$2$3');
+    }
+
+    // Source mode: edit the raw markup in a textarea instead of Quill. The choice is remembered.
+    isSourceMode() {
+        return localStorage.getItem('xoxowiki-editor-mode') === 'source';
+    }
+
+    /** Current editor content as markup, whichever editor is showing */
+    getEditorContent() {
+        const source = document.getElementById('article-content');
+        if (this.isSourceMode() && source) return source.value;
+        if (this.quill) return this.convertFromHTML(this.quill.root.innerHTML, this.editorDialect);
+        const fallbackTextarea = document.getElementById('article-content-fallback');
+        return fallbackTextarea ? fallbackTextarea.value : '';
+    }
+
+    /** Load markup into both editors */
+    setEditorContent(content) {
+        this.editorDialect = this.markupDialect(content);
+        if (this.quill) {
+            this.quill.setText('');
+            this.quill.root.innerHTML = this.convertToHTML(content || '');
+        } else {
+            const fallbackTextarea = document.getElementById('article-content-fallback');
+            if (fallbackTextarea) fallbackTextarea.value = content || '';
+        }
+        const source = document.getElementById('article-content');
+        if (source) source.value = content || '';
+    }
+
+    toggleSourceMode() {
+        const content = this.getEditorContent();
+        localStorage.setItem('xoxowiki-editor-mode', this.isSourceMode() ? 'rich' : 'source');
+        this.setEditorContent(content);
+        this.applyEditorMode();
+    }
+
+    /** Show Quill or the markup textarea according to the saved preference */
+    applyEditorMode() {
+        const source = document.getElementById('article-content');
+        const editor = document.getElementById('article-content-editor');
+        if (!source || !editor || !this.quill) return;
+
+        const sourceMode = this.isSourceMode();
+        source.style.display = sourceMode ? 'block' : 'none';
+        editor.style.display = sourceMode ? 'none' : '';
+        const toolbar = this.quill.getModule('toolbar');
+        if (toolbar && toolbar.container) toolbar.container.classList.toggle('source-mode', sourceMode);
+    }
+
     updateBookmarksDisplay() {
         const bookmarks = this.storage.getBookmarks();
         const bookmarksBar = document.getElementById('bookmarks-bar');
@@ -4146,6 +5777,573 @@ class WikiApp {
         document.body.removeChild(textArea);
     }
 
+    // ===== SEARCH INDEX =====
+    // An inverted index over article titles, other names (aliases and redirect titles) and text,
+    // ranked with BM25. Words are stemmed, the last word of a query also matches as a prefix (it is
+    // usually still being typed) and longer words tolerate a typo or two. Articles are reindexed as
+    // they are saved or deleted; indexSearchArticles() catches up with anything else that changed them.
+    static SEARCH_FIELD_WEIGHTS = { title: 3, names: 2, text: 1 };
+    static SEARCH_BM25 = { k1: 1.2, b: 0.75 };
+    static SEARCH_STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with']);
+    static SEARCH_SNIPPET_LENGTH = 140;
+
+    /** Lowercased words of text with accents removed, each with its offset: [{ word, index }] */
+    searchWords(text) {
+        const words = [];
+        const pattern = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const word = match[0].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/['’]s?$/, '');
+            if (word) words.push({ word, index: match.index, length: match[0].length });
+        }
+        return words;
+    }
+
+    /** Light English stemmer: folds plurals and -ing/-ed/-ly forms onto one term ("linking", "links" -> "link") */
+    stemWord(word) {
+        if (word.length <= 3 || /^\d+$/.test(word)) return word;
+        let stem = word
+            .replace(/ies$/, 'y')
+            .replace(/(ss|us|is)$/, '$1_')
+            .replace(/(ch|sh|x|z|ss)es$/, '$1')
+            .replace(/([^s_])s$/, '$1')
+            .replace(/_$/, '');
+        const suffix = stem.match(/(ingly|edly|ing|ed|ly)$/);
+        if (suffix && /[aeiouy]/.test(stem.slice(0, -suffix[1].length)) && stem.length - suffix[1].length >= 3) {
+            stem = stem.slice(0, -suffix[1].length);
+            // runn(ing) -> run, but keep "fall", "press"
+            if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+        }
+        return stem;
+    }
+
+    /** Article text for searching and snippets, without markup syntax */
+    searchPlainText(content) {
+        return String(content || '')
+            .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\{\{\{?|\}\}\}?/g, ' ')
+            .replace(/^[ \t]*(#{1,6}|>|[-*+]|\d+[.)])[ \t]+/gm, '')
+            .replace(/'''?|\*\*|__|~~|`+/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    _emptySearchIndex() {
+        // words maps each surface word to its term; forms maps each term back to its surface words
+        return { docs: new Map(), postings: new Map(), words: new Map(), forms: new Map(), totalLength: 0 };
+    }
+
+    /** (Re)index one article; names are its aliases and the titles of pages redirecting to it */
+    _indexSearchDoc(key, article, names) {
+        const index = this._searchIndex || (this._searchIndex = this._emptySearchIndex());
+        this._unindexSearchDoc(key);
+        const text = this.searchPlainText(article.content);
+        const doc = { title: article.title, content: article.content, names: names.join('\n'), text, length: 0, terms: new Set() };
+        const fields = { title: article.title || '', names: doc.names, text };
+        for (const [field, value] of Object.entries(fields)) {
+            this.searchWords(value).forEach(({ word }) => {
+                if (WikiApp.SEARCH_STOP_WORDS.has(word)) return;
+                const term = this.stemWord(word);
+                if (!index.words.has(word)) {
+                    index.words.set(word, term);
+                    if (!index.forms.has(term)) index.forms.set(term, new Set());
+                    index.forms.get(term).add(word);
+                }
+                if (!index.postings.has(term)) index.postings.set(term, new Map());
+                const posting = index.postings.get(term);
+                if (!posting.has(key)) posting.set(key, { title: 0, names: 0, text: 0 });
+                posting.get(key)[field]++;
+                doc.terms.add(term);
+                doc.length += WikiApp.SEARCH_FIELD_WEIGHTS[field];
+            });
+        }
+        index.docs.set(key, doc);
+        index.totalLength += doc.length;
+    }
+
+    _unindexSearchDoc(key) {
+        const index = this._searchIndex;
+        const doc = index && index.docs.get(key);
+        if (!doc) return;
+        doc.terms.forEach(term => {
+            const posting = index.postings.get(term);
+            posting.delete(key);
+            if (posting.size > 0) return;
+            // No article uses the term any more, so its words stop matching prefixes and typos
+            index.postings.delete(term);
+            index.forms.get(term).forEach(word => index.words.delete(word));
+            index.forms.delete(term);
+        });
+        index.docs.delete(key);
+        index.totalLength -= doc.length;
+    }
+
+    /** Other names each article is found under: its aliases and the titles of redirects to it */
+    _searchOtherNames() {
+        const cache = this._articleNames();
+        if (cache.otherNames) return cache.otherNames;
+        const meta = this.storage.getAllArticleMeta();
+        const aliasIndex = this.buildAliasIndex();
+        const names = {};
+        const redirects = new Set();
+        for (const [key, article] of Object.entries(this.articles)) {
+            names[key] = [...(names[key] || []), ...((meta[key] && meta[key].aliases) || [])];
+            if (this.redirectTarget(article.content)) {
+                const target = this.followRedirects(key, aliasIndex).key;
+                if (target !== key) {
+                    redirects.add(key);
+                    names[target] = [...(names[target] || []), article.title];
+                }
+            }
+        }
+        cache.otherNames = { names, redirects };
+        return cache.otherNames;
+    }
+
+    /**
+     * Bring the index up to date with this.articles, reindexing only articles whose title, text or
+     * other names changed. Redirect pages aren't indexed; they are found under their target.
+     */
+    indexSearchArticles() {
+        if (!this._searchIndex) this._searchIndex = this._emptySearchIndex();
+        const { names, redirects } = this._searchOtherNames();
+        for (const key of [...this._searchIndex.docs.keys()]) {
+            if (!this.articles[key] || redirects.has(key)) this._unindexSearchDoc(key);
+        }
+        for (const [key, article] of Object.entries(this.articles)) {
+            if (redirects.has(key)) continue;
+            const doc = this._searchIndex.docs.get(key);
+            const otherNames = names[key] || [];
+            if (!doc || doc.title !== article.title || doc.content !== article.content || doc.names !== otherNames.join('\n')) {
+                this._indexSearchDoc(key, article, otherNames);
+            }
+        }
+        return this._searchIndex;
+    }
+
+    /** Keep the index current after an article is saved (or, without an article, deleted) */
+    updateSearchIndex(key, article = this.articles[key]) {
+        // Its aliases, or the page a redirect points at, may have changed with it
+        this.forgetArticleNames();
+        if (!this._searchIndex) return; // Built in full on the first search
+        if (article && !this.redirectTarget(article.content)) this._indexSearchDoc(key, article, this._searchOtherNames().names[key] || []);
+        else this._unindexSearchDoc(key);
+    }
+
+    /** Edit distance between a and b, counting a swap of neighbours as one edit; max + 1 once it must exceed max */
+    _editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
+                best = Math.min(best, current[j]);
+            }
+            if (best > max) return max + 1;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /** Index terms a query word matches, with a weight: exact stem 1, prefix 0.7, typo 0.5 or less */
+    _searchTermsFor(word, isLast) {
+        const index = this._searchIndex;
+        const terms = new Map();
+        const add = (term, weight) => {
+            if (index.postings.has(term) && weight > (terms.get(term) || 0)) terms.set(term, weight);
+        };
+        add(this.stemWord(word), 1);
+        add(word, 1);
+        const maxTypos = word.length >= 8 ? 2 : word.length >= 3 ? 1 : 0;
+        if ((isLast && word.length >= 2) || maxTypos) {
+            index.words.forEach((term, indexed) => {
+                if (isLast && word.length >= 2 && indexed.startsWith(word)) {
+                    add(term, 0.7);
+                } else if (maxTypos && indexed[0] === word[0]) {
+                    const distance = this._editDistance(word, indexed, maxTypos);
+                    if (distance <= maxTypos) add(term, distance === 1 ? 0.5 : 0.3);
+                }
+            });
+        }
+        return terms;
+    }
+
+    /**
+     * Ranked articles for a query: [{ key, score, terms }], best first, where terms are the index
+     * terms that matched (for highlighting). Every query word has to match.
+     */
+    searchArticles(query) {
+        const index = this.indexSearchArticles();
+        let words = this.searchWords(query).map(({ word }) => word);
+        const meaningful = words.filter(word => !WikiApp.SEARCH_STOP_WORDS.has(word));
+        if (meaningful.length) words = meaningful;
+        if (words.length === 0 || index.docs.size === 0) return [];
+
+        const { k1, b } = WikiApp.SEARCH_BM25;
+        const averageLength = index.totalLength / index.docs.size || 1;
+        const scores = new Map();
+        words.forEach((word, position) => {
+            // A document's best match for this word counts, not the sum of every near miss
+            const best = new Map();
+            this._searchTermsFor(word, position === words.length - 1).forEach((weight, term) => {
+                const posting = index.postings.get(term);
+                const idf = Math.log(1 + (index.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+                posting.forEach((counts, key) => {
+                    const frequency = Object.entries(WikiApp.SEARCH_FIELD_WEIGHTS)
+                        .reduce((sum, [field, fieldWeight]) => sum + counts[field] * fieldWeight, 0);
+                    const length = index.docs.get(key).length;
+                    const score = weight * idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / averageLength));
+                    const current = best.get(key);
+                    if (!current || score > current.score) best.set(key, { score, term, title: counts.title + counts.names > 0 });
+                });
+            });
+            best.forEach((match, key) => {
+                const entry = scores.get(key) || { key, score: 0, words: 0, terms: new Set(), titleMatch: false };
+                entry.score += match.score;
+                entry.words++;
+                entry.terms.add(match.term);
+                entry.titleMatch = entry.titleMatch || match.title;
+                scores.set(key, entry);
+            });
+        });
+        return [...scores.values()]
+            .filter(entry => entry.words === words.length)
+            .sort((x, y) => y.score - x.score);
+    }
+
+    /** text as HTML with the words that match terms wrapped in <mark> */
+    highlightSearchTerms(text, terms) {
+        let html = '';
+        let last = 0;
+        this.searchWords(text).forEach(({ word, index, length }) => {
+            if (!terms.has(this.stemWord(word)) && !terms.has(word)) return;
+            html += `${this.escapeHtml(text.slice(last, index))}<mark>${this.escapeHtml(text.slice(index, index + length))}</mark>`;
+            last = index + length;
+        });
+        return html + this.escapeHtml(text.slice(last));
+    }
+
+    /** A highlighted excerpt of the article around its first matching word */
+    searchSnippet(key, terms) {
+        const doc = this._searchIndex && this._searchIndex.docs.get(key);
+        if (!doc) return '';
+        const text = doc.text;
+        const hit = this.searchWords(text).find(({ word }) => terms.has(this.stemWord(word)) || terms.has(word));
+        const size = WikiApp.SEARCH_SNIPPET_LENGTH;
+        let start = hit ? Math.max(0, hit.index - Math.floor(size / 3)) : 0;
+        let end = Math.min(text.length, start + size);
+        start = Math.max(0, Math.min(start, end - size));
+        // Don't cut words in half
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+        return `${start > 0 ? '…' : ''}${this.highlightSearchTerms(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+    }
+
+    // ===== SEARCH PAGE =====
+    // #search:query lists everything that matches, a page at a time (#search:query/2 is the second):
+    // articles, artboard items, comments, habits and webcomic pages. Besides words, a query can hold
+    // "quoted phrases" and the operators below; `type:` is what the facet links add to narrow the results.
+    static SEARCH_PAGE_SIZE = 20;
+    static SEARCH_TYPES = { article: 'Articles', artboard: 'Artboard items', comment: 'Comments', habit: 'Habits', webcomic: 'Webcomic pages' };
+    static SEARCH_OPERATORS = ['title', 'tag', 'album', 'author', 'before', 'after', 'type'];
+
+    searchRoute(query, page = 1) {
+        return `search:${encodeURIComponent(query.trim())}${page > 1 ? `/${page}` : ''}`;
+    }
+
+    /**
+     * Split a query into words, "phrases" and operators:
+     * { words, phrases, title: [], tag: [], album: [], author: [], type: [], before, after, errors }.
+     * Operator values can be quoted; before:/after: take dates (before is exclusive, after inclusive).
+     */
+    parseSearchQuery(query) {
+        const parsed = { words: [], phrases: [], title: [], tag: [], album: [], author: [], type: [], before: null, after: null, errors: [] };
+        const pattern = /(\w+):(?:"([^"]*)"?|(\S+))|"([^"]*)"?|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(query))) {
+            const [text, operator, quotedValue, value, phrase, word] = match;
+            const field = operator && operator.toLowerCase();
+            if (field && WikiApp.SEARCH_OPERATORS.includes(field)) {
+                const fieldValue = (quotedValue !== undefined ? quotedValue : value).trim();
+                if (!fieldValue) continue;
+                if (field === 'before' || field === 'after') {
+                    const date = new Date(fieldValue);
+                    if (isNaN(date)) parsed.errors.push(`"${fieldValue}" is not a date`);
+                    else parsed[field] = date.getTime();
+                } else if (field === 'type') {
+                    const type = Object.keys(WikiApp.SEARCH_TYPES).find(key => key === fieldValue.toLowerCase() || WikiApp.SEARCH_TYPES[key].toLowerCase().startsWith(fieldValue.toLowerCase()));
+                    if (type) parsed.type.push(type);
+                    else parsed.errors.push(`There is no "${fieldValue}" type`);
+                } else {
+                    parsed[field].push(fieldValue.toLowerCase());
+                }
+            } else if (phrase !== undefined) {
+                if (phrase.trim()) parsed.phrases.push(phrase.trim());
+            } else {
+                parsed.words.push(word || text);
+            }
+        }
+        return parsed;
+    }
+
+    /** Lowercase, accent-free text with single spaces, for phrase and operator matching */
+    _searchFold(text) {
+        return this.searchWords(String(text || '')).map(({ word }) => word).join(' ');
+    }
+
+    /**
+     * How well the words and phrases of a query match an item's fields ({ name: [text, weight] }):
+     * { score, terms } or null when a word or phrase is missing. The last word matches as a prefix.
+     */
+    _matchSearchFields(fields, words, phrases) {
+        const folded = Object.values(fields).map(([text]) => this._searchFold(text));
+        if (!phrases.every(phrase => folded.some(text => ` ${text} `.includes(` ${this._searchFold(phrase)} `)))) return null;
+        const terms = new Set();
+        let score = 0;
+        for (const [position, word] of words.entries()) {
+            const stem = this.stemWord(word);
+            let best = 0;
+            Object.values(fields).forEach(([text, weight], fieldIndex) => {
+                folded[fieldIndex].split(' ').forEach(candidate => {
+                    const candidateStem = this.stemWord(candidate);
+                    const quality = candidateStem === stem || candidate === word ? 1
+                        : position === words.length - 1 && word.length >= 2 && candidate.startsWith(word) ? 0.7 : 0;
+                    if (!quality) return;
+                    terms.add(candidateStem);
+                    best = Math.max(best, quality * weight);
+                });
+            });
+            if (!best) return null;
+            score += best;
+        }
+        return { score, terms };
+    }
+
+    /** Everything matching a parsed query, before type filtering: [{ type, title, titleHtml, snippet, date, meta, score, open }] */
+    searchEverything(parsed) {
+        let words = parsed.words.flatMap(text => this.searchWords(text).map(({ word }) => word));
+        const meaningful = words.filter(word => !WikiApp.SEARCH_STOP_WORDS.has(word));
+        if (meaningful.length) words = meaningful;
+        const contains = (values, text) => values.every(value => this._searchFold(text).includes(this._searchFold(value)));
+        const inDateRange = date => (parsed.before === null || (date && date < parsed.before)) && (parsed.after === null || (date && date >= parsed.after));
+        const results = [];
+        const albums = this.storage.getAlbums();
+
+        // Articles are ranked by the search index; operators and phrases then filter them
+        const articleMatches = words.length
+            ? this.searchArticles(words.join(' '))
+            : [...this.indexSearchArticles().docs.keys()].map(key => ({ key, score: 0, terms: new Set() }));
+        if (!parsed.album.length) {
+            const index = this.getArticleIndex();
+            articleMatches.forEach(match => {
+                const article = this.articles[match.key];
+                const doc = this._searchIndex.docs.get(match.key);
+                const categories = (index.byArticle[match.key] || []).map(key => this.categoryName(key));
+                if (!contains(parsed.title, article.title)) return;
+                if (!parsed.tag.every(tag => categories.some(category => this._searchFold(category) === this._searchFold(tag)))) return;
+                if (!contains(parsed.author, article.author || '')) return;
+                if (!inDateRange(article.updatedAt)) return;
+                if (!parsed.phrases.every(phrase => ` ${this._searchFold(`${article.title} ${doc.names} ${doc.text}`)} `.includes(` ${this._searchFold(phrase)} `))) return;
+                const phraseTerms = new Set([...match.terms, ...parsed.phrases.flatMap(phrase => this.searchWords(phrase).map(({ word }) => this.stemWord(word)))]);
+                results.push({
+                    type: 'article',
+                    key: match.key,
+                    title: article.title,
+                    titleHtml: this.highlightSearchTerms(article.title, phraseTerms),
+                    snippet: this.searchSnippet(match.key, phraseTerms),
+                    date: article.updatedAt || null,
+                    meta: article.author ? `@${article.author}` : '',
+                    score: match.score
+                });
+            });
+        }
+
+        // Artboard items
+        this.storage.getArchive().forEach(item => {
+            const itemAlbums = (item.albumIds || (item.albumId ? [item.albumId] : []))
+                .map(id => (albums.find(album => album.id === id) || {}).name || '');
+            const date = item.createdAt ? new Date(item.createdAt).getTime() : null;
+            const author = `${item.authorHandle || ''} ${item.authorDisplayName || ''}`;
+            if (!contains(parsed.title, item.name || '') || !contains(parsed.author, author) || !inDateRange(date)) return;
+            if (!parsed.tag.every(tag => (item.tags || []).some(itemTag => this._searchFold(itemTag) === this._searchFold(tag)))) return;
+            if (!parsed.album.every(album => itemAlbums.some(name => this._searchFold(name).includes(this._searchFold(album))))) return;
+            const match = this._matchSearchFields({
+                name: [item.name, 3], tags: [(item.tags || []).join(' '), 2], note: [item.userNote, 1], post: [item.postText, 1]
+            }, words, parsed.phrases);
+            if (!match) return;
+            const text = [item.userNote, item.postText].filter(Boolean).join(' — ');
+            results.push({
+                type: 'artboard',
+                id: item.id,
+                title: item.name || 'Image',
+                titleHtml: this.highlightSearchTerms(item.name || 'Image', match.terms),
+                snippet: this.highlightSearchTerms(text.slice(0, WikiApp.SEARCH_SNIPPET_LENGTH), match.terms) + (text.length > WikiApp.SEARCH_SNIPPET_LENGTH ? '…' : ''),
+                date,
+                meta: [item.authorHandle ? `@${item.authorHandle}` : '', itemAlbums.filter(Boolean).join(', '), (item.tags || []).map(tag => `#${tag}`).join(' ')].filter(Boolean).join(' · '),
+                score: match.score
+            });
+        });
+
+        // Comments, searched by their text and found under their article's title
+        if (!parsed.tag.length && !parsed.album.length) {
+            const articleKeys = new Set([...Object.keys(this.storage.comments || {}), ...Object.keys(this.storage.repoComments || {})]);
+            articleKeys.forEach(articleKey => {
+                const articleTitle = this.articles[articleKey] ? this.articles[articleKey].title : articleKey;
+                if (!contains(parsed.title, articleTitle)) return;
+                const visit = comments => comments.forEach(comment => {
+                    visit(comment.replies || []);
+                    const author = `${comment.author || ''} ${comment.handle || ''}`;
+                    if (!contains(parsed.author, author) || !inDateRange(comment.timestamp)) return;
+                    const match = this._matchSearchFields({ text: [comment.text, 1], article: [articleTitle, 0.5] }, words, parsed.phrases);
+                    if (!match) return;
+                    const text = String(comment.text || '');
+                    results.push({
+                        type: 'comment',
+                        key: articleKey,
+                        title: `Comment on ${articleTitle}`,
+                        titleHtml: `Comment on ${this.highlightSearchTerms(articleTitle, match.terms)}`,
+                        snippet: this.highlightSearchTerms(text.slice(0, WikiApp.SEARCH_SNIPPET_LENGTH), match.terms) + (text.length > WikiApp.SEARCH_SNIPPET_LENGTH ? '…' : ''),
+                        date: comment.timestamp || null,
+                        meta: comment.handle ? `@${comment.handle}` : (comment.author || ''),
+                        score: match.score
+                    });
+                });
+                visit(this.storage.getComments(articleKey));
+            });
+        }
+
+        // Habits have nothing but a name
+        if (!parsed.tag.length && !parsed.album.length && !parsed.author.length && parsed.before === null && parsed.after === null) {
+            this.storage.getHabits().forEach(habit => {
+                if (!contains(parsed.title, habit)) return;
+                const match = this._matchSearchFields({ name: [habit, 3] }, words, parsed.phrases);
+                if (!match) return;
+                results.push({ type: 'habit', title: habit, titleHtml: this.highlightSearchTerms(habit, match.terms), snippet: '', date: null, meta: '', score: match.score });
+            });
+        }
+
+        // Webcomic pages, by title
+        if (!parsed.tag.length && !parsed.album.length && !parsed.author.length) {
+            this.storage.getWebcomicPages().forEach((page, pageIndex) => {
+                const title = page.title || `Page ${page.pageNumber || pageIndex + 1}`;
+                if (!contains(parsed.title, title) || !inDateRange(page.createdAt)) return;
+                const match = this._matchSearchFields({ title: [title, 3] }, words, parsed.phrases);
+                if (!match) return;
+                results.push({ type: 'webcomic', index: pageIndex, title, titleHtml: this.highlightSearchTerms(title, match.terms), snippet: '', date: page.createdAt || null, meta: `Page ${page.pageNumber || pageIndex + 1}`, score: match.score });
+            });
+        }
+
+        return results;
+    }
+
+    async showSearchPage(query, page = 1) {
+        const container = document.getElementById('article-container');
+        if (!container) return;
+        await this.loadArticles();
+        this.currentArticleKey = 'search';
+
+        const parsed = this.parseSearchQuery(query);
+        const hasCriteria = parsed.words.length || parsed.phrases.length || WikiApp.SEARCH_OPERATORS.some(field => field !== 'type' && (Array.isArray(parsed[field]) ? parsed[field].length : parsed[field] !== null));
+        const all = hasCriteria ? this.searchEverything(parsed) : [];
+        const facets = {};
+        all.forEach(result => { facets[result.type] = (facets[result.type] || 0) + 1; });
+        // Scores are only comparable within a type, so types keep the facet order
+        const typeOrder = Object.keys(WikiApp.SEARCH_TYPES);
+        const results = all
+            .filter(result => parsed.type.length === 0 || parsed.type.includes(result.type))
+            .sort((a, b) => (typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)) || (b.score - a.score) || ((b.date || 0) - (a.date || 0)) || a.title.localeCompare(b.title));
+
+        const pageCount = Math.max(1, Math.ceil(results.length / WikiApp.SEARCH_PAGE_SIZE));
+        page = Math.min(Math.max(1, page), pageCount);
+        const first = (page - 1) * WikiApp.SEARCH_PAGE_SIZE;
+        this.searchPageResults = results.slice(first, first + WikiApp.SEARCH_PAGE_SIZE);
+
+        // Facet links swap the query's type: operators for one type (or none, for "All")
+        const withoutType = query.replace(/(^|\s)type:(?:"[^"]*"?|\S+)/gi, '').replace(/\s+/g, ' ').trim();
+        const facetLink = (type, label, count) => {
+            const route = this.searchRoute(type ? `${withoutType} type:${type}` : withoutType);
+            const active = type ? parsed.type.length === 1 && parsed.type[0] === type : parsed.type.length === 0;
+            return `<a href="#${route}" data-route="${route}" class="search-facet ${active ? 'active' : ''}">${label} <span class="search-facet-count">${count}</span></a>`;
+        };
+        const facetHtml = all.length ? `
+            <div class="search-facets">
+                ${facetLink(null, 'All', all.length)}
+                ${Object.entries(WikiApp.SEARCH_TYPES).filter(([type]) => facets[type]).map(([type, label]) => facetLink(type, label, facets[type])).join('')}
+            </div>
+        ` : '';
+
+        const typeLabels = { article: 'Article', artboard: 'Artboard item', comment: 'Comment', habit: 'Habit', webcomic: 'Webcomic page' };
+        const resultsHtml = this.searchPageResults.map((result, index) => `
+            <li class="search-page-result">
+                <div class="search-result-title">
+                    <a href="#${result.type === 'article' || result.type === 'comment' ? this._escapeMarkup(result.key) : ''}" onclick="window.wikiApp.openSearchPageResult(${index}); return false;"><span>${result.titleHtml}</span></a>
+                    <span class="search-result-type">${typeLabels[result.type]}</span>
+                </div>
+                ${result.snippet ? `<div class="search-result-preview">${result.snippet}</div>` : ''}
+                <div class="search-page-meta">${[result.meta ? this.escapeHtml(result.meta) : '', result.date ? new Date(result.date).toLocaleDateString() : ''].filter(Boolean).join(' · ')}</div>
+            </li>
+        `).join('');
+        const pageLink = (target, label) => target < 1 || target > pageCount
+            ? `<button class="btn-secondary" disabled>${label}</button>`
+            : `<a href="#${this.searchRoute(query, target)}" data-route="${this.searchRoute(query, target)}" class="btn-secondary">${label}</a>`;
+        const pager = pageCount > 1 ? `
+            <div class="search-page-pager">
+                ${pageLink(page - 1, 'Previous')}
+                <span>Page ${page} of ${pageCount}</span>
+                ${pageLink(page + 1, 'Next')}
+            </div>
+        ` : '';
+        this.searchPageQuery = query;
+
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header"><h1>Search results</h1></div>
+            <form class="search-page-form" onsubmit="window.wikiApp.navigate(window.wikiApp.searchRoute(this.elements.q.value)); return false;">
+                <input type="search" name="q" value="${this._escapeMarkup(query)}" placeholder="Search everything">
+                <button type="submit" class="btn-primary">Search</button>
+            </form>
+            <details class="search-page-help">
+                <summary>Search operators</summary>
+                <p><code>"exact phrase"</code>, <code>title:word</code>, <code>tag:name</code> (article categories and artboard tags), <code>album:name</code>, <code>author:handle</code>, <code>after:2024-01-31</code>, <code>before:2024-02-01</code> and <code>type:articles</code>; quote values with spaces, as in <code>album:"Summer trip"</code>.</p>
+            </details>
+            ${parsed.errors.map(error => `<p class="search-page-error">${this.escapeHtml(error)}</p>`).join('')}
+            ${facetHtml}
+            ${!hasCriteria ? '<p class="category-count">Type something to search for.</p>' : results.length === 0
+                ? `<p class="category-count">Nothing matches. ${parsed.words.length ? `<a href="#" onclick="window.wikiApp.showCreateFromSearch(window.wikiApp.searchPageQuery); return false;">Create "${this._escapeMarkup(query.trim())}"</a>?` : ''}</p>`
+                : `<p class="category-count">Showing ${first + 1}–${first + this.searchPageResults.length} of ${results.length} ${results.length === 1 ? 'result' : 'results'}.</p>
+                   <ul class="search-page-results">${resultsHtml}</ul>`}
+            ${pager}
+        `;
+        document.title = `${query.trim() ? `${query.trim()} - ` : ''}Search - XoxoWiki`;
+        this.updateTableOfContents([]);
+        window.scrollTo({ top: 0, behavior: 'instant' });
+    }
+
+    /** Go to a result on the current search page */
+    openSearchPageResult(index) {
+        const result = (this.searchPageResults || [])[index];
+        if (!result) return;
+        if (result.type === 'article' || result.type === 'comment') {
+            this.navigate(result.key);
+        } else if (result.type === 'artboard') {
+            this.viewArchiveItemPage(result.id);
+        } else if (result.type === 'habit') {
+            this.navigate('habits');
+        } else if (result.type === 'webcomic') {
+            this.navigate('main');
+            // The home page renders the webcomic section once it has loaded
+            setTimeout(() => this.goToWebcomicPage(result.index), 300);
+        }
+    }
+
     handleSearch(query) {
         const searchResults = document.getElementById('search-results');
         if (!searchResults) return;
@@ -4160,23 +6358,36 @@ class WikiApp {
         }
 
         const results = [];
-        
-        // Search through articles
-        for (const [key, article] of Object.entries(this.articles)) {
-            const title = article.title.toLowerCase();
-            const content = (article.content || '').toLowerCase();
-            
-            // Check if query matches title or content
-            if (title.includes(trimmedQuery) || content.includes(trimmedQuery)) {
-                const titleMatch = title.includes(trimmedQuery);
-                const contentPreview = content.substring(0, 100).replace(/\n/g, ' ');
-                
+
+        // Ranked articles from the search index, found by title, other name or text
+        const { names } = this._searchOtherNames();
+        for (const match of this.searchArticles(query)) {
+            const article = this.articles[match.key];
+            const titleHit = this.searchWords(article.title).some(({ word }) => match.terms.has(this.stemWord(word)) || match.terms.has(word));
+            const alias = titleHit ? null
+                : (names[match.key] || []).find(name => this.searchWords(name).some(({ word }) => match.terms.has(this.stemWord(word)) || match.terms.has(word)));
+            results.push({
+                type: 'article',
+                key: match.key,
+                title: article.title,
+                titleHtml: this.highlightSearchTerms(article.title, match.terms),
+                alias,
+                preview: this.searchSnippet(match.key, match.terms),
+                score: match.score,
+                titleMatch: match.titleMatch
+            });
+        }
+
+        // Search through categories
+        for (const [categoryKey, category] of Object.entries(this.getArticleIndex().categories)) {
+            const name = category.name.toLowerCase();
+            if (name.includes(trimmedQuery)) {
                 results.push({
-                    type: 'article',
-                    key,
-                    title: article.title,
-                    preview: contentPreview,
-                    titleMatch
+                    type: 'category',
+                    key: `category:${categoryKey}`,
+                    title: `Category: ${category.name}`,
+                    preview: `${category.members.length} ${category.members.length === 1 ? 'page' : 'pages'}`,
+                    titleMatch: true
                 });
             }
         }
@@ -4210,40 +6421,44 @@ class WikiApp {
             }
         }
 
-        // Sort: title matches first, then by type (articles, collections, habits), then by title
+        // Sort: title matches first, then by type (articles, collections, habits), then articles by rank and the rest by title
         results.sort((a, b) => {
             if (a.titleMatch !== b.titleMatch) {
                 return b.titleMatch ? 1 : -1;
             }
-            const typeOrder = { article: 0, collection: 1, habit: 2 };
+            const typeOrder = { article: 0, category: 1, collection: 2, habit: 3 };
             if (typeOrder[a.type] !== typeOrder[b.type]) {
                 return typeOrder[a.type] - typeOrder[b.type];
             }
+            if (a.type === 'article') {
+                return b.score - a.score;
+            }
             return a.title.localeCompare(b.title);
         });
 
         // Limit to 10 results
         this.searchResults = results.slice(0, 10);
+        const moreResults = results.length - this.searchResults.length;
         this.searchSelectedIndex = -1;
 
         if (this.searchResults.length === 0) {
             // Show create option with + icon
             const createQuery = query.trim();
             searchResults.innerHTML = `
-                <div class="search-result-create" data-query="${createQuery.replace(/"/g, '&quot;')}">
+                <div class="search-result-create" data-query="${this._escapeMarkup(createQuery)}">
                     <div class="search-result-create-icon">+</div>
                     <div class="search-result-create-content">
-                        <div class="search-result-title">Create "${createQuery}"</div>
+                        <div class="search-result-title">Create "${this.escapeHtml(createQuery)}"</div>
                         <div class="search-result-preview">Create new article or artboard</div>
                     </div>
                 </div>
             `;
         } else {
             searchResults.innerHTML = this.searchResults.map((result, index) => {
-                const typeLabel = result.type === 'article' ? 'Article' : result.type === 'collection' ? 'Artboard' : 'Habit';
+                const typeLabel = result.type === 'article' ? 'Article' : result.type === 'category' ? 'Category' : result.type === 'collection' ? 'Artboard' : 'Habit';
                 let href = '#';
-                if (result.type === 'article') {
-                    href = `#${result.key}`;
+                if (result.type === 'article' || result.type === 'category') {
+                    href = `#${this._escapeMarkup(result.key)}`;
                 } else if (result.type === 'collection') {
                     href = `#collection`;
                 } else if (result.type === 'habit') {
@@ -4251,15 +6466,16 @@ class WikiApp {
                 }
                 
                 return `
-                    <a href="${href}" data-route="${result.type === 'article' ? result.key : result.type === 'collection' ? 'archive' : 'main'}" class="search-result-item" data-index="${index}" data-type="${result.type}" data-collection-id="${result.type === 'collection' ? result.id : ''}" data-habit-name="${result.type === 'habit' ? result.title : ''}">
+                    <a href="${href}" data-route="${result.type === 'article' || result.type === 'category' ? this._escapeMarkup(result.key) : result.type === 'collection' ? 'archive' : 'main'}" class="search-result-item" data-index="${index}" data-type="${result.type}" data-collection-id="${result.type === 'collection' ? this._escapeMarkup(result.id) : ''}" data-habit-name="${result.type === 'habit' ? this._escapeMarkup(result.title) : ''}">
                         <div class="search-result-title">
-                            ${result.title}
+                            <span>${result.titleHtml || this.escapeHtml(result.title)}</span>
+                            ${result.alias ? `<span class="search-result-alias">(${this.escapeHtml(result.alias)})</span>` : ''}
                             <span class="search-result-type">${typeLabel}</span>
                         </div>
-                        <div class="search-result-preview">${result.preview}${result.type === 'article' ? '...' : ''}</div>
+                        <div class="search-result-preview">${result.type === 'article' ? result.preview : this.escapeHtml(result.preview)}</div>
                     </a>
                 `;
-            }).join('');
+            }).join('') + `<a href="#${this.searchRoute(query)}" data-route="${this.searchRoute(query)}" class="search-result-more">${moreResults > 0 ? `See all ${results.length} results` : 'Search everything'} for "${this.escapeHtml(query.trim())}"</a>`;
             
             // Add click handlers for collection results
             searchResults.querySelectorAll('.search-result-item[data-type="collection"]').forEach(item => {
@@ -4420,6 +6636,8 @@ class WikiApp {
             const date = new Date(comment.timestamp).toLocaleString();
             const hasReplies = comment.replies && comment.replies.length > 0;
             const replyCount = countReplies(comment);
+            const author = comment.handle || comment.author;
+            const authorLabel = comment.handle ? `@${comment.handle}` : comment.author;
             let repliesHtml = '';
             
             if (hasReplies) {
@@ -4433,7 +6651,7 @@ class WikiApp {
                 <div class="comment" id="comment-${comment.id}" data-comment-id="${comment.id}"${indent}>
                     <div class="comment-header">
                         ${hasReplies ? `<button class="comment-minimize-btn" onclick="window.wikiApp.toggleCommentMinimize('${comment.id}')" title="Minimize/Expand" aria-label="Minimize comment">${minimizeIcon}</button>` : '<span class="comment-minimize-spacer"></span>'}
-                        <strong class="comment-author clickable-username" id="comment-author-${comment.id}" onclick="window.wikiApp.viewUserProfile('${this.escapeHtml(comment.author)}')" title="View ${this.escapeHtml(comment.author)}'s profile">${this.escapeHtml(comment.author)}</strong>
+                        <strong class="comment-author clickable-username" id="comment-author-${comment.id}" onclick="window.wikiApp.viewUserProfile('${this.escapeHtml(author)}')" title="View ${this.escapeHtml(author)}'s profile">${this.escapeHtml(authorLabel)}</strong>
                         <span class="comment-date">${date}</span>
                         ${hasReplies ? `<span class="comment-reply-count" title="${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}">${replyCount}</span>` : ''}
                         <button class="comment-reply-btn" onclick="window.wikiApp.showReplyForm('${articleKey}', '${comment.id}')" style="margin-left: 1em; font-size: 12px; padding: 0.2em 0.5em;">Reply</button>
@@ -4463,8 +6681,8 @@ class WikiApp {
         }
         const textArea = document.getElementById('new-comment-text') || (parentId ? document.getElementById(`reply-text-${parentId}`) : null);
         
-        // Use Anonymous as author (no name field)
-        const comment = this.storage.addComment(articleKey, commentText, 'Anonymous', parentId);
+        // Signed-in users comment as their handle, everyone else as Anonymous (no name field)
+        const comment = this.storage.addComment(articleKey, commentText, this.storage.blueskyClient?.handle || 'Anonymous', parentId);
         
         // Clear form
         if (textArea) textArea.value = '';
@@ -4475,70 +6693,1121 @@ class WikiApp {
         if (commentsList) {
             commentsList.innerHTML = this.renderComments(articleKey, comments);
         }
-        
-        // Update Thoughts section
-        this.updateThoughtsDisplay();
-        this.updateRecentArticlesDisplay();
-        
-        // Hide reply form if it was shown
-        if (parentId) {
-            const replyForm = document.getElementById(`reply-form-${parentId}`);
-            if (replyForm) {
-                replyForm.style.display = 'none';
+        
+        // Update Thoughts section
+        this.updateThoughtsDisplay();
+        this.updateRecentArticlesDisplay();
+        
+        // Hide reply form if it was shown
+        if (parentId) {
+            const replyForm = document.getElementById(`reply-form-${parentId}`);
+            if (replyForm) {
+                replyForm.style.display = 'none';
+            }
+        }
+    }
+
+    toggleCommentMinimize(commentId) {
+        const commentEl = document.getElementById(`comment-${commentId}`);
+        const repliesEl = document.getElementById(`comment-replies-${commentId}`);
+        const minimizeBtn = commentEl?.querySelector('.comment-minimize-btn');
+        
+        if (!commentEl || !repliesEl || !minimizeBtn) return;
+        
+        const isMinimized = repliesEl.style.display === 'none';
+        repliesEl.style.display = isMinimized ? '' : 'none';
+        commentEl.classList.toggle('comment-minimized', !isMinimized);
+        
+        // Update icon
+        if (isMinimized) {
+            minimizeBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 14px; height: 14px;"><path d="M18 15l-6-6-6 6"/></svg>`;
+        } else {
+            minimizeBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 14px; height: 14px;"><path d="M6 9l6 6 6-6"/></svg>`;
+        }
+    }
+
+    async viewUserProfile(username) {
+        // Navigate to profile view
+        this.navigate(`profile:${encodeURIComponent(username)}`);
+    }
+
+    async showUserProfile(username) {
+        const container = document.getElementById('article-container');
+        if (!container) return;
+        
+        this.currentArticleKey = `profile:${username}`;
+        
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header">
+                <h1>Profile: ${this.escapeHtml(username)}</h1>
+                ${WikiApp.WIKI_HANDLE.test(username.replace(/^@/, '')) ? `<div class="source-link"><a href="#wiki:${username.replace(/^@/, '')}" data-route="wiki:${username.replace(/^@/, '')}">Browse their wiki</a></div>` : ''}
+            </div>
+            <div id="profile-content" style="padding: 2em 0;">
+                <p style="color: #54595d;">Loading posts from ${this.escapeHtml(username)}...</p>
+            </div>
+        `;
+        
+        // Fetch posts from this user
+        try {
+            await this.loadUserProfilePosts(username);
+        } catch (error) {
+            console.error('Error loading user profile:', error);
+            const profileContent = document.getElementById('profile-content');
+            if (profileContent) {
+                profileContent.innerHTML = `<p style="color: #d32f2f;">Error loading profile: ${this.escapeHtml(error.message || 'Unknown error')}</p>`;
+            }
+        }
+    }
+
+    // ===== ARTICLE INDEX =====
+    // What each article amounts to once its templates are expanded and it is parsed: its categories,
+    // the templates it uses and its links, with the sentence around each link. Entries are kept per
+    // article and only redone when the article or a template it looked up changes, so categories,
+    // backlinks and the special pages never reparse the whole wiki.
+
+    /**
+     * The index of this.articles, brought up to date: { byArticle: { key: [categoryKey] },
+     * categories: { categoryKey: { name, members: [key] } }, templateUsers: { templateKey: [key] },
+     * links: { key: [targetKey] }, linkContexts: { key: { targetKey: context } },
+     * linkedFrom: { targetKey: [key] }, redirects: { key: targetKey } }
+     */
+    getArticleIndex() {
+        if (this._articleIndex && this._articleIndex.articles === this.articles) return this._articleIndex.index;
+        const previous = this._articleIndex ? this._articleIndex.entries : new Map();
+        const entries = new Map();
+        const index = { byArticle: {}, categories: {}, templateUsers: {}, links: {}, linkContexts: {}, linkedFrom: {}, redirects: {} };
+        for (const [key, article] of Object.entries(this.articles)) {
+            let entry = previous.get(key);
+            if (!entry || !this._articleEntryCurrent(entry, article)) entry = this._indexArticle(key, article);
+            entries.set(key, entry);
+            if (entry.redirect) {
+                index.redirects[key] = entry.redirect;
+                continue;
+            }
+            entry.templates.forEach(templateKey => {
+                if (!index.templateUsers[templateKey]) index.templateUsers[templateKey] = [];
+                index.templateUsers[templateKey].push(key);
+            });
+            entry.categories.forEach(({ key: categoryKey, name }) => {
+                if (!index.categories[categoryKey]) index.categories[categoryKey] = { name, members: [] };
+                index.categories[categoryKey].members.push(key);
+            });
+            if (entry.categories.length) index.byArticle[key] = entry.categories.map(category => category.key);
+            index.links[key] = entry.links;
+            index.linkContexts[key] = entry.contexts;
+            entry.links.forEach(target => {
+                if (!index.linkedFrom[target]) index.linkedFrom[target] = [];
+                index.linkedFrom[target].push(key);
+            });
+        }
+        this._articleIndex = { articles: this.articles, entries, index };
+        return index;
+    }
+
+    /** Index entry for one article; `lookups` records the templates its expansion read */
+    _indexArticle(key, article) {
+        const redirect = this.redirectTarget(article.content);
+        const entry = { content: article.content, lookups: new Map(), redirect, categories: [], templates: [], links: [], contexts: {} };
+        if (redirect) return entry;
+        const used = new Set();
+        const ast = this.parseMarkup(this.expandTemplates(article.content, { used, lookups: entry.lookups }));
+        this._takeCategories(ast).forEach(name => {
+            const categoryKey = this.categoryKey(name);
+            if (categoryKey && !entry.categories.some(category => category.key === categoryKey)) entry.categories.push({ key: categoryKey, name });
+        });
+        entry.templates = [...used].filter(templateKey => templateKey !== key);
+        entry.contexts = this._linkContexts(ast);
+        entry.links = Object.keys(entry.contexts);
+        return entry;
+    }
+
+    /** Whether an entry still describes the article: same text, and every template it read is unchanged */
+    _articleEntryCurrent(entry, article) {
+        if (entry.content !== article.content) return false;
+        for (const [templateKey, content] of entry.lookups) {
+            const template = this.articles[templateKey];
+            if ((template ? template.content : null) !== content) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Each article a markup AST links to (keyed as linkTargetKey does), with the sentence around its
+     * first link: { targetKey: { text, start, end } }, where text.slice(start, end) is the link text.
+     */
+    _linkContexts(ast) {
+        const contexts = {};
+        const visitInline = nodes => {
+            // The block's plain text, noting where each link's text sits in it
+            let text = '';
+            const links = [];
+            const walk = list => list.forEach(node => {
+                if (node.type === 'wikilink') {
+                    const start = text.length;
+                    text += this.markupPlainText(node.children);
+                    links.push({ target: node.target, start, end: text.length });
+                } else if (node.children) {
+                    walk(node.children);
+                } else {
+                    text += this.markupPlainText([node]);
+                }
+            });
+            walk(nodes);
+            links.forEach(link => {
+                const key = this.linkTargetKey(link.target);
+                if (key && !contexts[key]) contexts[key] = this._sentenceAround(text, link.start, link.end);
+            });
+        };
+        const visitBlocks = blocks => blocks.forEach(block => {
+            if (block.type === 'paragraph' || block.type === 'heading') visitInline(block.children);
+            if (block.type === 'list') block.items.forEach(item => visitBlocks(item.children));
+            if (block.type === 'blockquote') visitBlocks(block.children);
+        });
+        visitBlocks(ast.children);
+        return contexts;
+    }
+
+    /** The sentence of text around [start, end), cut to about 200 characters: { text, start, end } with offsets into text */
+    _sentenceAround(text, start, end) {
+        const boundary = /[.!?]["')\]]*\s+/g;
+        let from = 0;
+        let match;
+        while ((match = boundary.exec(text)) && match.index + match[0].length <= start) from = match.index + match[0].length;
+        const next = text.slice(end).search(/[.!?]["')\]]*(\s|$)/);
+        let to = next === -1 ? text.length : end + next + 1;
+        if (to - from > 200) {
+            from = Math.max(from, start - 80);
+            to = Math.min(to, Math.max(end + 80, from + 200));
+        }
+        const prefix = from > 0 && !/[.!?]["')\]]*\s+$/.test(text.slice(0, from)) ? '…' : '';
+        const suffix = to < text.length && !/[.!?]["')\]]*$/.test(text.slice(from, to)) ? '…' : '';
+        return { text: prefix + text.slice(from, to) + suffix, start: prefix.length + start - from, end: prefix.length + end - from };
+    }
+
+    /**
+     * Articles linking to key: directly, through one of its aliases or through a redirect to it.
+     * [{ key, title, context, via }], where via is the redirect the link goes through, if any.
+     */
+    getBacklinks(key) {
+        const index = this.getArticleIndex();
+        const aliasIndex = this.buildAliasIndex();
+        const names = [key, ...Object.keys(aliasIndex).filter(alias => aliasIndex[alias] === key)];
+        const redirects = Object.keys(index.redirects)
+            .filter(redirect => redirect !== key && this.resolveArticleKey(index.redirects[redirect], aliasIndex) === key);
+        const backlinks = new Map();
+        const add = (target, via) => (index.linkedFrom[target] || []).forEach(source => {
+            if (source === key || backlinks.has(source)) return;
+            backlinks.set(source, { key: source, title: this.articles[source].title, context: index.linkContexts[source][target], via });
+        });
+        names.forEach(name => add(name, null));
+        redirects.forEach(redirect => add(redirect, redirect));
+        return [...backlinks.values()].sort((a, b) => a.title.localeCompare(b.title));
+    }
+
+    // ===== CATEGORIES =====
+    // [[Category:Name]] tags put an article in a category. Category pages (#category:name) list the
+    // members; an article keyed category:name describes the category, and its own tags make it a
+    // subcategory of those.
+
+    /** Route key for a category name */
+    categoryKey(name) {
+        return this.wikiLinkKey(name);
+    }
+
+    /** Display name of a category: from its tags, else its description page's title, else the key */
+    categoryName(categoryKey) {
+        const category = this.getArticleIndex().categories[categoryKey];
+        if (category) return category.name;
+        const page = this.articles[`category:${categoryKey}`];
+        return page ? page.title.replace(/^category\s*:\s*/i, '') : categoryKey;
+    }
+
+    /** Category bar shown under an article */
+    renderCategoryBar(key) {
+        const categories = this.getArticleIndex().byArticle[key] || [];
+        if (categories.length === 0) return '';
+        return `
+            <div class="category-bar">
+                <a href="#categories" data-route="categories">Categories</a>:
+                ${categories.map(categoryKey => `<a href="#category:${this._escapeMarkup(categoryKey)}" data-route="category:${this._escapeMarkup(categoryKey)}">${this.escapeHtml(this.categoryName(categoryKey))}</a>`).join(' | ')}
+            </div>
+        `;
+    }
+
+    /** List of article links, alphabetical and grouped by first letter */
+    _renderCategoryMembers(keys) {
+        const sorted = keys
+            .map(key => ({ key, title: key.startsWith('category:') ? this.categoryName(key.slice('category:'.length)) : this.articles[key].title }))
+            .sort((a, b) => a.title.localeCompare(b.title));
+        const groups = [];
+        sorted.forEach(item => {
+            const letter = item.title.charAt(0).toUpperCase() || '#';
+            const last = groups[groups.length - 1];
+            if (last && last.letter === letter) last.items.push(item);
+            else groups.push({ letter, items: [item] });
+        });
+        return `<div class="category-members">${groups.map(group => `
+            <div class="category-group">
+                <h3>${this.escapeHtml(group.letter)}</h3>
+                <ul>${group.items.map(item => `<li><a href="#${this._escapeMarkup(item.key)}" data-route="${this._escapeMarkup(item.key)}">${this.escapeHtml(item.title)}</a></li>`).join('')}</ul>
+            </div>
+        `).join('')}</div>`;
+    }
+
+    async showCategoryPage(name, sectionId = null) {
+        const container = document.getElementById('article-container');
+        if (!container) return;
+        await this.loadArticles();
+
+        const categoryKey = this.categoryKey(name);
+        const pageKey = `category:${categoryKey}`;
+        this.currentArticleKey = pageKey;
+        const index = this.getArticleIndex();
+        const members = (index.categories[categoryKey] || { members: [] }).members;
+        // Members that describe a category themselves are its subcategories
+        const subcategories = members.filter(key => key.startsWith('category:'));
+        const articles = members.filter(key => !key.startsWith('category:'));
+        const page = this.articles[pageKey];
+        const displayName = this.categoryName(categoryKey);
+
+        const subcategoryList = subcategories.length ? `
+            <h2>Subcategories</h2>
+            <p class="category-count">This category has ${subcategories.length} ${subcategories.length === 1 ? 'subcategory' : 'subcategories'}.</p>
+            ${this._renderCategoryMembers(subcategories)}
+        ` : '';
+        const content = page ? this.parseContent(page.content) : '';
+
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header">
+                <h1>Category: ${this.escapeHtml(displayName)}</h1>
+                <div class="article-actions">
+                    <button class="btn-secondary article-edit-button" id="category-describe-button">${page ? 'Edit description' : 'Describe this category'}</button>
+                </div>
+            </div>
+            ${content}
+            ${subcategoryList}
+            <h2>Pages in category "${this.escapeHtml(displayName)}"</h2>
+            ${articles.length
+                ? `<p class="category-count">${articles.length} ${articles.length === 1 ? 'page is' : 'pages are'} in this category.</p>${this._renderCategoryMembers(articles)}`
+                : '<p class="category-count">No pages are in this category yet. Add <code>[[Category:' + this.escapeHtml(displayName) + ']]</code> to an article to put it here.</p>'}
+            ${this.renderCategoryBar(pageKey)}
+        `;
+        // Bound here rather than inline, since the key comes from the URL and from article text
+        container.querySelector('#category-describe-button').addEventListener('click', () => {
+            if (page) this.editArticle(pageKey);
+            else this.createArticleFromKey(pageKey);
+        });
+        document.title = `Category: ${displayName} - XoxoWiki`;
+        this.updateTableOfContents(this.generateTableOfContents(content));
+        this.highlightSection(sectionId);
+    }
+
+    /** Every category with its number of pages, for #categories */
+    async showCategoryList() {
+        const container = document.getElementById('article-container');
+        if (!container) return;
+        await this.loadArticles();
+        this.currentArticleKey = 'categories';
+        const categories = Object.entries(this.getArticleIndex().categories)
+            .sort((a, b) => a[1].name.localeCompare(b[1].name));
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header"><h1>Categories</h1></div>
+            ${categories.length ? `<ul class="category-list">${categories.map(([categoryKey, category]) =>
+                `<li><a href="#category:${this._escapeMarkup(categoryKey)}" data-route="category:${this._escapeMarkup(categoryKey)}">${this.escapeHtml(category.name)}</a> <span class="remix-date">(${category.members.length})</span></li>`
+            ).join('')}</ul>` : '<p>No categories yet. Tag an article with <code>[[Category:Name]]</code> to start one.</p>'}
+        `;
+        document.title = 'Categories - XoxoWiki';
+        this.updateTableOfContents([]);
+    }
+
+    // ===== TEMPLATES =====
+    // {{Name|a|key=value}} transcludes the article Template:Name (key template:name) in its place,
+    // with {{{1}}}, {{{key}}} or {{{key|default}}} in the template's text replaced by the arguments.
+    // Expansion is textual and runs before parsing, so a template can hold any markup, including
+    // category tags and other templates. A <noinclude> part shows only on the template's own page,
+    // an <includeonly> part only where the template is used. Code is never expanded.
+    static MAX_TEMPLATE_DEPTH = 8;
+    static MAX_TEMPLATE_EXPANSIONS = 500;
+    static MAX_TEMPLATE_OUTPUT = 200000;
+
+    /** Article key of the template a {{Name}} call uses ({{Template:Name}} works too) */
+    templateKey(name) {
+        return `template:${this.wikiLinkKey(String(name).replace(/^\s*template\s*:/i, ''))}`;
+    }
+
+    /**
+     * Markup with every {{template}} call replaced by the template's text. Templates come from
+     * `articles` (another user's wiki uses its own); `used`, a Set, collects every template key reached,
+     * and `lookups`, a Map, every key looked up with the text found there (null if none).
+     */
+    expandTemplates(content, { articles = this.articles, used = null, lookups = null } = {}) {
+        const context = { articles, used, lookups, stack: [], depth: 0, expansions: 0, output: 0 };
+        return this._expandTemplateText(String(content || '').replace(/\r\n?/g, '\n'), context, false);
+    }
+
+    /** End of the `code span` opening at i (on the same line), or -1 if the backticks are unmatched */
+    _codeSpanEnd(text, i) {
+        const ticks = text.slice(i).match(/^`+/)[0];
+        const lineEnd = text.indexOf('\n', i);
+        const line = text.slice(i + ticks.length, lineEnd === -1 ? text.length : lineEnd);
+        const close = line.match(new RegExp(`(^|[^\`])${ticks}(?!\`)`));
+        return close ? i + ticks.length + close.index + close[0].length : -1;
+    }
+
+    /**
+     * Expand the calls in text. A template's own text is `transcluded` where it is used (its
+     * <noinclude> parts are dropped) and shown as is on its page (its <includeonly> parts are dropped).
+     */
+    _expandTemplateText(text, context, transcluded) {
+        const special = /[`{<\n]/g;
+        let out = '';
+        let fence = null;
+        let i = 0;
+        while (i < text.length) {
+            if (i === 0 || text[i - 1] === '\n') {
+                const lineEnd = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i) + 1;
+                const line = text.slice(i, lineEnd).replace(/\n$/, '');
+                const inCode = !!fence;
+                if (fence) {
+                    const closing = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                    if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) fence = null;
+                } else {
+                    const opening = line.match(WikiApp.MARKUP_FENCE);
+                    if (opening) fence = opening[2];
+                }
+                if (inCode || fence) {
+                    out += text.slice(i, lineEnd);
+                    i = lineEnd;
+                    continue;
+                }
+            }
+
+            special.lastIndex = i;
+            const match = special.exec(text);
+            const at = match ? match.index : text.length;
+            out += text.slice(i, at);
+            i = at;
+            if (!match) break;
+
+            const rest = text.slice(i, i + 16);
+            if (match[0] === '`') {
+                const end = this._codeSpanEnd(text, i);
+                const stop = end === -1 ? i + text.slice(i).match(/^`+/)[0].length : end;
+                out += text.slice(i, stop);
+                i = stop;
+            } else if (match[0] === '<' && /^<\/?(noinclude|includeonly)>/i.test(rest)) {
+                const tag = rest.match(/^<(\/?)(\w+)>/);
+                const name = tag[2].toLowerCase();
+                i += tag[0].length;
+                // The part that doesn't belong here is skipped up to its closing tag
+                if (!tag[1] && name === (transcluded ? 'noinclude' : 'includeonly')) {
+                    const close = text.toLowerCase().indexOf(`</${name}>`, i);
+                    i = close === -1 ? text.length : close + name.length + 3;
+                }
+            } else if (rest.startsWith('{{{')) {
+                // An argument placeholder with nothing to fill it stays as written
+                out += '{{{';
+                i += 3;
+            } else if (rest.startsWith('{{')) {
+                const end = this._templateCallEnd(text, i);
+                if (end === -1) {
+                    out += '{{';
+                    i += 2;
+                } else {
+                    out += this._expandTemplateCall(text.slice(i + 2, end), context, transcluded);
+                    i = end + 2;
+                }
+            } else {
+                out += match[0];
+                i++;
+            }
+        }
+        return out;
+    }
+
+    /** Index of the }} that closes the call opening at start, or -1; nested calls and placeholders are skipped */
+    _templateCallEnd(text, start) {
+        const closers = ['}}'];
+        let i = start + 2;
+        while (i < text.length) {
+            if (text[i] === '`') {
+                const end = this._codeSpanEnd(text, i);
+                i = end === -1 ? i + 1 : end;
+            } else if (text.startsWith('{{{', i)) {
+                closers.push('}}}');
+                i += 3;
+            } else if (text.startsWith('{{', i)) {
+                closers.push('}}');
+                i += 2;
+            } else if (text.startsWith('}}', i)) {
+                const closer = closers.pop();
+                if (closers.length === 0) return i;
+                i += closer === '}}}' && text.startsWith('}}}', i) ? 3 : 2;
+            } else {
+                i++;
+            }
+        }
+        return -1;
+    }
+
+    /** Split a call's inner text at its own | separators, not those of nested calls, links or code */
+    _splitTemplateArgs(inner) {
+        const parts = [];
+        let depth = 0;
+        let last = 0;
+        let i = 0;
+        while (i < inner.length) {
+            const pair = inner.slice(i, i + 2);
+            if (inner[i] === '`') {
+                const end = this._codeSpanEnd(inner, i);
+                i = end === -1 ? i + 1 : end;
+                continue;
+            }
+            if (pair === '{{' || pair === '[[') {
+                depth++;
+                i += 2;
+            } else if (pair === '}}' || pair === ']]') {
+                depth = Math.max(0, depth - 1);
+                i += 2;
+            } else {
+                if (inner[i] === '|' && depth === 0) {
+                    parts.push(inner.slice(last, i));
+                    last = i + 1;
+                }
+                i++;
+            }
+        }
+        parts.push(inner.slice(last));
+        return parts;
+    }
+
+    /** The text a call expands to; a missing template becomes a link to create it */
+    _expandTemplateCall(inner, context, transcluded) {
+        const [nameText, ...argTexts] = this._splitTemplateArgs(inner);
+        const name = nameText.trim();
+        if (!name || /[\n{}[\]<>]/.test(name)) return `{{${inner}}}`;
+        const title = `Template:${name.replace(/^template\s*:\s*/i, '')}`;
+
+        const lookup = templateKey => {
+            const found = context.articles[templateKey];
+            if (context.lookups) context.lookups.set(templateKey, found ? found.content : null);
+            return found;
+        };
+        let key = this.templateKey(name);
+        // A moved template leaves a redirect behind
+        for (let hops = 0; lookup(key) && hops < WikiApp.MAX_REDIRECTS; hops++) {
+            const target = this.redirectTarget(context.articles[key].content);
+            if (!target || !lookup(target)) break;
+            key = target;
+        }
+        const template = context.articles[key];
+        if (!template) return `[[${title}]]`;
+        if (context.used) context.used.add(key);
+        if (context.stack.includes(key)) return `**Template loop: [[${title}]]**`;
+        // Calls nested in another call's arguments count toward the depth as much as calls inside templates
+        if (context.depth >= WikiApp.MAX_TEMPLATE_DEPTH || ++context.expansions > WikiApp.MAX_TEMPLATE_EXPANSIONS) {
+            return `**Template nesting too deep: [[${title}]]**`;
+        }
+        if (context.output > WikiApp.MAX_TEMPLATE_OUTPUT) return `**Template output too long: [[${title}]]**`;
+
+        // Arguments are expanded where they are written, then passed in; named ones are trimmed
+        context.depth++;
+        const args = {};
+        let position = 0;
+        argTexts.forEach(argText => {
+            const named = argText.match(/^([^=[\]{}`]*?)=([\s\S]*)$/);
+            if (named && named[1].trim()) {
+                args[named[1].trim()] = this._expandTemplateText(named[2], context, transcluded).trim();
+            } else {
+                args[String(++position)] = this._expandTemplateText(argText, context, transcluded);
             }
+        });
+
+        // Every template's text counts toward the output limit once its arguments are filled in,
+        // so repeated placeholders can't multiply a page past it
+        const source = this._substituteTemplateArgs(template.content || '', args);
+        context.output += source === null ? Infinity : source.length;
+        if (context.output > WikiApp.MAX_TEMPLATE_OUTPUT) {
+            context.depth--;
+            return `**Template output too long: [[${title}]]**`;
+        }
+        context.stack.push(key);
+        const body = this._expandTemplateText(source, context, true);
+        context.stack.pop();
+        context.depth--;
+        return body.replace(/^\n+|\n+$/g, '');
+    }
+
+    /**
+     * Fill {{{name}}} and {{{name|default}}} placeholders; ones without an argument or default are left.
+     * Null if the filled text would grow past MAX_TEMPLATE_OUTPUT.
+     */
+    _substituteTemplateArgs(body, args) {
+        const placeholder = /\{\{\{([^{}|]*)(?:\|([^{}]*))?\}\}\}/g;
+        let text = String(body).replace(/\r\n?/g, '\n');
+        // Innermost first, so a default can itself be a placeholder
+        for (let pass = 0; pass < WikiApp.MAX_TEMPLATE_DEPTH; pass++) {
+            let changed = false;
+            let length = text.length;
+            text = text.replace(placeholder, (match, name, fallback) => {
+                const value = Object.prototype.hasOwnProperty.call(args, name.trim()) ? args[name.trim()] : fallback;
+                if (value === undefined || length > WikiApp.MAX_TEMPLATE_OUTPUT) return match;
+                length += value.length - match.length;
+                changed = true;
+                return value;
+            });
+            if (length > WikiApp.MAX_TEMPLATE_OUTPUT) return null;
+            if (!changed) break;
         }
+        return text;
     }
 
-    toggleCommentMinimize(commentId) {
-        const commentEl = document.getElementById(`comment-${commentId}`);
-        const repliesEl = document.getElementById(`comment-replies-${commentId}`);
-        const minimizeBtn = commentEl?.querySelector('.comment-minimize-btn');
-        
-        if (!commentEl || !repliesEl || !minimizeBtn) return;
-        
-        const isMinimized = repliesEl.style.display === 'none';
-        repliesEl.style.display = isMinimized ? '' : 'none';
-        commentEl.classList.toggle('comment-minimized', !isMinimized);
-        
-        // Update icon
-        if (isMinimized) {
-            minimizeBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 14px; height: 14px;"><path d="M18 15l-6-6-6 6"/></svg>`;
-        } else {
-            minimizeBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width: 14px; height: 14px;"><path d="M6 9l6 6 6-6"/></svg>`;
+    /** "Pages using this template" on a template's page */
+    renderTemplateUsers(key) {
+        if (!key.startsWith('template:')) return '';
+        const users = this.getArticleIndex().templateUsers[key] || [];
+        const name = this.articles[key] ? this.articles[key].title.replace(/^template\s*:\s*/i, '') : key.slice('template:'.length);
+        return `
+            <div class="template-users">
+                <h2>Pages using this template</h2>
+                ${users.length
+                    ? `<p class="category-count">${users.length} ${users.length === 1 ? 'page uses' : 'pages use'} this template and ${users.length === 1 ? 'shows' : 'show'} its current text.</p>${this._renderCategoryMembers(users)}`
+                    : `<p class="category-count">No pages use this template yet. Write <code>{{${this.escapeHtml(name)}}}</code> in an article to include it.</p>`}
+            </div>
+        `;
+    }
+
+    // ===== SPECIAL PAGES =====
+    // Maintenance reports built from the link graph in getArticleIndex(): #special:wanted (links to
+    // pages that don't exist, most linked first), #special:orphans (articles nothing links to) and
+    // #special:deadends (articles that link nowhere). #special lists them.
+    static SPECIAL_PAGES = {
+        wanted: { title: 'Wanted pages', description: 'Pages that are linked to but don\'t exist yet, most wanted first.' },
+        orphans: { title: 'Orphaned pages', description: 'Articles that no other article links to, so readers can only find them by searching.' },
+        deadends: { title: 'Dead-end pages', description: 'Articles that don\'t link to any other article.' }
+    };
+
+    /** Missing link targets with the articles linking to them: [{ key, sources: [key] }], most linked first */
+    getWantedPages() {
+        const aliasIndex = this.buildAliasIndex();
+        const wanted = {};
+        for (const [source, targets] of Object.entries(this.getArticleIndex().links)) {
+            targets.forEach(target => {
+                if (this.linkTargetExists(target, aliasIndex)) return;
+                if (!wanted[target]) wanted[target] = [];
+                wanted[target].push(source);
+            });
+        }
+        return Object.entries(wanted)
+            .map(([key, sources]) => ({ key, sources }))
+            .sort((a, b) => b.sources.length - a.sources.length || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Articles no other article links to, directly, through an alias or through a redirect. The home
+     * page, redirects, category descriptions and templates in use are reached in other ways.
+     */
+    getOrphanedPages() {
+        const index = this.getArticleIndex();
+        const aliasIndex = this.buildAliasIndex();
+        const linked = new Set();
+        const resolved = new Map();
+        for (const [source, targets] of Object.entries(index.links)) {
+            targets.forEach(target => {
+                if (!resolved.has(target)) resolved.set(target, this.followRedirects(target, aliasIndex).key);
+                const key = resolved.get(target);
+                if (key !== source) linked.add(key);
+            });
         }
+        return Object.keys(this.articles).filter(key => key !== 'main'
+            && !linked.has(key)
+            && !this.redirectTarget(this.articles[key].content)
+            && !key.startsWith('category:')
+            && !(key.startsWith('template:') && index.templateUsers[key]));
     }
 
-    async viewUserProfile(username) {
-        // Navigate to profile view
-        this.navigate(`profile:${encodeURIComponent(username)}`);
+    /** Articles (not redirects) whose text links to no other page */
+    getDeadEndPages() {
+        const links = this.getArticleIndex().links;
+        return Object.keys(this.articles).filter(key =>
+            links[key] && !links[key].some(target => target !== key));
     }
 
-    async showUserProfile(username) {
+    /** Create a page from #special:wanted; by index into the list shown, so keys never go into onclick */
+    createWantedPage(index) {
+        const wanted = (this.wantedPages || [])[index];
+        if (wanted) this.createArticleFromKey(wanted.key);
+    }
+
+    async showSpecialPage(name) {
         const container = document.getElementById('article-container');
         if (!container) return;
-        
-        this.currentArticleKey = `profile:${username}`;
-        
+        await this.loadArticles();
+        const page = Object.prototype.hasOwnProperty.call(WikiApp.SPECIAL_PAGES, name) ? WikiApp.SPECIAL_PAGES[name] : null;
+        this.currentArticleKey = page ? `special:${name}` : 'special';
+
+        const titleOf = key => this.articles[key] ? this.articles[key].title : key;
+        const articleLink = key => `<a href="#${this._escapeMarkup(key)}" data-route="${this._escapeMarkup(key)}">${this.escapeHtml(titleOf(key))}</a>`;
+        let body;
+        if (!page) {
+            body = `<ul class="special-page-list">${Object.entries(WikiApp.SPECIAL_PAGES).map(([id, special]) => `
+                <li><a href="#special:${id}" data-route="special:${id}">${special.title}</a> <span class="category-count">— ${special.description}</span></li>
+            `).join('')}
+                <li><a href="#categories" data-route="categories">Categories</a> <span class="category-count">— Every category and how many pages it has.</span></li>
+            </ul>`;
+        } else if (name === 'wanted') {
+            this.wantedPages = this.getWantedPages();
+            body = this.wantedPages.length ? `<ol class="special-page-list">${this.wantedPages.map((wanted, index) => `
+                <li>
+                    <a href="#${this._escapeMarkup(wanted.key)}" data-route="${this._escapeMarkup(wanted.key)}" class="wiki-link article-missing">${this.escapeHtml(wanted.key)}</a>
+                    <span class="category-count">(${wanted.sources.length} ${wanted.sources.length === 1 ? 'link' : 'links'} from ${wanted.sources.slice(0, 5).map(articleLink).join(', ')}${wanted.sources.length > 5 ? ', …' : ''})</span>
+                    <button class="btn-secondary special-create-button" onclick="window.wikiApp.createWantedPage(${index})">Create</button>
+                </li>
+            `).join('')}</ol>` : '<p class="category-count">Every link leads to an existing page.</p>';
+        } else {
+            const keys = (name === 'orphans' ? this.getOrphanedPages() : this.getDeadEndPages())
+                .sort((a, b) => titleOf(a).localeCompare(titleOf(b)));
+            body = keys.length
+                ? `<p class="category-count">${keys.length} ${keys.length === 1 ? 'article' : 'articles'}.</p>${this._renderCategoryMembers(keys)}`
+                : `<p class="category-count">${name === 'orphans' ? 'Every article is linked from another one.' : 'Every article links somewhere.'}</p>`;
+        }
+
         container.innerHTML = `
             ${this.renderSectionNav()}
-            <div class="article-header">
-                <h1>Profile: ${this.escapeHtml(username)}</h1>
+            <div class="article-header"><h1>${page ? page.title : 'Special pages'}</h1></div>
+            ${page ? `<p>${page.description} <a href="#special" data-route="special">All special pages</a></p>` : ''}
+            ${body}
+        `;
+        document.title = `${page ? page.title : 'Special pages'} - XoxoWiki`;
+        this.updateTableOfContents([]);
+    }
+
+    // ===== LINK GRAPH =====
+    // #graph draws the wiki as a force-directed network built from getArticleIndex(): articles are
+    // nodes and wiki links are edges. Drag to pan, scroll to zoom, hover an article to light up its
+    // neighbourhood and click it to open it. Articles are tagged with [[Category:Name]], so filtering
+    // by category is filtering by tag. #graph:key starts with key's neighbourhood lit up, and the
+    // "Link Graph" bento puts the same view on the home page.
+    static GRAPH_LAYOUT = { repulsion: 900, springLength: 60, springStrength: 0.04, gravity: 0.02, damping: 0.6, cooling: 0.985, minAlpha: 0.02 };
+    static GRAPH_ZOOM = { min: 0.1, max: 6, step: 1.25 };
+
+    /**
+     * Articles and the links between them: { nodes: [{ key, title, degree }], edges: [[from, to]] },
+     * edges as indexes into nodes, one per linked pair. Links through aliases and redirects count for
+     * the article they end at, and redirects aren't nodes. With a category key, only its members.
+     */
+    getLinkGraph(categoryKey = null) {
+        const index = this.getArticleIndex();
+        const aliasIndex = this.buildAliasIndex();
+        const keys = Object.keys(this.articles).filter(key => !index.redirects[key]
+            && (!categoryKey || (index.byArticle[key] || []).includes(categoryKey)));
+        const positions = new Map(keys.map((key, i) => [key, i]));
+        const nodes = keys.map(key => ({ key, title: this.articles[key].title || key, degree: 0 }));
+        const edges = [];
+        const pairs = new Set();
+        const resolved = new Map();
+        keys.forEach((source, from) => (index.links[source] || []).forEach(target => {
+            if (!resolved.has(target)) resolved.set(target, this.followRedirects(target, aliasIndex).key);
+            const to = positions.get(resolved.get(target));
+            if (to === undefined || to === from) return;
+            const pair = from < to ? `${from} ${to}` : `${to} ${from}`;
+            if (pairs.has(pair)) return;
+            pairs.add(pair);
+            edges.push([from, to]);
+            nodes[from].degree++;
+            nodes[to].degree++;
+        }));
+        return { nodes, edges };
+    }
+
+    async showGraphPage(focusKey = null) {
+        const container = document.getElementById('article-container');
+        if (!container) return;
+        await this.loadArticles();
+        this.currentArticleKey = focusKey ? `graph:${focusKey}` : 'graph';
+        this.graphFocus = focusKey;
+
+        const categories = Object.entries(this.getArticleIndex().categories)
+            .sort((a, b) => a[1].name.localeCompare(b[1].name));
+        const focusTitle = focusKey && this.articles[focusKey] ? this.articles[focusKey].title : focusKey;
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header"><h1>Link graph</h1></div>
+            <p>${focusKey
+                ? `Articles linked with <a href="#${this._escapeMarkup(focusKey)}" data-route="${this._escapeMarkup(focusKey)}">${this.escapeHtml(focusTitle)}</a> are highlighted. <a href="#graph" data-route="graph">Show the whole graph</a>`
+                : 'Every article and the links between them.'} Drag to move around, scroll to zoom, hover an article to see what it's linked with and click it to open it.</p>
+            <div class="link-graph-toolbar">
+                <label for="link-graph-category" title="Articles are tagged with [[Category:Name]], so their tags are these categories">Category or tag</label>
+                <select id="link-graph-category" onchange="window.wikiApp.filterLinkGraph(this.value)">
+                    <option value="">All articles</option>
+                    ${categories.map(([key, category]) => `<option value="${this._escapeMarkup(key)}">${this.escapeHtml(category.name)} (${category.members.length})</option>`).join('')}
+                </select>
+                <button class="btn-secondary" onclick="window.wikiApp.zoomLinkGraph(1)" title="Zoom in">+</button>
+                <button class="btn-secondary" onclick="window.wikiApp.zoomLinkGraph(-1)" title="Zoom out">−</button>
+                <button class="btn-secondary" onclick="window.wikiApp.zoomLinkGraph(0)" title="Fit the whole graph">Fit</button>
             </div>
-            <div id="profile-content" style="padding: 2em 0;">
-                <p style="color: #54595d;">Loading posts from ${this.escapeHtml(username)}...</p>
+            <div class="link-graph link-graph-page">
+                <canvas></canvas>
+                <p class="link-graph-summary"></p>
             </div>
         `;
-        
-        // Fetch posts from this user
+        document.title = 'Link graph - XoxoWiki';
+        this.updateTableOfContents([]);
+        this.filterLinkGraph('');
+    }
+
+    /** Redraw the #graph page with only a category's members, or everything for '' */
+    filterLinkGraph(categoryKey) {
+        const wrapper = document.querySelector('.link-graph-page');
+        if (!wrapper) return;
+        if (this.graphPageView) this.graphPageView.stop();
+        this.graphPageView = this._startLinkGraph(wrapper, this.getLinkGraph(categoryKey || null), { focus: this.graphFocus, labels: true });
+    }
+
+    /** Zoom buttons on the #graph page: 1 in, -1 out, 0 to fit the whole graph */
+    zoomLinkGraph(direction) {
+        const view = this.graphPageView;
+        if (!view) return;
+        if (direction === 0) view.fit();
+        else view.zoom(direction > 0 ? WikiApp.GRAPH_ZOOM.step : 1 / WikiApp.GRAPH_ZOOM.step);
+    }
+
+    /** Start the graph in every Link Graph bento under root */
+    setupLinkGraphBentos(root = document) {
+        const wrappers = root.querySelectorAll('.link-graph-bento');
+        if (wrappers.length === 0) return;
+        const graph = this.getLinkGraph();
+        wrappers.forEach(wrapper => this._startLinkGraph(wrapper, graph, { labels: false }));
+    }
+
+    /**
+     * Lay out and draw a graph on the canvas inside wrapper, and handle panning, zooming, hovering and
+     * clicking on it. Runs until the layout settles and again on interaction, and stops for good once
+     * the canvas leaves the page. Returns { zoom(factor), fit(), stop() }.
+     */
+    _startLinkGraph(wrapper, graph, { focus = null, labels = true } = {}) {
+        const canvas = wrapper.querySelector('canvas');
+        const summary = wrapper.querySelector('.link-graph-summary');
+        const { nodes, edges } = graph;
+        const noop = { zoom() {}, fit() {}, stop() {} };
+        if (summary) {
+            summary.textContent = nodes.length
+                ? `${nodes.length} ${nodes.length === 1 ? 'article' : 'articles'}, ${edges.length} ${edges.length === 1 ? 'link' : 'links'}`
+                : 'No articles to show yet.';
+        }
+        const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx || nodes.length === 0) return noop;
+
+        const layout = WikiApp.GRAPH_LAYOUT;
+        const neighbours = nodes.map(() => new Set());
+        edges.forEach(([a, b]) => {
+            neighbours[a].add(b);
+            neighbours[b].add(a);
+        });
+        // Start on a sunflower spiral, so no two nodes share a spot
+        const points = nodes.map((node, i) => {
+            const radius = layout.springLength * 0.5 * Math.sqrt(i + 0.5);
+            const angle = i * 2.399963;
+            return { x: radius * Math.cos(angle), y: radius * Math.sin(angle), vx: 0, vy: 0 };
+        });
+        const radiusOf = i => 4 + Math.sqrt(nodes[i].degree) * 2;
+        const view = { scale: 1, x: 0, y: 0, alpha: 1, autoFit: true, hover: -1, dragging: -1, focus: nodes.findIndex(node => node.key === focus), frame: null };
+        const listeners = new AbortController();
+        const size = () => ({ width: canvas.clientWidth || 300, height: canvas.clientHeight || 200 });
+
+        const tick = () => {
+            for (let i = 0; i < points.length; i++) {
+                for (let j = i + 1; j < points.length; j++) {
+                    const dx = points[j].x - points[i].x;
+                    const dy = points[j].y - points[i].y;
+                    const distanceSq = Math.max(dx * dx + dy * dy, 1);
+                    const force = layout.repulsion * view.alpha / distanceSq / Math.sqrt(distanceSq);
+                    points[i].vx -= dx * force;
+                    points[i].vy -= dy * force;
+                    points[j].vx += dx * force;
+                    points[j].vy += dy * force;
+                }
+            }
+            edges.forEach(([a, b]) => {
+                const dx = points[b].x - points[a].x;
+                const dy = points[b].y - points[a].y;
+                const distance = Math.max(Math.sqrt(dx * dx + dy * dy), 1);
+                const force = (distance - layout.springLength) * layout.springStrength * view.alpha / distance;
+                points[a].vx += dx * force;
+                points[a].vy += dy * force;
+                points[b].vx -= dx * force;
+                points[b].vy -= dy * force;
+            });
+            points.forEach((point, i) => {
+                point.vx = (point.vx - point.x * layout.gravity * view.alpha) * layout.damping;
+                point.vy = (point.vy - point.y * layout.gravity * view.alpha) * layout.damping;
+                if (i === view.dragging) {
+                    point.vx = point.vy = 0;
+                    return;
+                }
+                point.x += point.vx;
+                point.y += point.vy;
+            });
+            view.alpha *= layout.cooling;
+        };
+
+        const fit = () => {
+            const { width, height } = size();
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            const minX = Math.min(...xs);
+            const maxX = Math.max(...xs);
+            const minY = Math.min(...ys);
+            const maxY = Math.max(...ys);
+            const scale = Math.min(width / (maxX - minX + 80), height / (maxY - minY + 80));
+            view.scale = Math.min(Math.max(scale, WikiApp.GRAPH_ZOOM.min), WikiApp.GRAPH_ZOOM.max);
+            view.x = -(minX + maxX) / 2 * view.scale;
+            view.y = -(minY + maxY) / 2 * view.scale;
+        };
+
+        const draw = () => {
+            const { width, height } = size();
+            const ratio = window.devicePixelRatio || 1;
+            if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+                canvas.width = Math.round(width * ratio);
+                canvas.height = Math.round(height * ratio);
+            }
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            ctx.translate(width / 2 + view.x, height / 2 + view.y);
+            ctx.scale(view.scale, view.scale);
+
+            const active = view.hover !== -1 ? view.hover : view.focus;
+            const lit = i => active === -1 || i === active || neighbours[active].has(i);
+            ctx.lineWidth = 1 / view.scale;
+            edges.forEach(([a, b]) => {
+                const touches = active !== -1 && (a === active || b === active);
+                ctx.strokeStyle = touches ? '#0645ad' : active === -1 ? '#a2a9b1' : '#eaecf0';
+                ctx.beginPath();
+                ctx.moveTo(points[a].x, points[a].y);
+                ctx.lineTo(points[b].x, points[b].y);
+                ctx.stroke();
+            });
+            points.forEach((point, i) => {
+                ctx.fillStyle = i === active ? '#d33' : lit(i) ? '#36c' : '#c8ccd1';
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, radiusOf(i), 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.font = `${12 / view.scale}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            points.forEach((point, i) => {
+                const shown = active === -1 ? labels && view.scale >= 0.6 : lit(i) && (labels || i === active || view.scale >= 0.6);
+                if (!shown) return;
+                ctx.fillStyle = lit(i) ? '#202122' : '#a2a9b1';
+                ctx.fillText(nodes[i].title, point.x, point.y + radiusOf(i) + 2 / view.scale);
+            });
+        };
+
+        const frame = () => {
+            view.frame = null;
+            if (!canvas.isConnected) {
+                stop();
+                return;
+            }
+            const moving = view.alpha >= layout.minAlpha;
+            if (moving) {
+                tick();
+                if (view.autoFit) fit();
+            }
+            draw();
+            if (moving) wake();
+        };
+        const wake = () => {
+            if (view.frame === null && !listeners.signal.aborted) view.frame = window.requestAnimationFrame(frame);
+        };
+        const stop = () => {
+            listeners.abort();
+            if (view.frame !== null) window.cancelAnimationFrame(view.frame);
+            view.frame = null;
+        };
+
+        const zoomAt = (factor, offsetX, offsetY) => {
+            const { width, height } = size();
+            const scale = Math.min(Math.max(view.scale * factor, WikiApp.GRAPH_ZOOM.min), WikiApp.GRAPH_ZOOM.max);
+            // Keep the point under the pointer where it is
+            const worldX = (offsetX - width / 2 - view.x) / view.scale;
+            const worldY = (offsetY - height / 2 - view.y) / view.scale;
+            view.x = offsetX - width / 2 - worldX * scale;
+            view.y = offsetY - height / 2 - worldY * scale;
+            view.scale = scale;
+            view.autoFit = false;
+            wake();
+        };
+        const nodeAt = (offsetX, offsetY) => {
+            const { width, height } = size();
+            const worldX = (offsetX - width / 2 - view.x) / view.scale;
+            const worldY = (offsetY - height / 2 - view.y) / view.scale;
+            let found = -1;
+            let best = Infinity;
+            points.forEach((point, i) => {
+                const distance = Math.hypot(point.x - worldX, point.y - worldY);
+                if (distance <= radiusOf(i) + 4 / view.scale && distance < best) {
+                    found = i;
+                    best = distance;
+                }
+            });
+            return found;
+        };
+
+        const { signal } = listeners;
+        let press = null;
+        canvas.addEventListener('pointerdown', e => {
+            press = { x: e.clientX, y: e.clientY, lastX: e.clientX, lastY: e.clientY, node: nodeAt(e.offsetX, e.offsetY), moved: false };
+            if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+        }, { signal });
+        canvas.addEventListener('pointermove', e => {
+            if (!press) {
+                const hover = nodeAt(e.offsetX, e.offsetY);
+                canvas.style.cursor = hover === -1 ? 'grab' : 'pointer';
+                if (hover !== view.hover) {
+                    view.hover = hover;
+                    wake();
+                }
+                return;
+            }
+            if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > 4) press.moved = true;
+            if (!press.moved) return;
+            if (press.node !== -1) {
+                // Drag the article and let its neighbours follow
+                const point = points[press.node];
+                point.x += (e.clientX - press.lastX) / view.scale;
+                point.y += (e.clientY - press.lastY) / view.scale;
+                view.dragging = press.node;
+                view.alpha = Math.max(view.alpha, 0.3);
+            } else {
+                view.x += e.clientX - press.lastX;
+                view.y += e.clientY - press.lastY;
+                canvas.style.cursor = 'grabbing';
+            }
+            view.autoFit = false;
+            press.lastX = e.clientX;
+            press.lastY = e.clientY;
+            wake();
+        }, { signal });
+        canvas.addEventListener('pointerup', () => {
+            if (press && !press.moved && press.node !== -1) {
+                stop();
+                this.navigate(nodes[press.node].key);
+                return;
+            }
+            press = null;
+            view.dragging = -1;
+            canvas.style.cursor = '';
+        }, { signal });
+        canvas.addEventListener('pointerleave', () => {
+            if (press || view.hover === -1) return;
+            view.hover = -1;
+            wake();
+        }, { signal });
+        canvas.addEventListener('wheel', e => {
+            e.preventDefault();
+            zoomAt(Math.exp(-e.deltaY / 500), e.offsetX, e.offsetY);
+        }, { signal, passive: false });
+
+        wake();
+        return {
+            zoom: factor => {
+                const { width, height } = size();
+                zoomAt(factor, width / 2, height / 2);
+            },
+            fit: () => {
+                fit();
+                view.autoFit = true;
+                wake();
+            },
+            stop
+        };
+    }
+
+    // ===== OTHER USERS' WIKIS =====
+    // #wiki:handle lists someone's articles and #wiki:handle/key shows one, read-only, with wiki
+    // links pointing inside their wiki. Nothing here needs a login.
+    static WIKI_HANDLE = /^(did:[a-z]+:[a-zA-Z0-9._:%-]+|[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)+)$/;
+
+    wikiRoute(handle, key = null) {
+        return key ? `wiki:${handle}/${key}` : `wiki:${handle}`;
+    }
+
+    async showRemoteWiki(handle, key = null, sectionId = null) {
+        const container = document.getElementById('article-container');
+        if (!container) return;
+
+        handle = String(handle).replace(/^@/, '').trim();
+        this.currentArticleKey = this.wikiRoute(handle, key);
+        if (!WikiApp.WIKI_HANDLE.test(handle)) {
+            container.innerHTML = `<div class="article-header"><h1>Wiki not found</h1></div><p>"${this.escapeHtml(handle)}" is not a Bluesky handle.</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header"><h1>@${handle}</h1></div>
+            <p style="color: #54595d;">Loading @${handle}'s wiki...</p>
+        `;
+
+        let wiki;
         try {
-            await this.loadUserProfilePosts(username);
+            wiki = await this.storage.getRemoteWiki(handle);
         } catch (error) {
-            console.error('Error loading user profile:', error);
-            const profileContent = document.getElementById('profile-content');
-            if (profileContent) {
-                profileContent.innerHTML = `<p style="color: #d32f2f;">Error loading profile: ${this.escapeHtml(error.message || 'Unknown error')}</p>`;
-            }
+            console.error('Error loading wiki:', error);
+            container.innerHTML = `
+                <div class="article-header"><h1>@${handle}</h1></div>
+                <p style="color: #d32f2f;">Could not load this wiki: ${this.escapeHtml(error.message || 'Unknown error')}</p>
+            `;
+            return;
+        }
+        // The user may have navigated on while the wiki loaded
+        if (this.currentArticleKey !== this.wikiRoute(handle, key)) return;
+
+        const allArticlesLink = `<a href="#${this.wikiRoute(handle)}" data-route="${this.wikiRoute(handle)}">All articles by @${handle}</a>`;
+        const article = key ? wiki.articles[key] : null;
+
+        if (!key || !article) {
+            const keys = Object.keys(wiki.articles)
+                .sort((a, b) => wiki.articles[a].title.localeCompare(wiki.articles[b].title));
+            const listItems = keys.map(k =>
+                `<li><a href="#${this.wikiRoute(handle, k)}" data-route="${this.wikiRoute(handle, k)}">${this.escapeHtml(wiki.articles[k].title)}</a></li>`
+            ).join('');
+            container.innerHTML = `
+                ${this.renderSectionNav()}
+                <div class="article-header">
+                    <h1>@${handle}'s wiki<span class="remote-wiki-badge">Read-only</span></h1>
+                    <div class="source-link"><a href="#profile:${handle}" data-route="profile:${handle}">Posts by @${handle}</a></div>
+                </div>
+                ${key ? `<p>@${handle} has no article "${this.escapeHtml(key)}".</p>` : ''}
+                ${keys.length ? `<ul class="remote-wiki-list">${listItems}</ul>` : `<p>@${handle} has no articles yet.</p>`}
+            `;
+            document.title = `@${handle}'s wiki - XoxoWiki`;
+            this.updateTableOfContents([]);
+            return;
         }
+
+        const content = this.parseContent(article.content, { wiki: { handle, articles: wiki.articles } });
+        container.innerHTML = `
+            ${this.renderSectionNav()}
+            <div class="article-header">
+                <h1>${this.escapeHtml(article.title)}<span class="section-actions"><a href="#${this._escapeMarkup(this.currentArticleKey)}" class="section-copy-link" data-article-action="copy-link" data-article-key="${this._escapeMarkup(this.currentArticleKey)}">[copy link]</a></span><span class="remote-wiki-badge">From @${handle}'s wiki</span></h1>
+                <div class="source-link">${allArticlesLink}</div>
+                <div class="article-actions">
+                    <button class="article-remix-button" onclick="window.wikiApp.forkRemoteArticle('${article.uri}', '${handle}')" title="Copy this article into your wiki"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M7 16V4m0 0L3 8m4-4l4 4m6 4v12m0 0l4-4m-4 4l-4-4"/></svg>Fork</button>
+                </div>
+            </div>
+            ${content}
+        `;
+        document.title = `${article.title} (@${handle}) - XoxoWiki`;
+
+        setTimeout(() => this.updateTableOfContents(this.generateTableOfContents(content)), 100);
+        this.highlightSection(sectionId);
     }
 
     async loadUserProfilePosts(username) {
@@ -4720,8 +7989,8 @@ class WikiApp {
             alert('Please enter a reply');
             return;
         }
-        // Use Anonymous as author for replies (no name field)
-        const comment = this.storage.addComment(articleKey, resolvedText, 'Anonymous', parentId);
+        // Signed-in users reply as their handle, everyone else as Anonymous (no name field)
+        const comment = this.storage.addComment(articleKey, resolvedText, this.storage.blueskyClient?.handle || 'Anonymous', parentId);
         // Clear reply form
         if (textArea) textArea.value = '';
         
@@ -4757,10 +8026,37 @@ class WikiApp {
         const newTitle = `${article.title} (Remix)`;
         
         // Set metadata for the remix
-        this.storage.saveArticleMeta(newKey, { remixedFrom: article.title });
+        this.storage.saveArticleMeta(newKey, { remixedFrom: { ...this.storage.getArticleSource(key), forkedAt: Date.now() } });
         this.storage.logActivity('remix', { original: key, newKey });
         
-        // Open editor with the remixed content
+        this.openRemixEditor(newKey, newTitle, article.content || '');
+    }
+
+    /** Fork another user's article (by AT-URI) into this wiki, keeping the record it came from. */
+    async forkRemoteArticle(uri, handle = null) {
+        let source;
+        try {
+            source = await this.storage.getPublicArticleRecord(uri);
+        } catch (error) {
+            console.error('Error loading article to fork:', error);
+            alert('Could not load the article: ' + (error.message || 'Unknown error'));
+            return;
+        }
+        if (!source) {
+            alert('This article no longer exists.');
+            return;
+        }
+        
+        const newKey = this.articles[source.key] ? `${source.key}-fork-${Date.now()}` : source.key;
+        this.storage.saveArticleMeta(newKey, {
+            remixedFrom: { uri: source.uri, cid: source.cid, title: source.title, key: source.key, handle: handle || source.did, forkedAt: Date.now() }
+        });
+        this.storage.logActivity('remix', { original: source.uri, newKey });
+        
+        this.openRemixEditor(newKey, source.title, source.content);
+    }
+
+    openRemixEditor(newKey, newTitle, content) {
         document.getElementById('modal-title').textContent = 'Create Remix';
         document.getElementById('article-title').value = newTitle;
         document.getElementById('article-key').value = newKey;
@@ -4768,20 +8064,59 @@ class WikiApp {
         document.getElementById('article-key-group').style.display = 'block';
         document.getElementById('article-modal').style.display = 'flex';
         
-        setTimeout(() => {
-            if (this.quill) {
-                const htmlContent = this.convertToHTML(article.content || '');
-                const editorElement = document.querySelector('#article-content-editor .ql-editor');
-                if (editorElement) editorElement.innerHTML = htmlContent;
-                else this.quill.root.innerHTML = htmlContent;
-            }
-        }, 100);
+        setTimeout(() => this.setEditorContent(content), 100);
         
         document.getElementById('delete-article').style.display = 'none';
         document.getElementById('view-history').style.display = 'none';
         this.currentArticleKey = null;
     }
 
+    /** "Forked from" banner for a remix; whether upstream changed is filled in by checkForkUpstream. */
+    renderForkBanner(key, source) {
+        if (!source) return '';
+        const link = source.handle
+            ? `<a href="#${this.wikiRoute(source.handle, source.key)}" data-route="${this.wikiRoute(source.handle, source.key)}">${this.escapeHtml(source.title || source.key)}</a> by @${this.escapeHtml(source.handle)}`
+            : source.key
+                ? `<a href="#${source.key}" data-route="${source.key}">${this.escapeHtml(source.title || source.key)}</a>`
+                : this.escapeHtml(source.title || '');
+        const date = source.forkedAt ? ` on ${new Date(source.forkedAt).toLocaleDateString()}` : '';
+        const canCheck = source.uri || source.key;
+        return `
+            <div class="fork-banner">
+                Forked from ${link}${date}
+                ${canCheck ? `<span class="fork-upstream-status" id="fork-upstream-${key}"></span>` : ''}
+                <div class="fork-proposals">${this.renderOwnProposals(key, source)}</div>
+            </div>
+        `;
+    }
+
+    /** Compare a remix's source with what it was forked from and say so in the banner. */
+    async checkForkUpstream(key, source) {
+        if (!source || !(source.uri || source.key)) return;
+        let status;
+        try {
+            if (!source.handle && source.key) {
+                // Remix of one of our own articles
+                const original = this.storage.articles[source.key];
+                status = !original ? 'deleted' : source.revision && original.updatedAt !== source.revision ? 'changed' : 'same';
+            } else {
+                const upstream = await this.storage.getPublicArticleRecord(source.uri);
+                status = !upstream ? 'deleted' : source.cid && upstream.cid !== source.cid ? 'changed' : 'same';
+            }
+        } catch (error) {
+            console.warn('Could not check the original article:', error);
+            return;
+        }
+        const el = document.getElementById(`fork-upstream-${key}`);
+        if (!el) return;
+        el.className = `fork-upstream-status ${status}`;
+        el.textContent = {
+            same: 'The original is unchanged since.',
+            changed: 'The original has changed since.',
+            deleted: 'The original has been deleted.'
+        }[status];
+    }
+
     getRemixes(articleKey) {
         // Find all articles that are remixes of this article
         // Remix keys follow the pattern: {originalKey}-remix-{timestamp}
@@ -4826,6 +8161,244 @@ class WikiApp {
         `;
     }
 
+    // ===== MERGE PROPOSALS =====
+    async proposeMerge(key) {
+        const message = prompt('Describe your changes for the original author (optional):');
+        if (message === null) return;
+        try {
+            await this.storage.proposeMerge(key, message.trim());
+        } catch (error) {
+            console.error('Propose merge error:', error);
+            alert('Error proposing changes: ' + error.message);
+            return;
+        }
+        this.showUpdateNotification('Changes proposed to the original article');
+        if (this.currentArticleKey === key) this.showArticle(key);
+    }
+
+    async withdrawProposal(key, id) {
+        if (!confirm('Withdraw this proposal?')) return;
+        await this.storage.withdrawProposal(id);
+        if (this.currentArticleKey === key) this.showArticle(key);
+    }
+
+    /** Proposals we made from this remix, shown in its "forked from" banner. */
+    renderOwnProposals(key, source) {
+        const proposals = this.storage.getOwnProposals().filter(p => p.remixKey === key);
+        const sent = proposals.map(p => `
+            <div class="proposal-sent">Changes proposed ${new Date(p.createdAt).toLocaleDateString()}
+                <a href="#" data-article-action="withdraw-proposal" data-article-key="${this._escapeMarkup(key)}" data-proposal-id="${this._escapeMarkup(p.id)}">withdraw</a>
+            </div>
+        `).join('');
+        // Someone else only sees a proposal once it is published from our repo
+        if (source.handle && !(this.storage.storageMode === 'bluesky' && this.storage.blueskyClient)) {
+            return sent || '<span class="proposal-sent">Sign in with Bluesky to propose changes to the original.</span>';
+        }
+        return `${sent}<button class="btn-secondary btn-sm" data-article-action="propose" data-article-key="${this._escapeMarkup(key)}">${proposals.length ? 'Propose again' : 'Propose changes to the original'}</button>`;
+    }
+
+    /** Fill the article's proposals section with the open proposals for it. */
+    async loadArticleProposals(key) {
+        let proposals;
+        try {
+            proposals = await this.storage.getIncomingProposals(key);
+        } catch (error) {
+            console.error('Error loading proposals:', error);
+            return;
+        }
+        const container = document.getElementById('article-proposals');
+        if (!container || this.currentArticleKey !== key) return;
+        // Keep a proposal that was being reviewed open across re-renders (e.g. after accepting part of it)
+        const previous = this.proposalState && this.proposalState.key === key ? this.proposalState : null;
+        const reviewing = previous ? previous.reviewing : null;
+        this.proposalState = { key, proposals, reviewing: null, hunks: [], kept: previous ? previous.kept : new Set() };
+
+        const open = proposals.filter(p => p.status === 'open');
+        if (open.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        container.innerHTML = `
+            <div class="article-proposals-section">
+                <h2>Proposed Changes <span class="comment-count">(${open.length})</span></h2>
+                <ul class="proposals-list">
+                    ${open.map(p => `
+                        <li class="proposal-item">
+                            <div class="proposal-meta">
+                                <strong>${p.author ? '@' + this.escapeHtml(p.author) : 'Anonymous'}</strong>
+                                <span class="remix-date">${new Date(p.createdAt).toLocaleDateString()}</span>
+                                <button class="btn-secondary btn-sm" onclick="window.wikiApp.reviewProposal(${proposals.indexOf(p)})">Review</button>
+                            </div>
+                            ${p.message ? `<div class="proposal-message">${this.escapeHtml(p.message)}</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <div id="proposal-review"></div>
+            </div>
+        `;
+        const index = proposals.findIndex(p => p.id === reviewing && p.status === 'open');
+        if (index !== -1) this.reviewProposal(index);
+    }
+
+    /**
+     * The parts of a proposal not yet in the article, as diff hunks against the current text. The
+     * proposal is merged with the edits made here since the remix was forked, so only its own
+     * changes show. Where both changed the same lines the proposal's version is on offer and the
+     * hunk lists those merge conflicts in `conflicts`, unless the reviewer kept ours for them.
+     * Without the fork's version the whole remix is compared with the current text.
+     */
+    proposalHunks(key, proposal, kept = new Set()) {
+        const current = this.articles[key].content || '';
+        const base = this.storage.getProposalBase(key, proposal);
+        if (base === null) return this.buildDiffHunks(current, proposal.content).map(hunk => ({ ...hunk, conflicts: [] }));
+
+        const target = [];
+        const conflicts = [];
+        this.storage.mergeThreeWay(base, current, proposal.content).hunks.forEach(hunk => {
+            if (hunk.type === 'ok') {
+                target.push(...hunk.lines);
+                return;
+            }
+            const id = JSON.stringify([hunk.base, hunk.theirs]);
+            if (kept.has(id)) {
+                target.push(...hunk.mine);
+                return;
+            }
+            conflicts.push({ id, start: target.length, end: target.length + hunk.theirs.length });
+            target.push(...hunk.theirs);
+        });
+        return this.buildDiffHunks(current, target.join('\n')).map(hunk => ({
+            ...hunk,
+            conflicts: conflicts
+                .filter(c => c.start <= hunk.newStart + hunk.newCount && c.end >= hunk.newStart)
+                .map(c => c.id)
+        }));
+    }
+
+    /** Show what is left of a proposal as a diff against the current text, with per-hunk and whole accept buttons. */
+    reviewProposal(index) {
+        const state = this.proposalState;
+        const proposal = state && state.proposals[index];
+        const article = state && this.articles[state.key];
+        const container = document.getElementById('proposal-review');
+        if (!proposal || !article || !container) return;
+
+        state.reviewing = proposal.id;
+        state.hunks = this.proposalHunks(state.key, proposal, state.kept);
+        if (state.hunks.length === 0) {
+            // Nothing of it is left to take
+            this.storage.setProposalStatus(proposal.id, 'accepted');
+            proposal.status = 'accepted';
+        }
+        const lineRange = (start, count) => count === 0 ? `after line ${start}`
+            : count === 1 ? `line ${start + 1}` : `lines ${start + 1}-${start + count}`;
+
+        container.innerHTML = `
+            <div class="proposal-review">
+                <div class="proposal-review-header">
+                    <span>Changes proposed by ${proposal.author ? '@' + this.escapeHtml(proposal.author) : 'Anonymous'}</span>
+                    ${state.hunks.length ? `<span>
+                        <button class="btn-primary btn-sm" onclick="window.wikiApp.acceptProposal(${index})">Accept all</button>
+                        <button class="btn-secondary btn-sm" onclick="window.wikiApp.declineProposal(${index})">Decline</button>
+                    </span>` : ''}
+                </div>
+                ${state.hunks.length === 0 ? '<p class="history-diff-empty">The article already contains everything in this proposal.</p>' : state.hunks.map((hunk, index) => `
+                    <div class="diff-hunk">
+                        <div class="diff-hunk-header">
+                            <span>${lineRange(hunk.oldStart, hunk.oldCount)} &rarr; ${lineRange(hunk.newStart, hunk.newCount)}${hunk.conflicts.length ? ' &middot; also edited here' : ''}</span>
+                            <span>
+                                ${hunk.conflicts.length ? `<button class="btn-secondary btn-sm" onclick="window.wikiApp.keepOwnProposalHunk(${index})">Keep ours</button>` : ''}
+                                <button class="btn-secondary btn-sm" onclick="window.wikiApp.acceptProposalHunk(${index})">Accept this part</button>
+                            </span>
+                        </div>
+                        <table class="diff-table diff-split">${this._renderSplitDiffRows(hunk.rows)}</table>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /** Save accepted text as a new revision credited to the proposer. */
+    async _saveProposedText(proposal, content) {
+        const key = this.proposalState.key;
+        const article = this.articles[key];
+        try {
+            await this.storage.saveArticle(key, article.title, content, { author: proposal.author });
+        } catch (error) {
+            console.error('Accept proposal error:', error);
+            alert('Error saving the accepted changes: ' + error.message);
+            return false;
+        }
+        await this.loadArticles();
+        return true;
+    }
+
+    /**
+     * Take the whole proposal. It is merged against the text the remix was forked from, so edits made
+     * here since the fork are kept; where both sides changed the same lines, ours stay and the
+     * proposal remains open so those parts can still be taken one by one.
+     */
+    async acceptProposal(index) {
+        const state = this.proposalState;
+        const proposal = state && state.proposals[index];
+        const article = state && this.articles[state.key];
+        if (!proposal || !article) return;
+        const base = this.storage.getProposalBase(state.key, proposal);
+        let content = proposal.content;
+        let conflicts = 0;
+        if (base === null) {
+            if (!confirm('The version this remix was made from is no longer known, so accepting all replaces the article with the remix and drops any edits made here since. Accept anyway?')) return;
+        } else {
+            ({ text: content, conflicts } = this.storage.mergeThreeWay(base, article.content || '', proposal.content));
+        }
+        if (content !== (article.content || '') && !await this._saveProposedText(proposal, content)) return;
+        if (conflicts === 0) this.storage.setProposalStatus(proposal.id, 'accepted');
+        this.showUpdateNotification(conflicts === 0 ? 'Proposal merged'
+            : `Proposal merged except ${conflicts} ${conflicts === 1 ? 'part' : 'parts'} also edited here - review ${conflicts === 1 ? 'it' : 'them'} below`);
+        await this.showArticle(state.key);
+    }
+
+    async acceptProposalHunk(index) {
+        const state = this.proposalState;
+        const proposal = state && state.proposals.find(p => p.id === state.reviewing);
+        const hunk = state && state.hunks[index];
+        const article = state && this.articles[state.key];
+        if (!proposal || !hunk || !article) return;
+
+        const lines = (article.content || '').split('\n');
+        lines.splice(hunk.oldStart, hunk.oldCount, ...hunk.newLines);
+        if (!await this._saveProposedText(proposal, lines.join('\n'))) return;
+
+        // Once nothing is left to take, the proposal is done
+        const done = this.proposalHunks(state.key, proposal, state.kept).length === 0;
+        if (done) this.storage.setProposalStatus(proposal.id, 'accepted');
+        this.showUpdateNotification(done ? 'Proposal merged' : 'Part of the proposal merged');
+        await this.showArticle(state.key);
+    }
+
+    /** Keep our version where a part also changes lines edited here; the proposal closes once no part is left. */
+    async keepOwnProposalHunk(index) {
+        const state = this.proposalState;
+        const proposal = state && state.proposals.find(p => p.id === state.reviewing);
+        const hunk = state && state.hunks[index];
+        if (!proposal || !hunk) return;
+        hunk.conflicts.forEach(id => state.kept.add(id));
+        this.reviewProposal(state.proposals.indexOf(proposal));
+        if (proposal.status === 'accepted') {
+            this.showUpdateNotification('Proposal merged');
+            await this.loadArticleProposals(state.key);
+        }
+    }
+
+    async declineProposal(index) {
+        const state = this.proposalState;
+        const proposal = state && state.proposals[index];
+        if (!proposal) return;
+        this.storage.setProposalStatus(proposal.id, 'declined');
+        await this.loadArticleProposals(state.key);
+    }
+
     async downloadWikiCode() {
         try {
             // Create a zip file with all the code
@@ -5164,7 +8737,7 @@ ${document.body.innerHTML}
         grid.querySelectorAll('.draggable-section').forEach(section => {
             section.addEventListener('mousedown', (e) => {
                 // Don't start drag if clicking on interactive elements
-                if (e.target.closest('a, button, input, select, textarea')) {
+                if (e.target.closest('a, button, input, select, textarea, canvas')) {
                     return;
                 }
                 
@@ -5766,6 +9339,7 @@ ${document.body.innerHTML}
             { id: 'collections', name: 'Artboards', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>' },
             { id: 'habits', name: 'Habits', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><path d="M22 4L12 14.01l-3-3"/></svg>' },
             { id: 'webcomic', name: 'Webcomic', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><path d="M9 9h6v6H9z"/></svg>' },
+            { id: 'graph', name: 'Link Graph', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="5" cy="6" r="2.5"/><circle cx="19" cy="6" r="2.5"/><circle cx="12" cy="18" r="2.5"/><path d="M7.5 6h9M6.3 8.2l4.4 7.6M17.7 8.2l-4.4 7.6"/></svg>' },
             { id: 'media', name: 'Image/Video', icon: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>' }
         ];
         
@@ -8675,13 +12249,16 @@ ${document.body.innerHTML}
 
     setupAutoSave() {
         // Auto-save every 30 seconds when editing
+        const onEdit = () => {
+            this.updateAutosaveStatus('editing');
+            clearTimeout(this.autoSaveTimer);
+            this.autoSaveTimer = setTimeout(() => this.autoSaveDraft(), 3000);
+        };
         if (this.quill) {
-            this.quill.on('text-change', () => {
-                this.updateAutosaveStatus('editing');
-                clearTimeout(this.autoSaveTimer);
-                this.autoSaveTimer = setTimeout(() => this.autoSaveDraft(), 3000);
-            });
+            this.quill.on('text-change', onEdit);
         }
+        const source = document.getElementById('article-content');
+        if (source) source.addEventListener('input', onEdit);
     }
 
     autoSaveDraft() {
@@ -8690,7 +12267,7 @@ ${document.body.innerHTML}
         if (!modal || modal.style.display === 'none') return;
         
         const title = titleInput?.value?.trim() || '';
-        const content = this.quill ? this.convertFromHTML(this.quill.root.innerHTML) : '';
+        const content = this.getEditorContent();
         
         if (title || content) {
             this.storage.saveDraft(this.currentArticleKey, { title, content });
@@ -8782,14 +12359,18 @@ ${document.body.innerHTML}
 
     // ===== BACKLINKS =====
     renderBacklinks(key) {
-        const backlinks = this.storage.getBacklinks(key);
+        const backlinks = this.getBacklinks(key);
         if (backlinks.length === 0) return '';
         
-        const html = backlinks.map(b => 
-            `<a href="#${b.key}" data-route="${b.key}" class="backlink-item">${b.title}</a>`
-        ).join('');
+        const html = backlinks.map(b => {
+            const context = b.context && b.context.text
+                ? `<div class="backlink-context">${this.escapeHtml(b.context.text.slice(0, b.context.start))}<strong>${this.escapeHtml(b.context.text.slice(b.context.start, b.context.end))}</strong>${this.escapeHtml(b.context.text.slice(b.context.end))}</div>`
+                : '';
+            const via = b.via ? ` <span class="backlink-via">(via ${this.escapeHtml(this.articles[b.via] ? this.articles[b.via].title : b.via)})</span>` : '';
+            return `<div class="backlink-item"><a href="#${this._escapeMarkup(b.key)}" data-route="${this._escapeMarkup(b.key)}">${this.escapeHtml(b.title)}</a>${via}${context}</div>`;
+        }).join('');
         
-        return `<div class="backlinks-section"><h3><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="section-icon-sm"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>Links to this page</h3><div class="backlinks-list">${html}</div></div>`;
+        return `<div class="backlinks-section"><h3><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" class="section-icon-sm"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>Links to this page<a class="backlinks-graph-link" href="#graph:${this._escapeMarkup(key)}" data-route="graph:${this._escapeMarkup(key)}">Show in link graph</a></h3><div class="backlinks-list">${html}</div></div>`;
     }
 
     // ===== BOTTOM SHEET =====
@@ -8802,14 +12383,16 @@ ${document.body.innerHTML}
     }
 }
 
-// Initialize app
+// Initialize app (tests/index.html sets XOXOWIKI_NO_AUTOSTART to load the classes without starting it)
 let wikiApp;
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+if (!window.XOXOWIKI_NO_AUTOSTART) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            wikiApp = new WikiApp();
+            window.wikiApp = wikiApp;
+        });
+    } else {
         wikiApp = new WikiApp();
         window.wikiApp = wikiApp;
-    });
-} else {
-    wikiApp = new WikiApp();
-    window.wikiApp = wikiApp;
+    }
 }
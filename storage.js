@@ -1,4 +1,4 @@
-// Storage abstraction layer - pure JavaScript, uses localStorage and Bluesky PDS
+// Storage abstraction layer - pure JavaScript, uses IndexedDB, localStorage and Bluesky PDS
 class WikiStorage {
     constructor() {
         this.blueskyClient = null;
@@ -6,13 +6,23 @@ class WikiStorage {
         this.articles = {};
         this.history = [];
         this.comments = {}; // Store comments by article key: { articleKey: [comments] }
+        this.repoComments = {}; // Flat comment rows read from the PDS, merged in by getComments
+        this.archive = [];
+        this.habits = null; // null until the user saves a list; getHabits falls back to defaults
+        this.habitLog = {};
+        this.drafts = {};
+        this.outbox = []; // Pending PDS writes, replayed in order by flushOutbox
+        this.onOutboxChange = null; // Set by the app to refresh the sync indicator
+        this.conflicts = {}; // Articles whose remote and local edits could not be merged: { articleKey: conflict }
+        this.onArticleConflict = null; // Set by the app to announce a new conflict
+        this.onSyncRejected = null; // Set by the app to announce a write dropped for not matching its lexicon
     }
 
     async init() {
         try {
-            this.loadFromLocalStorage();
+            await this.loadLocalData();
         } catch (error) {
-            console.error('LocalStorage load error:', error);
+            console.error('Local data load error:', error);
         }
         
         // Try to automatically get directory access to current directory
@@ -23,6 +33,9 @@ class WikiStorage {
         if (urlParams.get('code') && urlParams.get('state')) {
             // OAuth callback - handle it
             await this.handleOAuthCallback();
+            if (this.blueskyClient?.accessJwt) await this.runPdsMigrations();
+            this._watchConnectivity();
+            this.flushOutbox();
             return; // Don't load existing connection if we just completed OAuth
         }
         
@@ -30,11 +43,17 @@ class WikiStorage {
             await this.loadBlueskyConnection();
             // When logged into Bluesky, artboards (archive + albums) load from PDS so they sync across devices
             if (this.storageMode === 'bluesky' && this.blueskyClient) {
+                await this.runPdsMigrations();
                 await this.loadArchiveFromBluesky();
+                await this.loadCommentsFromBluesky();
             }
         } catch (error) {
             console.error('Bluesky connection error:', error);
         }
+
+        // Replay writes queued while offline (and again whenever the browser comes back online)
+        this._watchConnectivity();
+        this.flushOutbox();
     }
 
     // Artboard lexicons: store media links and albums on PDS
@@ -42,22 +61,23 @@ class WikiStorage {
     static ARTBOARD_ALBUM_COLLECTION = 'app.wikisky.artboardAlbum';
 
     _artboardItemToRecord(item) {
-        const postText = (item.postText || item.textSnippet || '').slice(0, 2000);
+        const postText = this._clipString(item.postText || item.textSnippet || '', 2000);
         return {
             $type: 'app.wikisky.artboard',
-            imageUrl: item.imageUrl && item.imageUrl.startsWith('http') ? item.imageUrl : '',
+            // Uploaded media has no link yet; an empty string would fail the uri format
+            imageUrl: item.imageUrl && item.imageUrl.startsWith('http') ? item.imageUrl : undefined,
             videoUrl: (item.videoUrl && item.videoUrl.startsWith('http')) ? item.videoUrl : undefined,
             type: item.type === 'video' ? 'video' : 'image',
             source: item.source && item.source.startsWith('http') ? item.source : undefined,
-            name: (item.name || 'Image').slice(0, 512),
+            name: this._clipString(item.name || 'Image', 512),
             createdAt: item.createdAt || new Date().toISOString(),
-            authorHandle: item.authorHandle ? String(item.authorHandle).slice(0, 256) : undefined,
-            authorDid: item.authorDid ? String(item.authorDid).slice(0, 128) : undefined,
-            authorDisplayName: item.authorDisplayName ? String(item.authorDisplayName).slice(0, 256) : undefined,
+            authorHandle: item.authorHandle ? this._clipString(item.authorHandle, 256) : undefined,
+            authorDid: item.authorDid ? this._clipString(item.authorDid, 128) : undefined,
+            authorDisplayName: item.authorDisplayName ? this._clipString(item.authorDisplayName, 256) : undefined,
             postText: postText || undefined,
-            albumIds: Array.isArray(item.albumIds) ? item.albumIds.slice(0, 50).map(s => String(s).slice(0, 128)) : [],
-            articleIds: Array.isArray(item.articleIds) ? item.articleIds.slice(0, 50).map(s => String(s).slice(0, 256)) : undefined,
-            habitDays: Array.isArray(item.habitDays) ? item.habitDays.slice(0, 50).map(s => String(s).slice(0, 32)) : undefined,
+            albumIds: Array.isArray(item.albumIds) ? item.albumIds.slice(0, 50).map(s => this._clipString(s, 128)) : [],
+            articleIds: Array.isArray(item.articleIds) ? item.articleIds.slice(0, 50).map(s => this._clipString(s, 256)) : undefined,
+            habitDays: Array.isArray(item.habitDays) ? item.habitDays.slice(0, 50).map(s => this._clipString(s, 32)) : undefined,
             assignmentType: item.assignmentType || 'albums'
         };
     }
@@ -121,6 +141,7 @@ class WikiStorage {
     async _createArtboardItemOnPDS(item) {
         const rkey = String(item.id).replace(/[^a-zA-Z0-9._-]/g, '-').slice(0, 128) || item.id;
         const record = this._artboardItemToRecord(item);
+        await this._validateRecord(WikiStorage.ARTBOARD_COLLECTION, record);
         const body = { repo: this.blueskyClient.did, collection: WikiStorage.ARTBOARD_COLLECTION, rkey, record };
         const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.createRecord`, {
             method: 'POST',
@@ -136,6 +157,7 @@ class WikiStorage {
     async _putArtboardItemOnPDS(item) {
         const rkey = String(item.id).replace(/[^a-zA-Z0-9._-]/g, '-').slice(0, 128) || item.id;
         const record = this._artboardItemToRecord(item);
+        await this._validateRecord(WikiStorage.ARTBOARD_COLLECTION, record);
         const body = { repo: this.blueskyClient.did, collection: WikiStorage.ARTBOARD_COLLECTION, rkey, record };
         const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.putRecord`, {
             method: 'POST',
@@ -182,7 +204,8 @@ class WikiStorage {
 
     async _createArtboardAlbumOnPDS(album) {
         const rkey = String(album.id).replace(/[^a-zA-Z0-9._-]/g, '-').slice(0, 128) || album.id;
-        const record = { $type: 'app.wikisky.artboardAlbum', name: (album.name || '').slice(0, 256), createdAt: album.createdAt || new Date().toISOString() };
+        const record = { $type: 'app.wikisky.artboardAlbum', name: this._clipString(album.name || '', 256), createdAt: album.createdAt || new Date().toISOString() };
+        await this._validateRecord(WikiStorage.ARTBOARD_ALBUM_COLLECTION, record);
         const body = { repo: this.blueskyClient.did, collection: WikiStorage.ARTBOARD_ALBUM_COLLECTION, rkey, record };
         const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.createRecord`, {
             method: 'POST',
@@ -242,18 +265,19 @@ class WikiStorage {
                     const onlyLocal = localArchive.filter(a => !pdsIds.has(a.id));
                     // Merge: lexicon items (authoritative) + local-only items (not yet synced)
                     const merged = [...lexiconArchive, ...onlyLocal];
-                    localStorage.setItem('xoxowiki-archive', JSON.stringify(merged));
+                    this._setArchive(merged);
                     // Upload local-only items to PDS
                     for (const it of onlyLocal) {
-                        try { await this._createArtboardItemOnPDS(it); } catch (_) {}
+                        this.enqueueSync({ kind: 'artboardItem', action: 'create', key: it.id, payload: it });
                     }
                     const pdsAlbumIds = new Set(lexiconAlbums.map(a => a.id));
                     const onlyLocalAlbums = localAlbums.filter(a => !pdsAlbumIds.has(a.id));
                     const mergedAlbums = [...lexiconAlbums, ...onlyLocalAlbums];
                     localStorage.setItem('xoxowiki-albums', JSON.stringify(mergedAlbums));
                     for (const al of onlyLocalAlbums) {
-                        try { await this._createArtboardAlbumOnPDS(al); } catch (_) {}
+                        this.enqueueSync({ kind: 'album', action: 'create', key: al.id, payload: al });
                     }
+                    await this.flushOutbox();
                     if (onlyLocal.length > 0 || onlyLocalAlbums.length > 0) await this.syncArchiveToBlueskyIfConnected();
                     return;
                 }
@@ -274,12 +298,12 @@ class WikiStorage {
                     const pdsIds = new Set(payload.archive.map(a => a.id));
                     const onlyLocal = localArchive.filter(a => !pdsIds.has(a.id));
                     const merged = [...payload.archive, ...onlyLocal];
-                    localStorage.setItem('xoxowiki-archive', JSON.stringify(merged));
+                    this._setArchive(merged);
                     if (onlyLocal.length > 0) await this.syncArchiveToBlueskyIfConnected();
                 } else if (localArchive.length > 0) {
                     await this.syncArchiveToBlueskyIfConnected();
                 } else {
-                    localStorage.setItem('xoxowiki-archive', JSON.stringify([]));
+                    this._setArchive([]);
                 }
                 if (payload.albums && Array.isArray(payload.albums)) {
                     const pdsAlbumIds = new Set((payload.albums || []).map(a => a.id));
@@ -355,7 +379,7 @@ class WikiStorage {
                 }
             }
             if (updated) {
-                localStorage.setItem('xoxowiki-archive', JSON.stringify(archive));
+                this._setArchive(archive);
                 await this.syncArchiveToBlueskyIfConnected();
             }
         } catch (e) {
@@ -363,51 +387,34 @@ class WikiStorage {
         }
     }
 
-    /** Fetch a generic com.atproto.repo.record by rkey; returns parsed content object or null. */
-    async _getRepoRecord(rkey) {
+    // One-per-account records (rkey "self") in app.wikisky.* collections. These used to be generic
+    // com.atproto.repo.record records with magic rkeys; the MIGRATIONS entry for that store moves them.
+    static BOOKMARKS_COLLECTION = 'app.wikisky.bookmarks';
+    static HABITS_COLLECTION = 'app.wikisky.habits';
+    static HABIT_LOG_COLLECTION = 'app.wikisky.habitLog';
+    static WEBCOMIC_PAGES_COLLECTION = 'app.wikisky.webcomicPages';
+    static WEBCOMIC_PROGRESS_COLLECTION = 'app.wikisky.webcomicProgress';
+    /** Generic rkeys queued in the outbox before the move, and the collection each write now goes to. */
+    static LEGACY_REPO_RECORD_COLLECTIONS = {
+        'xoxowiki-bookmarks': 'app.wikisky.bookmarks',
+        'xoxowiki-habits': 'app.wikisky.habits',
+        'xoxowiki-habit-log': 'app.wikisky.habitLog'
+    };
+
+    /** The account's "self" record in a collection; returns its value or null. */
+    async _getSelfRecord(collection) {
         if (!this.blueskyClient?.accessJwt) return null;
-        const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=com.atproto.repo.record&rkey=${encodeURIComponent(rkey)}`);
+        const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=${collection}&rkey=self`);
         if (!res.ok) return null;
         const data = await res.json();
-        const content = data.value?.content;
-        if (typeof content !== 'string') return null;
-        try { return JSON.parse(content); } catch (_) { return null; }
+        return data.value || null;
     }
 
-    /** Create or update a generic com.atproto.repo.record with string content (payload will be JSON.stringified). */
-    async _putRepoRecord(rkey, payload) {
+    /** Validate and write the account's "self" record in a collection (putRecord creates it if missing). */
+    async _putSelfRecord(collection, fields) {
         if (!this.blueskyClient?.accessJwt) return;
         await this.ensureValidToken();
-        const record = {
-            $type: 'com.atproto.repo.record',
-            key: rkey,
-            title: rkey,
-            content: JSON.stringify(payload),
-            createdAt: new Date().toISOString()
-        };
-        const body = { repo: this.blueskyClient.did, collection: 'com.atproto.repo.record', rkey, record };
-        const getRes = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=com.atproto.repo.record&rkey=${encodeURIComponent(rkey)}`);
-        if (getRes.ok) {
-            const putRes = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.putRecord`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body)
-            });
-            if (!putRes.ok) {
-                const err = await putRes.json().catch(() => ({}));
-                throw new Error(err.message || err.error || 'putRecord failed');
-            }
-        } else {
-            const createRes = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.createRecord`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body)
-            });
-            if (!createRes.ok) {
-                const err = await createRes.json().catch(() => ({}));
-                throw new Error(err.message || err.error || 'createRecord failed');
-            }
-        }
+        await this._putRecordOnPDS(collection, 'self', { $type: collection, ...fields });
     }
 
     async loadBookmarksAndHabitsFromBluesky() {
@@ -415,9 +422,9 @@ class WikiStorage {
         try {
             await this.ensureValidToken();
             const [bookmarksPayload, habitsPayload, habitLogPayload] = await Promise.all([
-                this._getRepoRecord('xoxowiki-bookmarks'),
-                this._getRepoRecord('xoxowiki-habits'),
-                this._getRepoRecord('xoxowiki-habit-log')
+                this._getSelfRecord(WikiStorage.BOOKMARKS_COLLECTION),
+                this._getSelfRecord(WikiStorage.HABITS_COLLECTION),
+                this._getSelfRecord(WikiStorage.HABIT_LOG_COLLECTION)
             ]);
             if (bookmarksPayload && Array.isArray(bookmarksPayload.bookmarks)) {
                 const local = this.getBookmarks();
@@ -432,13 +439,13 @@ class WikiStorage {
                 const pdsSet = new Set(habitsPayload.habits);
                 const onlyLocal = local.filter(h => !pdsSet.has(h));
                 const merged = [...habitsPayload.habits, ...onlyLocal];
-                localStorage.setItem('xoxowiki-habits', JSON.stringify(merged));
+                this._storeHabits(merged);
                 if (onlyLocal.length > 0) this.syncHabitsToBluesky().catch(() => {});
             }
             if (habitLogPayload && habitLogPayload.log && typeof habitLogPayload.log === 'object') {
                 const local = this.getHabitLog();
                 const merged = { ...habitLogPayload.log, ...local };
-                localStorage.setItem('xoxowiki-habit-log', JSON.stringify(merged));
+                this._storeHabitLog(merged);
                 this.syncHabitLogToBluesky().catch(() => {});
             }
         } catch (e) {
@@ -448,51 +455,808 @@ class WikiStorage {
 
     async syncBookmarksToBluesky() {
         if (!this.blueskyClient?.accessJwt) return;
-        try {
-            const bookmarks = this.getBookmarks();
-            await this._putRepoRecord('xoxowiki-bookmarks', { bookmarks, updatedAt: new Date().toISOString() });
-        } catch (e) {
-            console.warn('Sync bookmarks to Bluesky failed:', e);
-        }
+        const bookmarks = this.getBookmarks();
+        this.enqueueSync({ kind: 'selfRecord', action: 'put', key: WikiStorage.BOOKMARKS_COLLECTION, payload: { bookmarks, updatedAt: new Date().toISOString() } });
+        await this.flushOutbox();
     }
 
     async syncHabitsToBluesky() {
         if (!this.blueskyClient?.accessJwt) return;
-        try {
-            const habits = this.getHabits();
-            await this._putRepoRecord('xoxowiki-habits', { habits, updatedAt: new Date().toISOString() });
-        } catch (e) {
-            console.warn('Sync habits to Bluesky failed:', e);
-        }
+        const habits = this.getHabits();
+        this.enqueueSync({ kind: 'selfRecord', action: 'put', key: WikiStorage.HABITS_COLLECTION, payload: { habits, updatedAt: new Date().toISOString() } });
+        await this.flushOutbox();
     }
 
     async syncHabitLogToBluesky() {
         if (!this.blueskyClient?.accessJwt) return;
+        const log = this.getHabitLog();
+        this.enqueueSync({ kind: 'selfRecord', action: 'put', key: WikiStorage.HABIT_LOG_COLLECTION, payload: { log, updatedAt: new Date().toISOString() } });
+        await this.flushOutbox();
+    }
+
+    // ===== LOCAL DATABASE (IndexedDB) =====
+    // Articles, history, comments, archive, habits and drafts live in IndexedDB, one record per
+    // entry, so a save only touches what changed. The in-memory copies above serve the getters.
+    static DB_NAME = 'xoxowiki-data';
+    static DB_VERSION = 2;
+    static LEGACY_LOCAL_KEYS = [
+        'xoxowiki-articles',
+        'xoxowiki-history',
+        'xoxowiki-comments',
+        'xoxowiki-archive',
+        'xoxowiki-habits',
+        'xoxowiki-habit-log',
+        'xoxowiki-drafts'
+    ];
+
+    /** Open the wiki database once; resolves to null when IndexedDB is unavailable (e.g. some private modes). */
+    _openDatabase() {
+        if (this._dbPromise) return this._dbPromise;
+        this._dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(WikiStorage.DB_NAME, WikiStorage.DB_VERSION);
+
+            request.onerror = () => {
+                console.error('IndexedDB open error:', request.error);
+                resolve(null);
+            };
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('articles')) {
+                    db.createObjectStore('articles', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('history')) {
+                    const history = db.createObjectStore('history', { keyPath: 'id' });
+                    history.createIndex('articleKey', 'articleKey', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('comments')) {
+                    const comments = db.createObjectStore('comments', { keyPath: 'id' });
+                    comments.createIndex('articleKey', 'articleKey', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('archive')) {
+                    db.createObjectStore('archive', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('habits')) {
+                    db.createObjectStore('habits', { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains('habitLog')) {
+                    db.createObjectStore('habitLog', { keyPath: 'date' });
+                }
+                if (!db.objectStoreNames.contains('drafts')) {
+                    db.createObjectStore('drafts', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('outbox')) {
+                    db.createObjectStore('outbox', { keyPath: 'seq' });
+                }
+            };
+        });
+        return this._dbPromise;
+    }
+
+    _idbGetAll(db, storeName) {
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /** Apply puts and deletes to one object store in a single transaction. */
+    async _idbWrite(storeName, { put = [], remove = [] } = {}) {
+        const db = await this._openDatabase();
+        if (!db) {
+            this.saveToLocalStorage();
+            return;
+        }
+        if (put.length === 0 && remove.length === 0) return;
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            remove.forEach(key => store.delete(key));
+            put.forEach(value => store.put(value));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /** Fire-and-forget write used by the synchronous setters; the in-memory copy is already updated. */
+    _persist(storeName, changes) {
+        this._idbWrite(storeName, changes).catch(error => {
+            console.error(`IndexedDB write error (${storeName}):`, error);
+        });
+    }
+
+    /** Load local data, moving the old localStorage blobs into IndexedDB the first time. */
+    async loadLocalData() {
         try {
-            const log = this.getHabitLog();
-            await this._putRepoRecord('xoxowiki-habit-log', { log, updatedAt: new Date().toISOString() });
-        } catch (e) {
-            console.warn('Sync habit log to Bluesky failed:', e);
+            this.conflicts = JSON.parse(localStorage.getItem('xoxowiki-conflicts') || '{}');
+        } catch { this.conflicts = {}; }
+        const db = await this._openDatabase();
+        if (!db) {
+            await this.runLocalMigrations();
+            this.loadFromLocalStorage();
+            return;
+        }
+        try {
+            await this._migrateLegacyLocalStorage(db);
+        } catch (error) {
+            // Keep using the old keys this session so the migration is retried on the next load
+            console.error('Migration from localStorage failed:', error);
+            this._dbPromise = Promise.resolve(null);
+            this.loadFromLocalStorage();
+            return;
         }
+        await this.runLocalMigrations();
+
+        const [articles, history, comments, archive, habits, habitLog, drafts, outbox] = await Promise.all(
+            ['articles', 'history', 'comments', 'archive', 'habits', 'habitLog', 'drafts', 'outbox'].map(name => this._idbGetAll(db, name))
+        );
+
+        this.articles = {};
+        articles.forEach(({ key, ...article }) => { this.articles[key] = article; });
+        this.history = history;
+        this.comments = this._buildCommentTrees(comments);
+        this.archive = archive.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+        this.habits = habits.length > 0 ? habits.sort((a, b) => a.position - b.position).map(h => h.name) : null;
+        this.habitLog = {};
+        habitLog.forEach(entry => { this.habitLog[entry.date] = entry.habits || []; });
+        this.drafts = {};
+        drafts.forEach(({ key, ...draft }) => { this.drafts[key] = draft; });
+        this.outbox = outbox.sort((a, b) => a.seq - b.seq);
+    }
+
+    /** One-time copy of the xoxowiki-* localStorage keys into IndexedDB; the keys are removed once written. */
+    async _migrateLegacyLocalStorage(db) {
+        const present = WikiStorage.LEGACY_LOCAL_KEYS.filter(key => localStorage.getItem(key) !== null);
+        if (present.length === 0) return;
+
+        this.loadFromLocalStorage();
+        const rows = {
+            articles: Object.entries(this.articles).map(([key, article]) => ({ key, ...article })),
+            history: this.history.map((entry, i) => ({ id: entry.id || `${entry.articleKey}-${entry.editedAt || entry.timestamp}-${i}`, ...entry })),
+            comments: [],
+            archive: this.archive.map((item, i) => ({ ...item, id: item.id || `${Date.now()}-${i}` })),
+            habits: (this.habits || []).map((name, position) => ({ name, position })),
+            habitLog: Object.entries(this.habitLog).map(([date, habits]) => ({ date, habits })),
+            drafts: Object.entries(this.drafts).map(([key, draft]) => ({ ...draft, key }))
+        };
+        const flatten = (list) => list.forEach(comment => {
+            rows.comments.push(this._commentToRow(comment));
+            flatten(comment.replies || []);
+        });
+        Object.values(this.comments).forEach(flatten);
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(Object.keys(rows), 'readwrite');
+            for (const [storeName, values] of Object.entries(rows)) {
+                const store = transaction.objectStore(storeName);
+                values.forEach(value => store.put(value));
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        present.forEach(key => localStorage.removeItem(key));
     }
 
-    // Load from localStorage
-    loadFromLocalStorage() {
+    /** Comments are stored flat; replies point at their parent by parentId. */
+    _commentToRow(comment) {
+        const { replies, ...row } = comment;
+        return row;
+    }
+
+    _buildCommentTrees(rows) {
+        const byId = new Map();
+        rows.sort((a, b) => a.timestamp - b.timestamp).forEach(row => byId.set(row.id, { ...row, replies: [] }));
+        const trees = {};
+        for (const comment of byId.values()) {
+            const parent = comment.parentId ? byId.get(comment.parentId) : null;
+            if (parent) {
+                parent.replies.push(comment);
+            } else {
+                if (!trees[comment.articleKey]) trees[comment.articleKey] = [];
+                trees[comment.articleKey].push(comment);
+            }
+        }
+        return trees;
+    }
+
+    /** Delete the local database (used by "clear browser storage"). */
+    async clearLocalDatabase() {
+        const db = await this._openDatabase();
+        if (db) db.close();
+        this._dbPromise = null;
+        await new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(WikiStorage.DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => resolve();
+            request.onblocked = () => resolve();
+        });
+    }
+
+    // ===== SCHEMA VERSIONS & MIGRATIONS =====
+    // Every persisted store has a schema version, recorded in xoxowiki-schema-versions. Stores are
+    // localStorage keys (xoxowiki-*), IndexedDB object stores (idb:<name>) and PDS collections
+    // (pds:<collection>, tracked per account). Migrations run in order at init; a store is only
+    // written once all of its pending migrations succeed, so a throwing migration leaves it untouched.
+    static SCHEMA_VERSION_KEY = 'xoxowiki-schema-versions';
+
+    /**
+     * Stores with no migrations yet. Their current layout is registered as version 1, so a later change
+     * has a version to migrate from. Single-value preferences (editor mode, selected feed) aren't versioned.
+     */
+    static BASELINE_STORES = [
+        'idb:articles', 'idb:history', 'idb:comments', 'idb:archive', 'idb:habits', 'idb:habitLog', 'idb:drafts', 'idb:outbox',
+        'xoxowiki-bookmarks', 'xoxowiki-albums', 'xoxowiki-pinned', 'xoxowiki-read-articles', 'xoxowiki-activity',
+        'xoxowiki-conflicts', 'xoxowiki-proposals', 'xoxowiki-proposal-status', 'xoxowiki-custom-feeds',
+        'xoxowiki-webcomic-pages', 'xoxowiki-webcomic-progress',
+        'pds:site.standard.document', 'pds:app.wikisky.revision', 'pds:app.wikisky.comment', 'pds:app.wikisky.proposal',
+        'pds:app.wikisky.artboardAlbum', 'pds:app.wikisky.bookmarks', 'pds:app.wikisky.habits', 'pds:app.wikisky.habitLog',
+        'pds:app.wikisky.webcomicPages', 'pds:app.wikisky.webcomicProgress'
+    ];
+    static DEFAULT_ARTICLE_META = { isPublic: true, source: '', remixedFrom: null, aliases: [] };
+
+    /**
+     * Ordered list; `up` gets a copy of the store's data (or one PDS record value) and returns the new data.
+     * A PDS migration may instead have `move(rkey, value, did)`, returning { collection, value } to re-create
+     * the record as `self` in another collection (the original is deleted), or null to keep it. An entry with
+     * neither only records a version, and the store isn't read for it.
+     */
+    static MIGRATIONS = [
+        ...WikiStorage.BASELINE_STORES.map(store => ({ store, version: 1, description: 'Register the current layout as version 1' })),
+        {
+            store: 'xoxowiki-section-order',
+            version: 1,
+            description: "Rename the home 'archive' section to 'collections'",
+            up: (order) => {
+                if (!Array.isArray(order)) return order;
+                const renamed = order.map(s => s === 'archive' ? 'collections' : s);
+                return renamed.filter((s, i) => renamed.indexOf(s) === i);
+            }
+        },
+        {
+            store: 'xoxowiki-bento-sizes',
+            version: 1,
+            description: "Move the 'archive' bento size to 'collections'",
+            up: (sizes) => {
+                if (!sizes || !sizes.archive) return sizes;
+                const { archive, ...rest } = sizes;
+                return { ...rest, collections: rest.collections || archive };
+            }
+        },
+        {
+            store: 'xoxowiki-meta',
+            version: 1,
+            description: 'Fill in missing article meta fields',
+            up: (meta) => {
+                const upgraded = {};
+                for (const [key, value] of Object.entries(meta || {})) {
+                    upgraded[key] = { ...WikiStorage.DEFAULT_ARTICLE_META, ...value };
+                }
+                return upgraded;
+            }
+        },
+        {
+            store: 'xoxowiki-meta',
+            version: 2,
+            description: 'Turn remixedFrom titles into source objects',
+            up: (meta) => {
+                const upgraded = {};
+                for (const [key, value] of Object.entries(meta || {})) {
+                    upgraded[key] = typeof value.remixedFrom === 'string'
+                        ? { ...value, remixedFrom: { title: value.remixedFrom, uri: null, cid: null } }
+                        : value;
+                }
+                return upgraded;
+            }
+        },
+        {
+            store: 'pds:app.wikisky.artboard',
+            version: 1,
+            description: 'Fold legacy single albumId into albumIds',
+            up: (value) => {
+                if (!value.albumId) return value;
+                const { albumId, ...rest } = value;
+                const albumIds = Array.isArray(rest.albumIds) ? rest.albumIds : [];
+                return { ...rest, albumIds: albumIds.includes(albumId) ? albumIds : [...albumIds, albumId] };
+            }
+        },
+        {
+            store: 'pds:com.atproto.repo.record',
+            version: 1,
+            description: 'Move bookmarks, habits, habit log and webcomic records to their app.wikisky.* collections',
+            // Returns where the record now lives, or null to leave it (xoxowiki-archive stays as the artboard backup)
+            move: (rkey, value, did) => {
+                const payload = (() => {
+                    try { return typeof value.content === 'string' ? JSON.parse(value.content) : {}; } catch { return {}; }
+                })();
+                const updatedAt = payload.updatedAt || value.updatedAt || new Date().toISOString();
+                switch (rkey) {
+                    case 'xoxowiki-bookmarks':
+                        return { collection: WikiStorage.BOOKMARKS_COLLECTION, value: { bookmarks: payload.bookmarks || [], updatedAt } };
+                    case 'xoxowiki-habits':
+                        return { collection: WikiStorage.HABITS_COLLECTION, value: { habits: payload.habits || [], updatedAt } };
+                    case 'xoxowiki-habit-log':
+                        return { collection: WikiStorage.HABIT_LOG_COLLECTION, value: { log: payload.log || {}, updatedAt } };
+                    case 'webcomic-pages':
+                        return { collection: WikiStorage.WEBCOMIC_PAGES_COLLECTION, value: { pages: value.pages || [], updatedAt } };
+                    case `webcomic-progress-${did}`: {
+                        const progress = value.progress || {};
+                        const readPageIds = Array.isArray(progress) ? progress : (progress[did] || []);
+                        return { collection: WikiStorage.WEBCOMIC_PROGRESS_COLLECTION, value: { readPageIds, updatedAt } };
+                    }
+                    default:
+                        return null;
+                }
+            }
+        }
+    ];
+
+    getSchemaVersions() {
         try {
-            const stored = localStorage.getItem('xoxowiki-articles');
-            if (stored) {
-                this.articles = JSON.parse(stored);
+            const stored = localStorage.getItem(WikiStorage.SCHEMA_VERSION_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch { return {}; }
+    }
+
+    _setSchemaVersion(store, version) {
+        const versions = this.getSchemaVersions();
+        versions[store] = version;
+        localStorage.setItem(WikiStorage.SCHEMA_VERSION_KEY, JSON.stringify(versions));
+    }
+
+    _pendingMigrations(store, versionKey = store) {
+        const current = this.getSchemaVersions()[versionKey] || 0;
+        return WikiStorage.MIGRATIONS
+            .filter(m => m.store === store && m.version > current)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    /** Run pending migrations for localStorage keys and IndexedDB stores (before the caches load). */
+    async runLocalMigrations() {
+        const stores = [...new Set(WikiStorage.MIGRATIONS.map(m => m.store))].filter(s => !s.startsWith('pds:'));
+        for (const store of stores) {
+            const pending = this._pendingMigrations(store);
+            if (pending.length === 0) continue;
+            if (pending.every(m => !m.up)) {
+                this._setSchemaVersion(store, pending[pending.length - 1].version);
+                continue;
             }
-            
-            const storedHistory = localStorage.getItem('xoxowiki-history');
-            if (storedHistory) {
-                this.history = JSON.parse(storedHistory);
+            const adapter = await this._schemaStoreAdapter(store);
+            let original;
+            try {
+                original = await adapter.read();
+                if (original !== undefined) {
+                    let data = JSON.parse(JSON.stringify(original));
+                    for (const migration of pending) {
+                        if (migration.up) data = migration.up(data);
+                    }
+                    await adapter.write(data);
+                }
+                this._setSchemaVersion(store, pending[pending.length - 1].version);
+            } catch (error) {
+                console.error(`Migration of ${store} failed; leaving it at version ${this.getSchemaVersions()[store] || 0}:`, error);
+                if (original !== undefined) {
+                    try { await adapter.write(original); } catch (e) { console.error('Rollback failed:', store, e); }
+                }
             }
-            
-            const storedComments = localStorage.getItem('xoxowiki-comments');
-            if (storedComments) {
-                this.comments = JSON.parse(storedComments);
+        }
+    }
+
+    /** Read/write access to a store's whole contents, used only by migrations. */
+    async _schemaStoreAdapter(store) {
+        if (store.startsWith('idb:')) {
+            const storeName = store.slice(4);
+            const db = await this._openDatabase();
+            return {
+                read: async () => db ? this._idbGetAll(db, storeName) : undefined,
+                write: async (rows) => {
+                    await new Promise((resolve, reject) => {
+                        const transaction = db.transaction([storeName], 'readwrite');
+                        const objectStore = transaction.objectStore(storeName);
+                        objectStore.clear();
+                        rows.forEach(row => objectStore.put(row));
+                        transaction.oncomplete = () => resolve();
+                        transaction.onerror = () => reject(transaction.error);
+                        transaction.onabort = () => reject(transaction.error);
+                    });
+                }
+            };
+        }
+        return {
+            read: async () => {
+                const stored = localStorage.getItem(store);
+                return stored === null ? undefined : JSON.parse(stored);
+            },
+            write: async (data) => localStorage.setItem(store, JSON.stringify(data))
+        };
+    }
+
+    /** Rewrite PDS records whose collection has pending migrations. Records already rewritten are restored if one fails. */
+    async runPdsMigrations() {
+        if (!this.blueskyClient?.accessJwt) return;
+        const did = this.blueskyClient.did;
+        const stores = [...new Set(WikiStorage.MIGRATIONS.map(m => m.store))].filter(s => s.startsWith('pds:'));
+        for (const store of stores) {
+            const versionKey = `${store}:${did}`;
+            const pending = this._pendingMigrations(store, versionKey);
+            if (pending.length === 0) continue;
+            if (pending.every(m => !m.up && !m.move)) {
+                this._setSchemaVersion(versionKey, pending[pending.length - 1].version);
+                continue;
+            }
+            const collection = store.slice(4);
+            const rewritten = [];
+            const moved = [];
+            const created = [];
+            try {
+                await this.ensureValidToken();
+                const records = await this._listRecords(collection);
+                for (const record of records) {
+                    let value = JSON.parse(JSON.stringify(record.value));
+                    let target = null;
+                    for (const migration of pending) {
+                        if (migration.move) {
+                            target = migration.move(record.rkey, value, did);
+                            if (target) break;
+                        } else if (migration.up) {
+                            value = migration.up(value);
+                        }
+                    }
+                    if (target) {
+                        // Never overwrite a record already written to the new collection
+                        if (!(await this._getSelfRecord(target.collection))) {
+                            await this._putRecordOnPDS(target.collection, 'self', { $type: target.collection, ...target.value });
+                            created.push(target.collection);
+                        }
+                        moved.push(record);
+                        continue;
+                    }
+                    if (JSON.stringify(value) === JSON.stringify(record.value)) continue;
+                    await this._putRecordOnPDS(collection, record.rkey, value);
+                    rewritten.push(record);
+                }
+                this._setSchemaVersion(versionKey, pending[pending.length - 1].version);
+            } catch (error) {
+                console.error(`PDS migration of ${collection} failed; restoring ${rewritten.length} record(s):`, error);
+                for (const record of rewritten.reverse()) {
+                    try { await this._putRecordOnPDS(collection, record.rkey, record.value, { validate: false }); } catch (e) { console.error('Rollback failed:', record.rkey, e); }
+                }
+                for (const target of created) {
+                    try { await this._deleteRecordOnPDS(target, 'self'); } catch (e) { console.error('Rollback failed:', target, e); }
+                }
+                continue;
+            }
+            // Copies are in place and the version is recorded, so the originals can go
+            for (const record of moved) {
+                try { await this._deleteRecordOnPDS(collection, record.rkey); } catch (e) { console.warn('Could not delete migrated record:', record.rkey, e); }
+            }
+        }
+    }
+
+    /** List every record in one of our collections: [{ rkey, cid, value }]. */
+    async _listRecords(collection, did = this.blueskyClient.did, base = this._pdsBaseForRepo()) {
+        const records = [];
+        let cursor;
+        do {
+            let url = `${base}/xrpc/com.atproto.repo.listRecords?repo=${encodeURIComponent(did)}&collection=${collection}&limit=100`;
+            if (cursor) url += `&cursor=${encodeURIComponent(cursor)}`;
+            // Someone else's repo is read without our credentials (listRecords is public)
+            const res = this.blueskyClient?.accessJwt && did === this.blueskyClient.did ? await this._pdsFetch(url) : await fetch(url);
+            if (!res.ok) throw new Error(`listRecords ${collection} returned ${res.status}`);
+            const data = await res.json();
+            (data.records || []).forEach(r => {
+                records.push({ rkey: r.uri ? r.uri.split('/').pop() : r.rkey, cid: r.cid, value: r.value });
+            });
+            cursor = data.cursor || null;
+        } while (cursor);
+        return records;
+    }
+
+    /** putRecord (creating or replacing). The record is validated first unless `validate` is false, as when restoring an old copy. */
+    async _putRecordOnPDS(collection, rkey, record, { validate = true } = {}) {
+        if (validate) await this._validateRecord(collection, record);
+        const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.putRecord`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ repo: this.blueskyClient.did, collection, rkey, record })
+        });
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(err.message || err.error || `putRecord ${collection}/${rkey} failed`);
+        }
+        return res.json().catch(() => ({}));
+    }
+
+    /** Delete one of our records; one that is already gone counts as deleted. */
+    async _deleteRecordOnPDS(collection, rkey) {
+        const res = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.deleteRecord`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ repo: this.blueskyClient.did, collection, rkey })
+        });
+        if (!res.ok && res.status !== 404) {
+            const err = await res.json().catch(() => ({}));
+            if (err.error === 'RecordNotFound') return;
+            throw new Error(err.message || err.error || `deleteRecord ${collection}/${rkey} failed`);
+        }
+    }
+
+    // ===== LEXICONS =====
+    // Our app.wikisky.* records are checked against the lexicon JSON in lexicons/ before every
+    // create/put, so a bad write fails here naming the field rather than as a generic 400 from the PDS.
+
+    /** Lexicon document for one of our collection NSIDs, or null if it cannot be loaded (e.g. offline before it was cached). */
+    _loadLexicon(nsid) {
+        if (!nsid.startsWith('app.wikisky.')) return Promise.resolve(null);
+        if (!this._lexicons) this._lexicons = {};
+        if (!(nsid in this._lexicons)) {
+            this._lexicons[nsid] = fetch(`lexicons/${nsid.split('.').join('/')}.json`)
+                .then(res => res.ok ? res.json() : null)
+                .catch(() => null);
+        }
+        return this._lexicons[nsid];
+    }
+
+    /** Throw (error.code 'InvalidRecord') if `record` does not match its collection's lexicon. */
+    async _validateRecord(collection, record) {
+        const lexicon = await this._loadLexicon(collection);
+        if (!lexicon) return; // No schema to hand; the PDS still validates what it knows
+        this._checkLexiconValue(lexicon, lexicon.defs.main.record, record, collection);
+    }
+
+    /** String formats we check; others are accepted as-is. */
+    static LEXICON_FORMATS = {
+        'uri': /^[a-z][a-z0-9+.-]*:\S+$/i,
+        'at-uri': /^at:\/\/[^\s/]+(\/[^\s/]+){0,2}$/,
+        'datetime': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+        'did': /^did:[a-z]+:[a-zA-Z0-9._:%-]+$/
+    };
+
+    /** Shorten a string to at most `maxBytes` of UTF-8 without splitting a character. */
+    _clipString(value, maxBytes) {
+        const text = String(value);
+        if (new TextEncoder().encode(text).length <= maxBytes) return text;
+        let clipped = '';
+        let bytes = 0;
+        for (const char of text) {
+            bytes += new TextEncoder().encode(char).length;
+            if (bytes > maxBytes) break;
+            clipped += char;
+        }
+        return clipped;
+    }
+
+    _checkLexiconValue(lexicon, def, value, path) {
+        const fail = (problem) => {
+            const error = new Error(`Invalid record: ${path} ${problem}`);
+            error.code = 'InvalidRecord';
+            error.field = path;
+            throw error;
+        };
+        if (def.type === 'ref') def = lexicon.defs[def.ref.replace(/^#/, '')];
+        switch (def.type) {
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) fail('must be an object');
+                (def.required || []).forEach(name => {
+                    if (value[name] === undefined || value[name] === null) fail(`is missing required field "${name}"`);
+                });
+                Object.entries(def.properties || {}).forEach(([name, property]) => {
+                    if (value[name] !== undefined) this._checkLexiconValue(lexicon, property, value[name], `${path}.${name}`);
+                });
+                break;
+            case 'array':
+                if (!Array.isArray(value)) fail('must be an array');
+                if (def.maxLength !== undefined && value.length > def.maxLength) fail(`has ${value.length} items (at most ${def.maxLength} allowed)`);
+                value.forEach((item, i) => this._checkLexiconValue(lexicon, def.items, item, `${path}[${i}]`));
+                break;
+            case 'string': {
+                if (typeof value !== 'string') fail('must be a string');
+                // Lexicon string lengths are counted in UTF-8 bytes
+                const bytes = new TextEncoder().encode(value).length;
+                if (def.maxLength !== undefined && bytes > def.maxLength) fail(`is ${bytes} bytes long (at most ${def.maxLength} allowed)`);
+                if (def.minLength !== undefined && bytes < def.minLength) fail(`is ${bytes} bytes long (at least ${def.minLength} required)`);
+                if (def.format && WikiStorage.LEXICON_FORMATS[def.format] && !WikiStorage.LEXICON_FORMATS[def.format].test(value)) {
+                    fail(`is not a valid ${def.format}: ${JSON.stringify(value.slice(0, 80))}`);
+                }
+                // knownValues is an open set that newer clients may extend; only enum is closed
+                if (def.enum && !def.enum.includes(value)) fail(`must be one of ${def.enum.join(', ')} (got ${JSON.stringify(value)})`);
+                break;
             }
+            case 'integer':
+                if (!Number.isInteger(value)) fail('must be an integer');
+                if (def.minimum !== undefined && value < def.minimum) fail(`must be at least ${def.minimum}`);
+                if (def.maximum !== undefined && value > def.maximum) fail(`must be at most ${def.maximum}`);
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') fail('must be a boolean');
+                break;
+            default:
+                // unknown, blob and other types are left to the PDS
+                break;
+        }
+    }
+
+    // ===== OUTBOX (offline write queue) =====
+    // Every PDS write goes through the outbox: it is persisted first, then replayed oldest-first.
+    // A failing operation blocks the ones behind it (so order is kept) and is retried with
+    // exponential backoff; the queue is flushed again when the browser comes online or a session returns.
+    static OUTBOX_BASE_DELAY = 2000;
+    static OUTBOX_MAX_DELAY = 15 * 60 * 1000;
+
+    /**
+     * Queue a write for the connected account. `kind` is article | revision | comment | artboardItem | album | selfRecord |
+     * webcomicPages | webcomicProgress; `key` identifies the record, so a newer write supersedes older pending ones.
+     */
+    enqueueSync({ kind, action, key, payload = null }) {
+        const did = this.blueskyClient?.did;
+        if (!did) return;
+        const superseded = this.outbox
+            .filter(o => o.did === did && o.kind === kind && o.key === key && o.seq !== this._outboxInFlight)
+            .map(o => o.seq);
+        const lastSeq = this.outbox.length ? this.outbox[this.outbox.length - 1].seq : 0;
+        const op = {
+            seq: Math.max(Date.now(), lastSeq + 1),
+            did,
+            kind,
+            action,
+            key,
+            payload: payload ? JSON.parse(JSON.stringify(payload)) : null,
+            attempts: 0,
+            nextAttemptAt: 0,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        };
+        this.outbox = this.outbox.filter(o => !superseded.includes(o.seq));
+        this.outbox.push(op);
+        this._persist('outbox', { put: [op], remove: superseded });
+        this._notifyOutboxChange();
+    }
+
+    getPendingSyncCount() {
+        return this.outbox.length;
+    }
+
+    /** Pending operations for the connected account, oldest first. */
+    getPendingSyncOps(kind = null) {
+        const did = this.blueskyClient?.did;
+        return this.outbox.filter(o => o.did === did && (!kind || o.kind === kind));
+    }
+
+    async flushOutbox() {
+        if (this._outboxFlushing || !this.blueskyClient?.accessJwt) return;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+        this._outboxFlushing = true;
+        try {
+            while (this.blueskyClient?.accessJwt) {
+                const op = this.outbox.find(o => o.did === this.blueskyClient.did);
+                if (!op) break;
+                const wait = op.nextAttemptAt - Date.now();
+                if (wait > 0) {
+                    this._scheduleOutboxRetry(wait);
+                    break;
+                }
+                this._outboxInFlight = op.seq;
+                try {
+                    await this.ensureValidToken();
+                    await this._runOutboxOp(op);
+                    this.outbox = this.outbox.filter(o => o.seq !== op.seq);
+                    this._persist('outbox', { remove: [op.seq] });
+                } catch (error) {
+                    if (error.code === 'InvalidRecord') {
+                        // Retrying cannot fix it; drop it so it does not block the queue
+                        console.error(`Dropping ${op.kind} "${op.key}" that does not match its lexicon:`, error);
+                        this.outbox = this.outbox.filter(o => o.seq !== op.seq);
+                        this._persist('outbox', { remove: [op.seq] });
+                        if (typeof this.onSyncRejected === 'function') {
+                            try { this.onSyncRejected(op, error); } catch (e) { console.warn('Sync rejection listener failed:', e); }
+                        }
+                        continue;
+                    }
+                    if (error.code === 'ArticleConflict') {
+                        // Parked until the user resolves it; resolving queues a fresh write
+                        this.outbox = this.outbox.filter(o => o.seq !== op.seq);
+                        this._persist('outbox', { remove: [op.seq] });
+                        continue;
+                    }
+                    op.attempts += 1;
+                    op.lastError = error.message || String(error);
+                    op.nextAttemptAt = Date.now() + Math.min(WikiStorage.OUTBOX_BASE_DELAY * 2 ** (op.attempts - 1), WikiStorage.OUTBOX_MAX_DELAY);
+                    this._persist('outbox', { put: [op] });
+                    console.warn(`Sync of ${op.kind} "${op.key}" failed (attempt ${op.attempts}), will retry:`, error);
+                    this._scheduleOutboxRetry(op.nextAttemptAt - Date.now());
+                    break;
+                } finally {
+                    this._outboxInFlight = null;
+                }
+                this._notifyOutboxChange();
+            }
+        } finally {
+            this._outboxFlushing = false;
+            this._notifyOutboxChange();
+        }
+    }
+
+    async _runOutboxOp(op) {
+        switch (op.kind) {
+            case 'article':
+                if (op.action === 'delete') return this.deleteArticleFromBluesky(op.key);
+                return this.saveArticleToBluesky(op.key, op.payload.title, op.payload.content);
+            case 'revision':
+                if (op.action === 'deleteAll') return this._deleteArticleRevisionsOnPDS(op.key);
+                if (op.action === 'delete') return this._deleteRecordOnPDS(WikiStorage.REVISION_COLLECTION, op.key);
+                return this._putRevisionOnPDS(op.payload);
+            case 'comment':
+                if (op.action === 'delete') return this._deleteRecordOnPDS(WikiStorage.COMMENT_COLLECTION, op.key);
+                return this._putRecordOnPDS(WikiStorage.COMMENT_COLLECTION, op.key, this._commentToRecord(op.payload));
+            case 'proposal':
+                if (op.action === 'delete') return this._deleteRecordOnPDS(WikiStorage.PROPOSAL_COLLECTION, op.key);
+                return this._putRecordOnPDS(WikiStorage.PROPOSAL_COLLECTION, op.key, this._proposalToRecord(op.payload));
+            case 'artboardItem':
+                if (op.action === 'delete') return this._deleteArtboardItemOnPDS(op.key);
+                if (op.action === 'create') return this._createArtboardItemOnPDS(op.payload);
+                return this._putArtboardItemOnPDS(op.payload);
+            case 'album':
+                if (op.action === 'delete') return this._deleteArtboardAlbumOnPDS(op.key);
+                return this._createArtboardAlbumOnPDS(op.payload);
+            case 'selfRecord':
+                return this._putSelfRecord(op.key, op.payload);
+            case 'repoRecord':
+                // Queued before these records moved to their own collections
+                return this._putSelfRecord(WikiStorage.LEGACY_REPO_RECORD_COLLECTIONS[op.key], op.payload);
+            case 'webcomicPages':
+                return this.saveWebcomicPagesToBluesky(op.payload.pages);
+            case 'webcomicProgress':
+                return this.saveWebcomicProgressToBluesky(op.payload.progress);
+            default:
+                // Nothing can replay it; drop it rather than block the queue
+                console.warn('Dropping unknown outbox operation:', op);
+        }
+    }
+
+    _scheduleOutboxRetry(delay) {
+        clearTimeout(this._outboxTimer);
+        this._outboxTimer = setTimeout(() => this.flushOutbox(), Math.max(0, delay));
+    }
+
+    _watchConnectivity() {
+        if (this._watchingConnectivity || typeof window === 'undefined') return;
+        this._watchingConnectivity = true;
+        window.addEventListener('online', () => {
+            // Coming back online: retry right away instead of waiting out the backoff
+            this.outbox.forEach(o => { o.nextAttemptAt = 0; });
+            this.flushOutbox();
+        });
+        window.addEventListener('offline', () => this._notifyOutboxChange());
+    }
+
+    _notifyOutboxChange() {
+        if (typeof this.onOutboxChange === 'function') {
+            try { this.onOutboxChange(this.getPendingSyncCount()); } catch (e) { console.warn('Outbox listener failed:', e); }
+        }
+    }
+
+    // Load from localStorage (pre-IndexedDB format, and fallback when IndexedDB is unavailable)
+    loadFromLocalStorage() {
+        const read = (key, fallback) => {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        };
+        try {
+            this.articles = read('xoxowiki-articles', {});
+            this.history = read('xoxowiki-history', []);
+            this.comments = read('xoxowiki-comments', {});
+            this.archive = read('xoxowiki-archive', []);
+            this.habits = read('xoxowiki-habits', null);
+            this.habitLog = read('xoxowiki-habit-log', {});
+            this.drafts = read('xoxowiki-drafts', {});
+            this.outbox = read('xoxowiki-outbox', []);
         } catch (error) {
             console.error('Error loading from localStorage:', error);
             this.articles = {};
@@ -501,12 +1265,17 @@ class WikiStorage {
         }
     }
 
-    // Save to localStorage
+    // Save to localStorage (only used when IndexedDB is unavailable)
     saveToLocalStorage() {
         try {
             localStorage.setItem('xoxowiki-articles', JSON.stringify(this.articles));
             localStorage.setItem('xoxowiki-history', JSON.stringify(this.history));
             localStorage.setItem('xoxowiki-comments', JSON.stringify(this.comments));
+            localStorage.setItem('xoxowiki-archive', JSON.stringify(this.archive));
+            if (this.habits) localStorage.setItem('xoxowiki-habits', JSON.stringify(this.habits));
+            localStorage.setItem('xoxowiki-habit-log', JSON.stringify(this.habitLog));
+            localStorage.setItem('xoxowiki-drafts', JSON.stringify(this.drafts));
+            localStorage.setItem('xoxowiki-outbox', JSON.stringify(this.outbox));
         } catch (error) {
             console.error('Error saving to localStorage:', error);
         }
@@ -767,7 +1536,7 @@ class WikiStorage {
         const privateJwk = await this._exportKeyJwk(keypair.privateKey);
         const publicJwk = await this._exportKeyJwk(keypair.publicKey);
 
-        const scopePreferred = 'atproto repo:site.standard.document repo:com.atproto.repo.record rpc:app.bsky.feed.getTimeline?aud=did:web:api.bsky.app%23bsky_appview';
+        const scopePreferred = 'atproto repo:site.standard.document repo:com.atproto.repo.record repo:app.wikisky.revision repo:app.wikisky.comment repo:app.wikisky.bookmarks repo:app.wikisky.habits repo:app.wikisky.habitLog repo:app.wikisky.webcomicPages repo:app.wikisky.webcomicProgress repo:app.wikisky.proposal rpc:app.bsky.feed.getTimeline?aud=did:web:api.bsky.app%23bsky_appview';
         const scopeFallback = 'atproto transition:generic';
         let parBody = new URLSearchParams({
             response_type: 'code',
@@ -996,6 +1765,7 @@ class WikiStorage {
             }
 
             this.storageMode = 'bluesky';
+            this.flushOutbox();
             return true;
         } catch (error) {
             console.error('Bluesky connection error:', error);
@@ -1222,22 +1992,137 @@ class WikiStorage {
                         const val = record.value;
                         const path = val?.path || record.rkey;
                         if (path) {
+                            this._trackRemoteArticle(path, val, record.cid);
+                            // The local copy's updatedAt identifies this revision in history; the record's own
+                            // timestamp is the fallback for articles not tracked locally
+                            const local = this.articles[path];
+                            const recordTime = Date.parse(val.updatedAt || val.createdAt || '');
                             articles[path] = {
                                 title: val.title || '',
-                                content: val.content || ''
+                                content: val.content || '',
+                                updatedAt: local && local.content === (val.content || '') && local.updatedAt
+                                    ? local.updatedAt
+                                    : (Number.isNaN(recordTime) ? undefined : recordTime),
+                                author: this._recordAuthor(path, val.content || '')
                             };
                         }
                     });
                 }
                 cursor = data.cursor || null;
             } while (cursor);
-            return articles;
+            return this._applyPendingArticleOps(articles);
         } catch (error) {
             console.error('Error fetching from Bluesky:', error);
             return await this.getAllArticlesFromLocal();
         }
     }
 
+    // ===== OTHER USERS' WIKIS (read-only) =====
+    // Articles are public site.standard.document records, so anyone's wiki can be read straight
+    // from their PDS without logging in.
+
+    /** DID for a Bluesky handle (a DID is returned as-is). */
+    async resolveHandleToDid(handle) {
+        const name = String(handle).replace(/^@/, '').trim();
+        if (name.startsWith('did:')) return name;
+        const res = await fetch(`https://bsky.social/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(name)}`);
+        if (!res.ok) throw new Error(`Could not resolve handle @${name}`);
+        const data = await res.json();
+        return data.did;
+    }
+
+    /** Another account's articles: { did, handle, pdsUrl, articles: { key: { title, content, uri, cid } } }. Fetched once per session. */
+    getRemoteWiki(handle) {
+        const name = String(handle).replace(/^@/, '').trim().toLowerCase();
+        if (!this._remoteWikis) this._remoteWikis = {};
+        if (!this._remoteWikis[name]) {
+            this._remoteWikis[name] = this._fetchRemoteWiki(name).catch(error => {
+                delete this._remoteWikis[name];
+                throw error;
+            });
+        }
+        return this._remoteWikis[name];
+    }
+
+    async _fetchRemoteWiki(handle) {
+        const did = await this.resolveHandleToDid(handle);
+        const pdsUrl = await this._resolvePdsUrlForDid(did);
+        const records = await this._listRecords('site.standard.document', did, pdsUrl);
+        const articles = {};
+        records.forEach(({ rkey, cid, value }) => {
+            if (!value) return;
+            const key = this._remoteArticleKey(rkey, value);
+            articles[key] = { title: value.title || key, content: value.content || '', uri: `at://${did}/site.standard.document/${rkey}`, cid };
+        });
+        return { did, handle, pdsUrl, articles };
+    }
+
+    /** Key of another user's article: its path, unless that isn't safe to put in routes and links. */
+    _remoteArticleKey(rkey, value) {
+        return typeof value.path === 'string' && /^[A-Za-z0-9._~:-]{1,512}$/.test(value.path) ? value.path : rkey;
+    }
+
+    /** Any repo's article by AT-URI (the repo may be a handle): { uri, cid, did, key, title, content }, or null if it's gone. */
+    async getPublicArticleRecord(uri) {
+        const match = /^at:\/\/([^/]+)\/site\.standard\.document\/([^/]+)$/.exec(uri || '');
+        if (!match) throw new Error(`Not an article URI: ${uri}`);
+        const did = await this.resolveHandleToDid(match[1]);
+        const rkey = match[2];
+        const pdsUrl = await this._resolvePdsUrlForDid(did);
+        const res = await fetch(`${pdsUrl}/xrpc/com.atproto.repo.getRecord?repo=${encodeURIComponent(did)}&collection=site.standard.document&rkey=${encodeURIComponent(rkey)}`);
+        // A missing record is a 400 RecordNotFound
+        if (res.status === 400 || res.status === 404) return null;
+        if (!res.ok) throw new Error(`getRecord returned ${res.status}`);
+        const data = await res.json();
+        const value = data.value || {};
+        return {
+            uri: `at://${did}/site.standard.document/${rkey}`,
+            cid: data.cid || null,
+            did,
+            key: this._remoteArticleKey(rkey, value),
+            title: value.title || rkey,
+            content: value.content || ''
+        };
+    }
+
+    /** Provenance of one of our own articles, for a remix of it: { uri, cid, title, key, revision }. */
+    getArticleSource(key) {
+        const article = this.articles[key];
+        if (!article) return null;
+        const did = this.storageMode === 'bluesky' ? this.blueskyClient?.did : null;
+        return {
+            uri: did ? `at://${did}/site.standard.document/${this._toValidArticleRkey(key)}` : null,
+            cid: article.syncedCid || null,
+            title: article.title,
+            key,
+            revision: article.updatedAt || null
+        };
+    }
+
+    /** Show queued (not yet synced) article writes on top of what the PDS returned. */
+    _applyPendingArticleOps(articles) {
+        for (const op of this.getPendingSyncOps('article')) {
+            if (op.action === 'delete') {
+                delete articles[op.key];
+                delete articles[this._toValidArticleRkey(op.key)];
+            } else {
+                articles[op.key] = { title: op.payload.title, content: op.payload.content, author: this._recordAuthor(op.key, op.payload.content) };
+            }
+        }
+        return articles;
+    }
+
+    /**
+     * Who wrote the text of one of our article records. site.standard.document has no author, so it
+     * is the local copy's author when that holds the same text (it may credit an accepted proposal),
+     * otherwise this account.
+     */
+    _recordAuthor(key, content) {
+        const local = this.articles[key];
+        if (local && local.content === content && local.author) return local.author;
+        return (this.blueskyClient && this.blueskyClient.handle) || null;
+    }
+
     // Get single article
     async getArticle(key) {
         if (this.storageMode === 'bluesky' && this.blueskyClient) {
@@ -1258,6 +2143,11 @@ class WikiStorage {
         return null;
     }
 
+    /** Local key of the article stored under a site.standard.document rkey (articles loaded from the PDS use the rkey). */
+    _articleKeyForRkey(rkey) {
+        return Object.keys(this.articles).find(k => this._toValidArticleRkey(k) === rkey) || rkey;
+    }
+
     /** AT Protocol record key for site.standard.document: slug format, 1–80 chars, [a-z0-9-] only. */
     _toValidArticleRkey(key) {
         const raw = key != null ? String(key).trim() : '';
@@ -1269,6 +2159,16 @@ class WikiStorage {
     }
 
     async getArticleFromBluesky(key) {
+        const pending = this.getPendingSyncOps('article').filter(o => o.key === key).pop();
+        if (pending) {
+            return pending.action === 'delete' ? null : { title: pending.payload.title, content: pending.payload.content, author: this._recordAuthor(key, pending.payload.content) };
+        }
+        const record = await this._fetchArticleRecord(key);
+        return record ? { title: record.title, content: record.content, author: this._recordAuthor(key, record.content) } : null;
+    }
+
+    /** The article's record as it is on the PDS right now (ignores the outbox): { title, content, cid } or null. */
+    async _fetchArticleRecord(key) {
         try {
             const rkey = this._toValidArticleRkey(key);
             const response = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=site.standard.document&rkey=${encodeURIComponent(rkey)}`);
@@ -1281,7 +2181,8 @@ class WikiStorage {
             const val = data.value;
             return {
                 title: val.title || '',
-                content: val.content || ''
+                content: val.content || '',
+                cid: data.cid || null
             };
         } catch (error) {
             console.error('Error fetching article from Bluesky:', error);
@@ -1290,40 +2191,51 @@ class WikiStorage {
     }
 
     // Save article
-    async saveArticle(key, title, content) {
+    /** Save an edit. `author` credits someone else with it (an accepted merge proposal). */
+    async saveArticle(key, title, content, { author = null } = {}) {
         // Always save locally first for offline access
-        await this.saveArticleToLocal(key, title, content);
+        await this.saveArticleToLocal(key, title, content, { author });
 
-        // Then sync to Bluesky if connected
+        // Then queue the PDS write and try to send it now; if that fails it stays queued for replay
         if (this.storageMode === 'bluesky' && this.blueskyClient) {
-            await this.saveArticleToBluesky(key, title, content);
+            this.enqueueSync({ kind: 'article', action: 'put', key, payload: { title, content } });
+            await this.flushOutbox();
         }
     }
 
-    async saveArticleToLocal(key, title, content) {
+    async saveArticleToLocal(key, title, content, { author = null } = {}) {
         // Save history if article exists
         const existing = this.articles[key];
         if (existing) {
-            this.history.push({
+            const entry = {
+                id: `${key}-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
                 articleKey: key,
                 title: existing.title,
                 content: existing.content,
                 timestamp: existing.updatedAt || Date.now(),
-                editedAt: Date.now()
-            });
+                editedAt: Date.now(),
+                author: existing.author || null
+            };
+            this.history.push(entry);
+            this._persist('history', { put: [entry] });
+            this._queueRevision(entry);
         }
         
-        // Save article
+        // Save article (updatedAt always moves forward so it can identify this revision in history)
         this.articles[key] = {
+            ...existing,
             title: title,
             content: content,
-            updatedAt: Date.now()
+            updatedAt: Math.max(Date.now(), ((existing && existing.updatedAt) || 0) + 1),
+            author: author || (this.blueskyClient && this.blueskyClient.handle) || null
         };
-        
-        // Persist to localStorage
-        this.saveToLocalStorage();
+        this._persist('articles', { put: [{ key, ...this.articles[key] }] });
     }
 
+    /**
+     * Write the article record. The update is conditional on the CID we last synced (swapRecord), so an
+     * edit made on another device in the meantime is merged instead of overwritten.
+     */
     async saveArticleToBluesky(key, title, content) {
         const rkey = this._toValidArticleRkey(key);
         const recordData = {
@@ -1334,7 +2246,8 @@ class WikiStorage {
             createdAt: new Date().toISOString()
         };
 
-        const existing = await this.getArticleFromBluesky(key);
+        const existing = await this._fetchArticleRecord(key);
+        const swapRecord = this.articles[key]?.syncedCid || null;
 
         if (existing) {
             const putRes = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.putRecord`, {
@@ -1344,13 +2257,19 @@ class WikiStorage {
                     repo: this.blueskyClient.did,
                     collection: 'site.standard.document',
                     rkey,
-                    record: recordData
+                    record: recordData,
+                    ...(swapRecord && { swapRecord })
                 })
             });
             if (!putRes.ok) {
                 const err = await putRes.json().catch(() => ({}));
+                if (err.error === 'InvalidSwap') {
+                    return this._mergeRemoteArticleChanges(key, title, content);
+                }
                 throw new Error(err.message || err.error || 'Failed to save to Bluesky');
             }
+            const data = await putRes.json().catch(() => ({}));
+            this._markArticleSynced(key, data.cid, content);
         } else {
             const createRes = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.createRecord`, {
                 method: 'POST',
@@ -1366,35 +2285,149 @@ class WikiStorage {
                 const err = await createRes.json().catch(() => ({}));
                 throw new Error(err.message || err.error || 'Failed to save to Bluesky');
             }
+            const data = await createRes.json().catch(() => ({}));
+            this._markArticleSynced(key, data.cid, content);
+        }
+    }
+
+    // ===== SYNC STATE & CONFLICTS =====
+    // Each local article remembers the CID of the PDS record it last matched (syncedCid) and which
+    // local revision that was (syncedRevision, an updatedAt value). That revision - the current text
+    // or an entry in history - is the common ancestor when both sides have changed.
+
+    /** Record that the PDS now holds `content` for this article at `cid`. */
+    _markArticleSynced(key, cid, content) {
+        const article = this.articles[key];
+        if (!article || !cid) return;
+        article.syncedCid = cid;
+        // Only the revision whose text was written counts as synced (a newer local edit may be queued behind it)
+        article.syncedRevision = article.content === content ? article.updatedAt : this._findRevision(key, content);
+        this._persist('articles', { put: [{ key, ...article }] });
+    }
+
+    _findRevision(key, content) {
+        const entry = this.history
+            .filter(h => h.articleKey === key && h.content === content)
+            .sort((a, b) => b.timestamp - a.timestamp)[0];
+        return entry ? entry.timestamp : null;
+    }
+
+    /** Text of the last revision both sides agreed on, or null if it is no longer in history. */
+    _articleMergeBase(key) {
+        const article = this.articles[key];
+        if (!article || !article.syncedRevision) return null;
+        if (article.updatedAt === article.syncedRevision) return article.content;
+        const entry = this.history.find(h => h.articleKey === key && h.timestamp === article.syncedRevision);
+        return entry ? entry.content : null;
+    }
+
+    /** Keep the local copy of a PDS article in step with what we read, so its CID and text can serve as a merge base. */
+    _trackRemoteArticle(key, value, cid) {
+        if (!cid || this.conflicts[key] || this.getPendingSyncOps('article').some(o => o.key === key)) return;
+        const title = value.title || '';
+        const content = value.content || '';
+        const local = this.articles[key];
+        if (!local) {
+            this.articles[key] = { title, content, updatedAt: Date.now(), author: this._recordAuthor(key, content) };
+            this._markArticleSynced(key, cid, content);
+        } else if (local.content === content && local.title === title) {
+            if (local.syncedCid !== cid) this._markArticleSynced(key, cid, content);
+        } else if (local.syncedCid !== cid && local.updatedAt === local.syncedRevision) {
+            // Changed on another device and not edited here since: take it (ours stays in history)
+            this._adoptRemoteRevision(key, title, content, cid);
         }
     }
 
-    // Delete article (from PDS first so it fully deletes, then local)
+    _adoptRemoteRevision(key, title, content, cid) {
+        this.saveArticleToLocal(key, title, content);
+        this._markArticleSynced(key, cid, content);
+    }
+
+    /** Called when swapRecord failed: merge their version with ours, or park the article as a conflict. */
+    async _mergeRemoteArticleChanges(key, title, content) {
+        const remote = await this._fetchArticleRecord(key);
+        const article = this.articles[key];
+        if (!remote) {
+            // Deleted on the other side; our edit recreates it
+            if (article) article.syncedCid = null;
+            return this.saveArticleToBluesky(key, title, content);
+        }
+        if (remote.content === content) {
+            this._markArticleSynced(key, remote.cid, content);
+            return;
+        }
+
+        const base = this._articleMergeBase(key);
+        const result = this.mergeThreeWay(base !== null ? base : '', content, remote.content);
+        if (result.conflicts === 0) {
+            // Their version becomes a revision in our history, then the merge goes on top of it
+            this._adoptRemoteRevision(key, remote.title, remote.content, remote.cid);
+            await this.saveArticleToLocal(key, title, result.text);
+            console.info(`Merged remote changes into "${title}"`);
+            return this.saveArticleToBluesky(key, title, result.text);
+        }
+
+        this._setArticleConflict(key, {
+            key,
+            title,
+            theirsTitle: remote.title,
+            base: base !== null ? base : '',
+            mine: content,
+            theirs: remote.content,
+            remoteCid: remote.cid,
+            hunks: result.hunks,
+            detectedAt: new Date().toISOString()
+        });
+        const error = new Error(`"${title}" was also changed on another device. Resolve the conflict to sync it.`);
+        error.code = 'ArticleConflict';
+        error.articleKey = key;
+        throw error;
+    }
+
+    _setArticleConflict(key, conflict) {
+        if (conflict) this.conflicts[key] = conflict;
+        else delete this.conflicts[key];
+        try {
+            localStorage.setItem('xoxowiki-conflicts', JSON.stringify(this.conflicts));
+        } catch (e) { console.error('Error saving conflicts:', e); }
+        if (conflict && typeof this.onArticleConflict === 'function') {
+            try { this.onArticleConflict(key); } catch (e) { console.warn('Conflict listener failed:', e); }
+        }
+    }
+
+    getArticleConflict(key) {
+        return this.conflicts[key] || null;
+    }
+
+    getArticleConflicts() {
+        return Object.values(this.conflicts);
+    }
+
+    /** Save the user's resolution on top of their version and queue it (swapping against their CID). */
+    async resolveArticleConflict(key, content, title = null) {
+        const conflict = this.conflicts[key];
+        if (!conflict) return;
+        this._adoptRemoteRevision(key, conflict.theirsTitle || conflict.title, conflict.theirs, conflict.remoteCid);
+        this._setArticleConflict(key, null);
+        await this.saveArticle(key, title || conflict.title, content);
+    }
+
+    // Delete article locally, then queue the PDS delete (replayed until the record is gone)
     async deleteArticle(key) {
-        // Delete from PDS first (source of truth) - this ensures it's actually deleted
+        await this.deleteArticleFromLocal(key);
         if (this.storageMode === 'bluesky' && this.blueskyClient) {
-            try {
-                await this.deleteArticleFromBluesky(key);
-            } catch (e) {
-                // Only treat as "already gone" if error clearly says record not found
-                const msg = (e && e.message) || '';
-                const isRecordNotFound = /RecordNotFound|record not found|404/i.test(msg) && !/still exists|accepted but/i.test(msg);
-                if (!isRecordNotFound) {
-                    // PDS deletion failed - throw error so caller knows
-                    console.error('Failed to delete article from PDS:', key, e);
-                    throw e;
-                }
-                // Record not found means it's already deleted, continue
-            }
+            this.enqueueSync({ kind: 'article', action: 'delete', key });
+            this.enqueueSync({ kind: 'revision', action: 'deleteAll', key: this._toValidArticleRkey(key) });
+            await this.flushOutbox();
         }
-        // Only delete locally if PDS deletion succeeded (or not using PDS)
-        await this.deleteArticleFromLocal(key);
     }
 
     async deleteArticleFromLocal(key) {
         delete this.articles[key];
+        const removedHistory = this.history.filter(h => h.articleKey === key).map(h => h.id);
         this.history = this.history.filter(h => h.articleKey !== key);
-        this.saveToLocalStorage();
+        this._persist('articles', { remove: [key] });
+        this._persist('history', { remove: removedHistory });
     }
 
     async deleteArticleFromBluesky(key) {
@@ -1459,48 +2492,485 @@ class WikiStorage {
                 return;
             }
 
-            const pdsHost = baseUrl.replace(/^https?:\/\//, '').split('/')[0];
-            throw new Error(`PDS (${pdsHost}) returned ${res.status}: ${msg || errCode || 'Could not delete record'}. rkey: ${rkey}`);
+            const pdsHost = baseUrl.replace(/^https?:\/\//, '').split('/')[0];
+            throw new Error(`PDS (${pdsHost}) returned ${res.status}: ${msg || errCode || 'Could not delete record'}. rkey: ${rkey}`);
+        }
+
+        // Delete succeeded
+    }
+
+    // Export all articles as JSON
+    async exportArticles() {
+        const articles = await this.getAllArticles();
+        return JSON.stringify(articles, null, 2);
+    }
+
+    // Import articles from JSON
+    async importArticles(jsonString) {
+        const articles = JSON.parse(jsonString);
+        for (const [key, article] of Object.entries(articles)) {
+            await this.saveArticle(key, article.title, article.content);
+        }
+    }
+
+    // Get edit history for an article (revisions stored on the PDS are fetched the first time)
+    async getArticleHistory(articleKey) {
+        await this._loadRemoteRevisions();
+        return this.history
+            .filter(h => h.articleKey === articleKey)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(entry => ({
+                title: entry.title,
+                content: entry.content,
+                timestamp: entry.timestamp,
+                editedAt: entry.editedAt,
+                author: entry.author || null
+            }));
+    }
+
+    /**
+     * Which revision last changed each line of the current text. Returns { lines, revisions }:
+     * revisions run oldest to newest and end with the live article ({ current: true }), and
+     * lines[i] is the index into revisions for line i of the current content.
+     */
+    async blameArticle(articleKey) {
+        const article = this.articles[articleKey];
+        if (!article) return { lines: [], revisions: [] };
+
+        const history = await this.getArticleHistory(articleKey);
+        const timestamp = article.updatedAt || (history[0] && history[0].timestamp) || null;
+        const revisions = [
+            ...history.reverse(),
+            { title: article.title, content: article.content || '', timestamp, author: article.author || null, current: true }
+        ];
+
+        let owners = revisions[0].content.split('\n').map(() => 0);
+        let previous = revisions[0].content;
+        revisions.slice(1).forEach((revision, offset) => {
+            const index = offset + 1;
+            const next = [];
+            let oldLine = 0;
+            this.diffLines(previous, revision.content).forEach(run => {
+                run.lines.forEach(() => {
+                    if (run.type === 'equal') next.push(owners[oldLine++]);
+                    else if (run.type === 'delete') oldLine++;
+                    else next.push(index);
+                });
+            });
+            owners = next;
+            previous = revision.content;
+        });
+
+        return { lines: owners, revisions };
+    }
+
+    // Restore article from history
+    async restoreFromHistory(articleKey, historyTimestamp) {
+        const entry = this.history.find(h => h.articleKey === articleKey && h.timestamp === historyTimestamp);
+        if (entry) {
+            await this.saveArticle(articleKey, entry.title, entry.content);
+            return true;
+        }
+        return false;
+    }
+
+    // ===== MOVE (RENAME) =====
+    /** Content of the stub left at an article's old key when it is moved. */
+    static redirectContent(targetKey) {
+        return `#REDIRECT [[${targetKey}]]`;
+    }
+
+    /**
+     * Move an article to a new key and title. History, comments, bookmarks, pins, read state and meta
+     * go with it, and the old key becomes a #REDIRECT stub (links to it are rewritten by the caller).
+     * On the PDS the article and its revisions are re-created under the new rkey and our comments
+     * are re-pointed at it.
+     */
+    async moveArticle(oldKey, newKey, newTitle) {
+        const existing = this.articles[oldKey];
+        if (!existing) throw new Error(`No article "${oldKey}"`);
+        if (this.conflicts[oldKey]) {
+            const error = new Error('Resolve the edit conflict on this article before moving it');
+            error.code = 'ArticleConflict';
+            throw error;
+        }
+        const newRkey = this._toValidArticleRkey(newKey);
+        const taken = Object.keys(this.articles).find(k => k === newKey || (k !== oldKey && this._toValidArticleRkey(k) === newRkey));
+        if (taken || newRkey === this._toValidArticleRkey(oldKey)) {
+            const error = new Error(`An article with the key "${taken || oldKey}" already exists`);
+            error.code = 'ArticleExists';
+            throw error;
+        }
+
+        // Revisions only on the PDS so far would be lost with the old rkey's records
+        await this._loadRemoteRevisions();
+
+        const { syncedCid, syncedRevision, ...article } = existing;
+        this.articles[newKey] = { ...article, title: newTitle };
+        this.articles[oldKey] = {
+            title: existing.title,
+            content: WikiStorage.redirectContent(newKey),
+            updatedAt: Math.max(Date.now(), (existing.updatedAt || 0) + 1),
+            author: (this.blueskyClient && this.blueskyClient.handle) || null,
+            syncedCid,
+            syncedRevision
+        };
+        this._persist('articles', { put: [{ key: newKey, ...this.articles[newKey] }, { key: oldKey, ...this.articles[oldKey] }] });
+
+        const movedHistory = this.history.filter(h => h.articleKey === oldKey);
+        movedHistory.forEach(h => { h.articleKey = newKey; });
+        this._persist('history', { put: movedHistory });
+
+        const rows = [];
+        const flatten = (list) => list.forEach(comment => {
+            rows.push({ ...this._commentToRow(comment), articleKey: newKey });
+            flatten(comment.replies || []);
+        });
+        flatten(this.comments[oldKey] || []);
+        delete this.comments[oldKey];
+        if (rows.length) this.comments[newKey] = this._buildCommentTrees(rows)[newKey];
+        this._persist('comments', { put: rows });
+        const repoRows = (this.repoComments[oldKey] || []).map(row => ({ ...row, articleKey: newKey }));
+        delete this.repoComments[oldKey];
+        if (repoRows.length) this.repoComments[newKey] = repoRows;
+
+        this._moveArticleReferences(oldKey, newKey);
+
+        if (this.storageMode === 'bluesky' && this.blueskyClient) {
+            const did = this.blueskyClient.did;
+            this.enqueueSync({ kind: 'article', action: 'put', key: newKey, payload: { title: newTitle, content: existing.content } });
+            this.enqueueSync({ kind: 'article', action: 'put', key: oldKey, payload: { title: existing.title, content: this.articles[oldKey].content } });
+            this.enqueueSync({ kind: 'revision', action: 'deleteAll', key: this._toValidArticleRkey(oldKey) });
+            movedHistory
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, WikiStorage.REVISION_RETENTION)
+                .reverse()
+                .forEach(entry => this._queueRevision(entry));
+            // Our comments' records name the article by rkey
+            const ownComments = new Map();
+            [...rows, ...repoRows].forEach(row => { if (row.authorDid === did) ownComments.set(row.id, row); });
+            ownComments.forEach(row => this.enqueueSync({ kind: 'comment', action: 'put', key: row.id, payload: row }));
+            await this.flushOutbox();
+        }
+    }
+
+    /** Point the per-article settings kept under an article's key at its new key. */
+    _moveArticleReferences(oldKey, newKey) {
+        const bookmarks = this.getBookmarks();
+        if (bookmarks.includes(oldKey)) {
+            this.saveBookmarks(bookmarks.map(k => k === oldKey ? newKey : k).filter((k, i, all) => all.indexOf(k) === i));
+        }
+
+        const pinned = this.getPinnedArticles();
+        if (pinned.includes(oldKey)) {
+            localStorage.setItem('xoxowiki-pinned', JSON.stringify(pinned.map(k => k === oldKey ? newKey : k)));
+        }
+
+        const readArticles = this.getReadArticles();
+        if (readArticles.hasOwnProperty(oldKey)) {
+            readArticles[newKey] = readArticles[oldKey];
+            delete readArticles[oldKey];
+            localStorage.setItem('xoxowiki-read-articles', JSON.stringify(readArticles));
+        }
+
+        if (this.drafts[oldKey]) {
+            this.drafts[newKey] = this.drafts[oldKey];
+            delete this.drafts[oldKey];
+            this._persist('drafts', { put: [{ ...this.drafts[newKey], key: newKey }], remove: [oldKey] });
+        }
+
+        try {
+            const stored = localStorage.getItem('xoxowiki-meta');
+            const meta = stored ? JSON.parse(stored) : {};
+            if (meta[oldKey]) {
+                meta[newKey] = meta[oldKey];
+                delete meta[oldKey];
+            }
+            // Remixes of the article know it by key
+            Object.values(meta).forEach(value => {
+                if (value.remixedFrom && !value.remixedFrom.handle && value.remixedFrom.key === oldKey) {
+                    value.remixedFrom = { ...value.remixedFrom, key: newKey };
+                }
+            });
+            localStorage.setItem('xoxowiki-meta', JSON.stringify(meta));
+        } catch (e) { console.error('Error moving meta:', e); }
+
+        const proposals = this.getOwnProposals();
+        if (proposals.some(p => p.remixKey === oldKey || (!p.target.handle && p.target.key === oldKey))) {
+            this._saveOwnProposals(proposals.map(p => ({
+                ...p,
+                remixKey: p.remixKey === oldKey ? newKey : p.remixKey,
+                target: !p.target.handle && p.target.key === oldKey ? { ...p.target, key: newKey } : p.target
+            })));
+        }
+    }
+
+    // ===== REVISION SYNC =====
+    // Superseded versions are also written to the PDS as app.wikisky.revision records keyed
+    // `<article rkey>.<revision timestamp>`, so history follows the account to other devices. They are
+    // listed the first time history is opened, and only the newest REVISION_RETENTION per article are kept there.
+    static REVISION_COLLECTION = 'app.wikisky.revision';
+    static REVISION_RETENTION = 50;
+
+    _revisionRkey(articleKey, timestamp) {
+        return `${this._toValidArticleRkey(articleKey)}.${timestamp}`;
+    }
+
+    _revisionToRecord(entry) {
+        return {
+            $type: WikiStorage.REVISION_COLLECTION,
+            article: this._toValidArticleRkey(entry.articleKey),
+            title: entry.title || '',
+            content: entry.content || '',
+            revision: entry.timestamp,
+            editedAt: new Date(entry.editedAt || entry.timestamp).toISOString(),
+            author: entry.author || undefined,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    _queueRevision(entry) {
+        if (this.storageMode !== 'bluesky' || !this.blueskyClient) return;
+        this.enqueueSync({ kind: 'revision', action: 'put', key: this._revisionRkey(entry.articleKey, entry.timestamp), payload: entry });
+    }
+
+    /** Write one revision, then delete the one it pushed out of the article's retention window. */
+    async _putRevisionOnPDS(entry) {
+        await this._putRecordOnPDS(WikiStorage.REVISION_COLLECTION, this._revisionRkey(entry.articleKey, entry.timestamp), this._revisionToRecord(entry));
+        const expired = this.history
+            .filter(h => h.articleKey === entry.articleKey)
+            .sort((a, b) => b.timestamp - a.timestamp)[WikiStorage.REVISION_RETENTION];
+        if (expired) {
+            await this._deleteRecordOnPDS(WikiStorage.REVISION_COLLECTION, this._revisionRkey(expired.articleKey, expired.timestamp));
         }
+    }
 
-        // Delete succeeded
+    async _deleteArticleRevisionsOnPDS(articleRkey) {
+        const records = await this._listRecords(WikiStorage.REVISION_COLLECTION);
+        for (const record of records) {
+            if (record.value && record.value.article === articleRkey) {
+                await this._deleteRecordOnPDS(WikiStorage.REVISION_COLLECTION, record.rkey);
+            }
+        }
     }
 
-    // Export all articles as JSON
-    async exportArticles() {
-        const articles = await this.getAllArticles();
-        return JSON.stringify(articles, null, 2);
+    /** Merge the account's PDS revisions into local history, once per session and account. */
+    _loadRemoteRevisions() {
+        if (this.storageMode !== 'bluesky' || !this.blueskyClient?.accessJwt) return Promise.resolve();
+        const did = this.blueskyClient.did;
+        if (!this._remoteRevisions || this._remoteRevisions.did !== did) {
+            const promise = this._fetchRemoteRevisions().catch(error => {
+                console.error('Error loading revisions from PDS:', error);
+                // Try again the next time history is opened
+                if (this._remoteRevisions && this._remoteRevisions.promise === promise) this._remoteRevisions = null;
+            });
+            this._remoteRevisions = { did, promise };
+        }
+        return this._remoteRevisions.promise;
     }
 
-    // Import articles from JSON
-    async importArticles(jsonString) {
-        const articles = JSON.parse(jsonString);
-        for (const [key, article] of Object.entries(articles)) {
-            await this.saveArticle(key, article.title, article.content);
+    async _fetchRemoteRevisions() {
+        await this.ensureValidToken();
+        const records = (await this._listRecords(WikiStorage.REVISION_COLLECTION))
+            .filter(r => r.value && r.value.article && typeof r.value.revision === 'number');
+        const known = new Set(this.history.map(h => `${h.articleKey}\n${h.timestamp}`));
+
+        const added = [];
+        const onPds = new Set();
+        records.forEach(({ rkey, value }) => {
+            onPds.add(rkey);
+            const articleKey = this._articleKeyForRkey(value.article);
+            if (known.has(`${articleKey}\n${value.revision}`)) return;
+            known.add(`${articleKey}\n${value.revision}`);
+            added.push({
+                id: `${articleKey}-${value.revision}-pds`,
+                articleKey,
+                title: value.title || '',
+                content: value.content || '',
+                timestamp: value.revision,
+                editedAt: Date.parse(value.editedAt) || value.revision,
+                author: value.author || null
+            });
+        });
+        if (added.length) {
+            this.history.push(...added);
+            this._persist('history', { put: added });
+        }
+
+        // Upload local revisions the PDS is missing (e.g. made before signing in) and expire those past retention
+        const byArticle = {};
+        this.history.forEach(h => (byArticle[h.articleKey] = byArticle[h.articleKey] || []).push(h));
+        Object.values(byArticle).forEach(entries => {
+            entries.sort((a, b) => b.timestamp - a.timestamp).forEach((entry, i) => {
+                const rkey = this._revisionRkey(entry.articleKey, entry.timestamp);
+                if (i < WikiStorage.REVISION_RETENTION && !onPds.has(rkey)) this._queueRevision(entry);
+                else if (i >= WikiStorage.REVISION_RETENTION && onPds.has(rkey)) this.enqueueSync({ kind: 'revision', action: 'delete', key: rkey });
+            });
+        });
+        this.flushOutbox();
+    }
+
+    // ===== DIFF & MERGE =====
+
+    /** Myers diff of two arrays; returns runs of { type: 'equal' | 'delete' | 'insert', items }. */
+    _diffSequences(a, b) {
+        // Common prefix/suffix are cheap to strip and keep the edit graph small
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length, endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+
+        const n = midA.length, m = midB.length, max = n + m, offset = max + 1;
+        const v = new Array(2 * max + 3).fill(0);
+        const trace = [];
+        const edits = [];
+        outer:
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && midA[x] === midB[y]) { x++; y++; }
+                v[offset + k] = x;
+                if (x >= n && y >= m) break outer;
+            }
+        }
+        let x = n, y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const tv = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && tv[offset + k - 1] < tv[offset + k + 1])) ? k + 1 : k - 1;
+            const prevX = tv[offset + prevK];
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) { edits.push({ type: 'equal', item: midA[x - 1] }); x--; y--; }
+            if (d > 0) {
+                if (x === prevX) edits.push({ type: 'insert', item: midB[y - 1] });
+                else edits.push({ type: 'delete', item: midA[x - 1] });
+            }
+            x = prevX; y = prevY;
         }
+        edits.reverse();
+
+        const all = [
+            ...a.slice(0, start).map(item => ({ type: 'equal', item })),
+            ...edits,
+            ...a.slice(endA).map(item => ({ type: 'equal', item }))
+        ];
+        const runs = [];
+        for (const edit of all) {
+            const last = runs[runs.length - 1];
+            if (last && last.type === edit.type) last.items.push(edit.item);
+            else runs.push({ type: edit.type, items: [edit.item] });
+        }
+        return runs;
     }
 
-    // Get edit history for an article
-    async getArticleHistory(articleKey) {
-        return this.history
-            .filter(h => h.articleKey === articleKey)
-            .sort((a, b) => b.timestamp - a.timestamp)
-            .map(entry => ({
-                title: entry.title,
-                content: entry.content,
-                timestamp: entry.timestamp,
-                editedAt: entry.editedAt
-            }));
+    /** Line diff: [{ type, lines }]. */
+    diffLines(oldText, newText) {
+        return this._diffSequences(String(oldText || '').split('\n'), String(newText || '').split('\n'))
+            .map(run => ({ type: run.type, lines: run.items }));
     }
 
-    // Restore article from history
-    async restoreFromHistory(articleKey, historyTimestamp) {
-        const entry = this.history.find(h => h.articleKey === articleKey && h.timestamp === historyTimestamp);
-        if (entry) {
-            await this.saveArticle(articleKey, entry.title, entry.content);
-            return true;
+    /** Word diff (whitespace kept as its own tokens): [{ type, text }]. */
+    diffWords(oldText, newText) {
+        const tokenize = (text) => String(text || '').match(/\s+|[\w\u00C0-\uFFFF]+|[^\w\s]/g) || [];
+        return this._diffSequences(tokenize(oldText), tokenize(newText))
+            .map(run => ({ type: run.type, text: run.items.join('') }));
+    }
+
+    /** Changed regions of `other` relative to `base`, in base line numbers: [{ start, end, lines }]. */
+    _changeRegions(base, other) {
+        const regions = [];
+        let index = 0;
+        let current = null;
+        for (const run of this._diffSequences(base, other)) {
+            if (run.type === 'equal') {
+                if (current) { regions.push(current); current = null; }
+                index += run.items.length;
+                continue;
+            }
+            if (!current) current = { start: index, end: index, lines: [] };
+            if (run.type === 'delete') {
+                index += run.items.length;
+                current.end = index;
+            } else {
+                current.lines.push(...run.items);
+            }
         }
-        return false;
+        if (current) regions.push(current);
+        return regions;
+    }
+
+    /**
+     * Line-based three-way merge. Changes made on only one side are applied; overlapping changes
+     * that differ become conflict hunks. Returns { text, conflicts, hunks } where hunks are
+     * { type: 'ok', lines } or { type: 'conflict', base, mine, theirs } (line arrays).
+     */
+    mergeThreeWay(baseText, mineText, theirsText) {
+        const base = String(baseText || '').split('\n');
+        const mine = String(mineText || '').split('\n');
+        const theirs = String(theirsText || '').split('\n');
+        const regions = [
+            ...this._changeRegions(base, mine).map(r => ({ ...r, side: 'mine' })),
+            ...this._changeRegions(base, theirs).map(r => ({ ...r, side: 'theirs' }))
+        ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+        // Group regions that touch the same base lines (or insert at the same point)
+        const groups = [];
+        for (const region of regions) {
+            const group = groups[groups.length - 1];
+            const overlaps = group && (region.start < group.end || (region.start === group.end && (region.start === region.end || group.start === group.end)));
+            if (overlaps) {
+                group.end = Math.max(group.end, region.end);
+                group.regions.push(region);
+            } else {
+                groups.push({ start: region.start, end: region.end, regions: [region] });
+            }
+        }
+
+        const applySide = (group, side) => {
+            const lines = [];
+            let index = group.start;
+            for (const region of group.regions.filter(r => r.side === side)) {
+                lines.push(...base.slice(index, region.start), ...region.lines);
+                index = region.end;
+            }
+            lines.push(...base.slice(index, group.end));
+            return lines;
+        };
+
+        const hunks = [];
+        const pushOk = (lines) => {
+            if (lines.length === 0) return;
+            const last = hunks[hunks.length - 1];
+            if (last && last.type === 'ok') last.lines.push(...lines);
+            else hunks.push({ type: 'ok', lines: [...lines] });
+        };
+        let conflicts = 0;
+        let index = 0;
+        for (const group of groups) {
+            pushOk(base.slice(index, group.start));
+            const sides = new Set(group.regions.map(r => r.side));
+            if (sides.size === 1) {
+                pushOk(applySide(group, [...sides][0]));
+            } else {
+                const mineLines = applySide(group, 'mine');
+                const theirLines = applySide(group, 'theirs');
+                if (mineLines.join('\n') === theirLines.join('\n')) {
+                    pushOk(mineLines);
+                } else {
+                    conflicts++;
+                    hunks.push({ type: 'conflict', base: base.slice(group.start, group.end), mine: mineLines, theirs: theirLines });
+                }
+            }
+            index = group.end;
+        }
+        pushOk(base.slice(index));
+
+        const text = hunks.flatMap(h => h.type === 'ok' ? h.lines : h.mine).join('\n');
+        return { text, conflicts, hunks };
     }
 
     // Comments system
@@ -1508,14 +2978,22 @@ class WikiStorage {
         if (!this.comments[articleKey]) {
             this.comments[articleKey] = [];
         }
+        const publish = this.storageMode === 'bluesky' && this.blueskyClient;
+        // The parent may be a comment read from the PDS, so look in the merged tree for its record
+        const parentComment = parentId ? this._findComment(this.getComments(articleKey), parentId) : null;
+        const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
         
         const comment = {
-            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            id,
             articleKey: articleKey,
             text: commentText,
             author: author,
             timestamp: Date.now(),
             parentId: parentId, // null for top-level comments, comment ID for replies
+            parentUri: parentComment ? this._commentUri(parentComment) : null,
+            uri: publish && this.blueskyClient.did ? `at://${this.blueskyClient.did}/${WikiStorage.COMMENT_COLLECTION}/${id}` : null,
+            handle: (this.blueskyClient && this.blueskyClient.handle) || null,
+            authorDid: (this.blueskyClient && this.blueskyClient.did) || null,
             replies: []
         };
         
@@ -1536,7 +3014,11 @@ class WikiStorage {
             this.comments[articleKey].push(comment);
         }
         
-        this.saveToLocalStorage();
+        this._persist('comments', { put: [this._commentToRow(comment)] });
+        if (publish) {
+            this.enqueueSync({ kind: 'comment', action: 'put', key: comment.id, payload: this._commentToRow(comment) });
+            this.flushOutbox();
+        }
         return comment;
     }
 
@@ -1557,8 +3039,23 @@ class WikiStorage {
         return findInComments(this.comments[articleKey]);
     }
 
+    /** Comment trees for an article: local comments plus any read from the repo that this browser does not have. */
     getComments(articleKey) {
-        return this.comments[articleKey] || [];
+        const local = this.comments[articleKey] || [];
+        const remote = this.repoComments[articleKey] || [];
+        if (remote.length === 0) return local;
+
+        const rows = [];
+        const flatten = (list) => list.forEach(comment => {
+            rows.push(this._commentToRow(comment));
+            flatten(comment.replies || []);
+        });
+        flatten(local);
+        const known = new Set(rows.map(row => row.id));
+        remote.forEach(row => {
+            if (!known.has(row.id)) rows.push(row);
+        });
+        return this._buildCommentTrees(rows)[articleKey] || [];
     }
 
     // Get all articles with comments, sorted by most recent comment timestamp
@@ -1600,28 +3097,282 @@ class WikiStorage {
     }
 
     deleteComment(articleKey, commentId) {
-        if (!this.comments[articleKey]) return false;
-        
-        const removeFromComments = (comments) => {
-            for (let i = 0; i < comments.length; i++) {
-                if (comments[i].id === commentId) {
-                    comments.splice(i, 1);
+        // Look in the merged tree, so replies kept only locally or only on the PDS go with their parent
+        const removed = [];
+        const collect = (comment) => {
+            removed.push(comment);
+            (comment.replies || []).forEach(collect);
+        };
+        const findComment = (comments) => {
+            for (const comment of comments) {
+                if (comment.id === commentId) {
+                    collect(comment);
                     return true;
                 }
-                if (comments[i].replies && comments[i].replies.length > 0) {
-                    if (removeFromComments(comments[i].replies)) {
-                        return true;
-                    }
-                }
+                if (findComment(comment.replies || [])) return true;
             }
             return false;
         };
-        
-        const removed = removeFromComments(this.comments[articleKey]);
-        if (removed) {
-            this.saveToLocalStorage();
+        if (!findComment(this.getComments(articleKey))) return false;
+
+        const removedIds = removed.map(comment => comment.id);
+        const rows = [];
+        const flatten = (list) => list.forEach(comment => {
+            rows.push(this._commentToRow(comment));
+            flatten(comment.replies || []);
+        });
+        flatten(this.comments[articleKey] || []);
+        this.comments[articleKey] = this._buildCommentTrees(rows.filter(row => !removedIds.includes(row.id)))[articleKey] || [];
+        if (this.repoComments[articleKey]) {
+            this.repoComments[articleKey] = this.repoComments[articleKey].filter(row => !removedIds.includes(row.id));
+        }
+        this._persist('comments', { remove: removedIds });
+
+        // Our own comments are records in our repo; delete those too
+        const did = this.blueskyClient?.did;
+        if (this.storageMode === 'bluesky' && did) {
+            removed.filter(comment => comment.authorDid === did)
+                .forEach(comment => this.enqueueSync({ kind: 'comment', action: 'delete', key: comment.id }));
+            this.flushOutbox();
+        }
+        return true;
+    }
+
+    // ===== COMMENT SYNC =====
+    // Comments written while signed in are also app.wikisky.comment records in the author's repo (rkey =
+    // comment id). A record points at the article's site.standard.document by URI and at its parent
+    // comment, if it is a reply, by the parent's record URI.
+    static COMMENT_COLLECTION = 'app.wikisky.comment';
+
+    _findComment(comments, commentId) {
+        for (const comment of comments) {
+            if (comment.id === commentId) return comment;
+            const found = this._findComment(comment.replies || [], commentId);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /** Record URI of a comment, or null if it was never published (anonymous, or written offline in local mode) */
+    _commentUri(comment) {
+        if (comment.uri) return comment.uri;
+        // Comments from before URIs were stored: ours were published under our own DID
+        const did = this.blueskyClient?.did;
+        return this.storageMode === 'bluesky' && did && comment.authorDid === did ? `at://${did}/${WikiStorage.COMMENT_COLLECTION}/${comment.id}` : null;
+    }
+
+    _commentToRecord(row) {
+        const did = this.blueskyClient.did;
+        const parent = row.parentUri
+            || (row.parentId ? this._commentUri(this._findComment(this.getComments(row.articleKey), row.parentId) || {}) : null);
+        return {
+            $type: WikiStorage.COMMENT_COLLECTION,
+            subject: `at://${did}/site.standard.document/${this._toValidArticleRkey(row.articleKey)}`,
+            text: row.text,
+            parent: parent || undefined,
+            createdAt: new Date(row.timestamp).toISOString()
+        };
+    }
+
+    /** Comment row for one of the account's comment records */
+    _recordToCommentRow(did, handle, rkey, value) {
+        return {
+            id: rkey,
+            articleKey: this._articleKeyForRkey(value.subject.split('/').pop()),
+            text: value.text,
+            author: handle || did,
+            timestamp: Date.parse(value.createdAt) || 0,
+            parentId: value.parent ? value.parent.split('/').pop() : null,
+            parentUri: value.parent || null,
+            uri: `at://${did}/${WikiStorage.COMMENT_COLLECTION}/${rkey}`,
+            handle: handle || null,
+            authorDid: did
+        };
+    }
+
+    /** Read the account's comment records into repoComments; getComments merges them with the local ones. */
+    async loadCommentsFromBluesky() {
+        if (!this.blueskyClient?.accessJwt) return;
+        try {
+            await this.ensureValidToken();
+            const { did, handle } = this.blueskyClient;
+            const repoComments = {};
+            const records = await this._listRecords(WikiStorage.COMMENT_COLLECTION);
+            records.forEach(({ rkey, value }) => {
+                if (!value || typeof value.subject !== 'string' || typeof value.text !== 'string') return;
+                const row = this._recordToCommentRow(did, handle, rkey, value);
+                if (!repoComments[row.articleKey]) repoComments[row.articleKey] = [];
+                repoComments[row.articleKey].push(row);
+            });
+            this.repoComments = repoComments;
+        } catch (error) {
+            console.error('Error loading comments from Bluesky:', error);
+        }
+    }
+
+    // ===== MERGE PROPOSALS =====
+    // The author of a remix can propose its text back to the article it was forked from. Our own
+    // proposals are kept in xoxowiki-proposals and, when signed in, published as app.wikisky.proposal
+    // records (rkey = proposal id). They live in the proposer's repo, so the owner of the original finds
+    // proposals for their article through a public backlink index, which is keyed by subject URI.
+    static PROPOSAL_COLLECTION = 'app.wikisky.proposal';
+    static BACKLINK_INDEX_URL = 'https://constellation.microcosm.blue';
+
+    getOwnProposals() {
+        try {
+            const stored = localStorage.getItem('xoxowiki-proposals');
+            return stored ? JSON.parse(stored) : [];
+        } catch { return []; }
+    }
+
+    _saveOwnProposals(proposals) {
+        localStorage.setItem('xoxowiki-proposals', JSON.stringify(proposals));
+    }
+
+    /** Propose a remix's current text to the article it was forked from (meta.remixedFrom). */
+    async proposeMerge(remixKey, message = '') {
+        const remix = this.articles[remixKey];
+        const target = this.getArticleMeta(remixKey).remixedFrom;
+        if (!remix || !target || !(target.uri || target.key)) throw new Error('This article is not a remix of another article');
+
+        const proposal = {
+            id: Date.now().toString() + Math.random().toString(36).substr(2, 9),
+            remixKey,
+            target: { uri: target.uri || null, cid: target.cid || null, key: target.key || null, handle: target.handle || null, title: target.title || '', revision: target.revision || null },
+            title: remix.title,
+            content: remix.content || '',
+            message,
+            author: (this.blueskyClient && this.blueskyClient.handle) || null,
+            createdAt: Date.now()
+        };
+        this._saveOwnProposals([...this.getOwnProposals(), proposal]);
+
+        // A proposal can only be published if we know the original's record
+        if (this.storageMode === 'bluesky' && this.blueskyClient && proposal.target.uri) {
+            this.enqueueSync({ kind: 'proposal', action: 'put', key: proposal.id, payload: proposal });
+            await this.flushOutbox();
+        }
+        return proposal;
+    }
+
+    async withdrawProposal(id) {
+        const proposals = this.getOwnProposals();
+        const proposal = proposals.find(p => p.id === id);
+        if (!proposal) return;
+        this._saveOwnProposals(proposals.filter(p => p.id !== id));
+        if (this.storageMode === 'bluesky' && this.blueskyClient && proposal.target.uri) {
+            this.enqueueSync({ kind: 'proposal', action: 'delete', key: id });
+            await this.flushOutbox();
+        }
+    }
+
+    _proposalToRecord(proposal) {
+        const did = this.blueskyClient.did;
+        return {
+            $type: WikiStorage.PROPOSAL_COLLECTION,
+            subject: proposal.target.uri,
+            subjectCid: proposal.target.cid || undefined,
+            remix: this.articles[proposal.remixKey]?.syncedCid ? `at://${did}/site.standard.document/${this._toValidArticleRkey(proposal.remixKey)}` : undefined,
+            title: this._clipString(proposal.title || '', 1000),
+            content: proposal.content,
+            message: proposal.message ? this._clipString(proposal.message, 3000) : undefined,
+            createdAt: new Date(proposal.createdAt).toISOString()
+        };
+    }
+
+    /**
+     * Proposals made for one of our articles, newest first: { id, author, title, content, message,
+     * createdAt, status }. Our own come from the local list; others from the backlink index.
+     */
+    async getIncomingProposals(articleKey) {
+        const statuses = this.getProposalStatuses();
+        const proposals = this.getOwnProposals()
+            .filter(p => !p.target.handle && p.target.key === articleKey)
+            .map(p => ({ id: p.id, author: p.author, title: p.title, content: p.content, message: p.message, createdAt: p.createdAt, revision: p.target.revision || null, subjectCid: p.target.cid || null }));
+
+        const did = this.storageMode === 'bluesky' ? this.blueskyClient?.did : null;
+        if (did && this.articles[articleKey]) {
+            try {
+                const subject = `at://${did}/site.standard.document/${this._toValidArticleRkey(articleKey)}`;
+                const res = await fetch(`${WikiStorage.BACKLINK_INDEX_URL}/links?target=${encodeURIComponent(subject)}&collection=${WikiStorage.PROPOSAL_COLLECTION}&path=.subject`);
+                if (!res.ok) throw new Error(`Backlink index returned ${res.status}`);
+                const data = await res.json();
+                const links = (data.linking_records || [])
+                    // Ours are already in the local list on this device
+                    .filter(link => !(link.did === did && proposals.some(p => p.id === link.rkey)));
+                const remote = await Promise.all(links.map(link => this._fetchProposal(link.did, link.rkey).catch(error => {
+                    console.warn('Could not load proposal:', error);
+                    return null;
+                })));
+                proposals.push(...remote.filter(p => p && p.subject === subject));
+            } catch (error) {
+                console.warn('Could not look up proposals from other accounts:', error);
+            }
+        }
+
+        return proposals
+            .map(p => ({ ...p, status: statuses[p.id]?.status || 'open' }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Text of our article as it was when a proposal's remix was forked from it, or null if that version
+     * can't be found: by revision for remixes made in this wiki, by record CID for other accounts'.
+     */
+    getProposalBase(articleKey, proposal) {
+        const article = this.articles[articleKey];
+        if (!article) return null;
+        if (proposal.revision) {
+            if (article.updatedAt === proposal.revision) return article.content || '';
+            const entry = this.history.find(h => h.articleKey === articleKey && h.timestamp === proposal.revision);
+            return entry ? entry.content : null;
+        }
+        if (proposal.subjectCid && proposal.subjectCid === article.syncedCid) return this._articleMergeBase(articleKey);
+        return null;
+    }
+
+    async _fetchProposal(did, rkey) {
+        const pdsUrl = await this._resolvePdsUrlForDid(did);
+        const res = await fetch(`${pdsUrl}/xrpc/com.atproto.repo.getRecord?repo=${encodeURIComponent(did)}&collection=${WikiStorage.PROPOSAL_COLLECTION}&rkey=${encodeURIComponent(rkey)}`);
+        if (!res.ok) return null;
+        const { uri, value } = await res.json();
+        if (!value || typeof value.content !== 'string') return null;
+        return {
+            id: uri || `at://${did}/${WikiStorage.PROPOSAL_COLLECTION}/${rkey}`,
+            author: await this._handleForDid(did),
+            subject: value.subject,
+            subjectCid: value.subjectCid || null,
+            title: value.title || '',
+            content: value.content,
+            message: value.message || '',
+            createdAt: Date.parse(value.createdAt) || 0
+        };
+    }
+
+    /** Handle for a DID from the public App View (the DID itself if that fails). Cached per session. */
+    async _handleForDid(did) {
+        if (!this._didHandles) this._didHandles = {};
+        if (!this._didHandles[did]) {
+            this._didHandles[did] = fetch(`https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor=${encodeURIComponent(did)}`)
+                .then(res => res.ok ? res.json() : null)
+                .then(profile => profile?.handle || did)
+                .catch(() => did);
         }
-        return removed;
+        return this._didHandles[did];
+    }
+
+    /** What we did with incoming proposals: { [id]: { status: 'accepted' | 'declined', at } }. */
+    getProposalStatuses() {
+        try {
+            const stored = localStorage.getItem('xoxowiki-proposal-status');
+            return stored ? JSON.parse(stored) : {};
+        } catch { return {}; }
+    }
+
+    setProposalStatus(id, status) {
+        const statuses = this.getProposalStatuses();
+        statuses[id] = { status, at: Date.now() };
+        localStorage.setItem('xoxowiki-proposal-status', JSON.stringify(statuses));
     }
 
     // Bookmark management
@@ -1710,64 +3461,25 @@ class WikiStorage {
             localStorage.setItem('xoxowiki-webcomic-pages', JSON.stringify(pages));
             // Also sync to Bluesky if connected
             if (this.storageMode === 'bluesky' && this.blueskyClient) {
-                this.saveWebcomicPagesToBluesky(pages);
+                this.enqueueSync({ kind: 'webcomicPages', action: 'put', key: 'webcomic-pages', payload: { pages } });
+                this.flushOutbox();
             }
         } catch (error) {
             console.error('Error saving webcomic pages:', error);
         }
     }
 
+    /** Replayed from the outbox; throws so a failed write stays queued. putRecord creates the record if missing. */
     async saveWebcomicPagesToBluesky(pages) {
-        try {
-            await this.ensureValidToken();
-            const recordData = {
-                $type: 'com.atproto.repo.record',
-                pages: pages,
-                updatedAt: new Date().toISOString()
-            };
-
-            // Check if record exists
-            try {
-                await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=com.atproto.repo.record&rkey=webcomic-pages`);
-
-                // Update existing
-                await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.putRecord`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        repo: this.blueskyClient.did,
-                        collection: 'com.atproto.repo.record',
-                        rkey: 'webcomic-pages',
-                        record: recordData
-                    })
-                });
-            } catch (e) {
-                // Create new
-                await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.createRecord`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        repo: this.blueskyClient.did,
-                        collection: 'com.atproto.repo.record',
-                        record: recordData
-                    })
-                });
-            }
-        } catch (error) {
-            console.error('Error saving webcomic pages to Bluesky:', error);
-        }
+        await this._putSelfRecord(WikiStorage.WEBCOMIC_PAGES_COLLECTION, { pages, updatedAt: new Date().toISOString() });
     }
 
     async loadWebcomicPagesFromBluesky() {
         try {
             await this.ensureValidToken();
-            const response = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=com.atproto.repo.record&rkey=webcomic-pages`);
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.value && data.value.pages) {
-                    return data.value.pages;
-                }
+            const value = await this._getSelfRecord(WikiStorage.WEBCOMIC_PAGES_COLLECTION);
+            if (value && value.pages) {
+                return value.pages;
             }
         } catch (error) {
             console.error('Error loading webcomic pages from Bluesky:', error);
@@ -1817,69 +3529,27 @@ class WikiStorage {
             localStorage.setItem('xoxowiki-webcomic-progress', JSON.stringify(progress));
             // Also sync to Bluesky if connected
             if (this.storageMode === 'bluesky' && this.blueskyClient) {
-                this.saveWebcomicProgressToBluesky(progress);
+                this.enqueueSync({ kind: 'webcomicProgress', action: 'put', key: 'webcomic-progress', payload: { progress } });
+                this.flushOutbox();
             }
         } catch (error) {
             console.error('Error saving webcomic progress:', error);
         }
     }
 
+    /** Replayed from the outbox; throws so a failed write stays queued. Only this account's progress goes in its repo. */
     async saveWebcomicProgressToBluesky(progress) {
-        try {
-            await this.ensureValidToken();
-            const userId = this.blueskyClient.did;
-            const recordData = {
-                $type: 'com.atproto.repo.record',
-                userId: userId,
-                progress: progress,
-                updatedAt: new Date().toISOString()
-            };
-
-            const rkey = `webcomic-progress-${userId}`;
-            
-            try {
-                await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=com.atproto.repo.record&rkey=${rkey}`);
-
-                // Update existing
-                await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.putRecord`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        repo: this.blueskyClient.did,
-                        collection: 'com.atproto.repo.record',
-                        rkey: rkey,
-                        record: recordData
-                    })
-                });
-            } catch (e) {
-                // Create new
-                await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.createRecord`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        repo: this.blueskyClient.did,
-                        collection: 'com.atproto.repo.record',
-                        record: recordData
-                    })
-                });
-            }
-        } catch (error) {
-            console.error('Error saving webcomic progress to Bluesky:', error);
-        }
+        const readPageIds = progress[this.blueskyClient.did] || [];
+        await this._putSelfRecord(WikiStorage.WEBCOMIC_PROGRESS_COLLECTION, { readPageIds, updatedAt: new Date().toISOString() });
     }
 
+    /** Progress from the repo, keyed by DID like getWebcomicReadProgress. */
     async loadWebcomicProgressFromBluesky() {
         try {
             await this.ensureValidToken();
-            const userId = this.blueskyClient.did;
-            const rkey = `webcomic-progress-${userId}`;
-            const response = await this._pdsFetch(`${this._pdsBaseForRepo()}/xrpc/com.atproto.repo.getRecord?repo=${this.blueskyClient.did}&collection=com.atproto.repo.record&rkey=${rkey}`);
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.value && data.value.progress) {
-                    return data.value.progress;
-                }
+            const value = await this._getSelfRecord(WikiStorage.WEBCOMIC_PROGRESS_COLLECTION);
+            if (value && Array.isArray(value.readPageIds)) {
+                return { [this.blueskyClient.did]: value.readPageIds };
             }
         } catch (error) {
             console.error('Error loading webcomic progress from Bluesky:', error);
@@ -1914,29 +3584,39 @@ class WikiStorage {
 
     // ===== HABIT TRACKER =====
     getHabits() {
-        try {
-            const stored = localStorage.getItem('xoxowiki-habits');
-            return stored ? JSON.parse(stored) : ['Workout', 'Game Dev', 'Blender', 'Drawing'];
-        } catch { return ['Workout', 'Game Dev', 'Blender', 'Drawing']; }
+        return this.habits ? [...this.habits] : ['Workout', 'Game Dev', 'Blender', 'Drawing'];
     }
 
     saveHabits(habits) {
-        localStorage.setItem('xoxowiki-habits', JSON.stringify(habits));
+        this._storeHabits(habits);
         if (this.blueskyClient?.accessJwt) this.syncHabitsToBluesky().catch(() => {});
     }
 
+    _storeHabits(habits) {
+        const removed = (this.habits || []).filter(h => !habits.includes(h));
+        this.habits = [...habits];
+        this._persist('habits', { put: habits.map((name, position) => ({ name, position })), remove: removed });
+    }
+
     getHabitLog() {
-        try {
-            const stored = localStorage.getItem('xoxowiki-habit-log');
-            return stored ? JSON.parse(stored) : {};
-        } catch { return {}; }
+        return JSON.parse(JSON.stringify(this.habitLog));
     }
 
     saveHabitLog(log) {
-        localStorage.setItem('xoxowiki-habit-log', JSON.stringify(log));
+        this._storeHabitLog(log);
         if (this.blueskyClient?.accessJwt) this.syncHabitLogToBluesky().catch(() => {});
     }
 
+    /** Write only the days whose entries changed. */
+    _storeHabitLog(log) {
+        const put = Object.keys(log)
+            .filter(date => JSON.stringify(log[date]) !== JSON.stringify(this.habitLog[date]))
+            .map(date => ({ date, habits: log[date] }));
+        const remove = Object.keys(this.habitLog).filter(date => !(date in log));
+        this.habitLog = JSON.parse(JSON.stringify(log));
+        this._persist('habitLog', { put, remove });
+    }
+
     toggleHabit(date, habit) {
         const log = this.getHabitLog();
         if (!log[date]) log[date] = [];
@@ -1963,36 +3643,23 @@ class WikiStorage {
 
     // ===== DRAFTS =====
     getDraft(key) {
-        try {
-            const stored = localStorage.getItem('xoxowiki-drafts');
-            const drafts = stored ? JSON.parse(stored) : {};
-            return drafts[key] || null;
-        } catch { return null; }
+        return this.drafts[key] || null;
     }
 
     saveDraft(key, data) {
-        try {
-            const stored = localStorage.getItem('xoxowiki-drafts');
-            const drafts = stored ? JSON.parse(stored) : {};
-            drafts[key || '_new'] = { ...data, savedAt: new Date().toISOString() };
-            localStorage.setItem('xoxowiki-drafts', JSON.stringify(drafts));
-        } catch (e) { console.error('Error saving draft:', e); }
+        const draftKey = key || '_new';
+        this.drafts[draftKey] = { ...data, savedAt: new Date().toISOString() };
+        this._persist('drafts', { put: [{ ...this.drafts[draftKey], key: draftKey }] });
     }
 
     deleteDraft(key) {
-        try {
-            const stored = localStorage.getItem('xoxowiki-drafts');
-            const drafts = stored ? JSON.parse(stored) : {};
-            delete drafts[key || '_new'];
-            localStorage.setItem('xoxowiki-drafts', JSON.stringify(drafts));
-        } catch (e) { console.error('Error deleting draft:', e); }
+        const draftKey = key || '_new';
+        delete this.drafts[draftKey];
+        this._persist('drafts', { remove: [draftKey] });
     }
 
     getAllDrafts() {
-        try {
-            const stored = localStorage.getItem('xoxowiki-drafts');
-            return stored ? JSON.parse(stored) : {};
-        } catch { return {}; }
+        return { ...this.drafts };
     }
 
     // ===== FILE SYSTEM ACCESS =====
@@ -3104,6 +4771,24 @@ class WikiStorage {
     getStorageUsage() {
         let totalSize = 0;
         const usage = {};
+
+        // Records kept in IndexedDB (sizes estimated from the in-memory copies)
+        const stores = {
+            articles: this.articles,
+            history: this.history,
+            comments: this.comments,
+            archive: this.archive,
+            habits: { habits: this.habits, log: this.habitLog },
+            drafts: this.drafts
+        };
+        for (const [name, data] of Object.entries(stores)) {
+            const size = new Blob([JSON.stringify(data || {})]).size;
+            totalSize += size;
+            usage[`${WikiStorage.DB_NAME}/${name}`] = {
+                size: size,
+                sizeMB: (size / (1024 * 1024)).toFixed(2)
+            };
+        }
         
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
@@ -3127,14 +4812,12 @@ class WikiStorage {
     
     getArchiveSize() {
         try {
-            const stored = localStorage.getItem('xoxowiki-archive');
-            if (!stored) return { size: 0, sizeMB: '0.00', itemCount: 0 };
-            const size = new Blob([stored]).size;
-            const archive = JSON.parse(stored);
+            if (this.archive.length === 0) return { size: 0, sizeMB: '0.00', itemCount: 0 };
+            const size = new Blob([JSON.stringify(this.archive)]).size;
             return {
                 size: size,
                 sizeMB: (size / (1024 * 1024)).toFixed(2),
-                itemCount: archive.length
+                itemCount: this.archive.length
             };
         } catch {
             return { size: 0, sizeMB: '0.00', itemCount: 0 };
@@ -3147,20 +4830,28 @@ class WikiStorage {
             // Don't delete everything, keep at least 5 items
             const keepCount = Math.max(5, archive.length - count);
             const toKeep = archive.slice(0, keepCount);
-            localStorage.setItem('xoxowiki-archive', JSON.stringify(toKeep));
+            this._setArchive(toKeep);
             return archive.length - toKeep.length;
         }
         const toKeep = archive.slice(0, archive.length - count);
-        localStorage.setItem('xoxowiki-archive', JSON.stringify(toKeep));
+        this._setArchive(toKeep);
         return count;
     }
 
     // ===== ARCHIVE (Images) =====
     getArchive() {
-        try {
-            const stored = localStorage.getItem('xoxowiki-archive');
-            return stored ? JSON.parse(stored) : [];
-        } catch { return []; }
+        // Hand out a copy so callers can mutate items before passing the list to _setArchive
+        return JSON.parse(JSON.stringify(this.archive));
+    }
+
+    /** Replace the archive list, writing only the items that were added, changed or removed. */
+    _setArchive(archive) {
+        const previous = new Map(this.archive.map(a => [a.id, JSON.stringify(a)]));
+        this.archive = JSON.parse(JSON.stringify(archive));
+        const ids = new Set(this.archive.map(a => a.id));
+        const put = this.archive.filter(a => previous.get(a.id) !== JSON.stringify(a));
+        const remove = [...previous.keys()].filter(id => !ids.has(id));
+        this._persist('archive', { put, remove });
     }
 
     async saveArchiveItem(item) {
@@ -3225,9 +4916,10 @@ class WikiStorage {
 
                 const archive = this.getArchive();
                 archive.unshift(metadata);
-                localStorage.setItem('xoxowiki-archive', JSON.stringify(archive));
+                this._setArchive(archive);
                 if (this.blueskyClient?.accessJwt) {
-                    try { await this._createArtboardItemOnPDS(metadata); } catch (e) { console.warn('Artboard lexicon create failed:', e); }
+                    this.enqueueSync({ kind: 'artboardItem', action: 'create', key: metadata.id, payload: metadata });
+                    await this.flushOutbox();
                 }
                 await this.syncArchiveToBlueskyIfConnected();
                 return item;
@@ -3271,9 +4963,10 @@ class WikiStorage {
                     const pt = item.postText ?? item.textSnippet;
                     if (pt) metadata.postText = pt;
                     archive.unshift(metadata);
-                    localStorage.setItem('xoxowiki-archive', JSON.stringify(archive));
+                    this._setArchive(archive);
                     if (this.blueskyClient?.accessJwt) {
-                        try { await this._createArtboardItemOnPDS(metadata); } catch (e) { console.warn('Artboard lexicon create failed:', e); }
+                        this.enqueueSync({ kind: 'artboardItem', action: 'create', key: metadata.id, payload: metadata });
+                        await this.flushOutbox();
                     }
                     await this.syncArchiveToBlueskyIfConnected();
                     return item;
@@ -3327,9 +5020,10 @@ class WikiStorage {
             const pt = item.postText ?? item.textSnippet;
             if (pt) metadata.postText = pt;
             archive.unshift(metadata);
-            localStorage.setItem('xoxowiki-archive', JSON.stringify(archive));
+            this._setArchive(archive);
             if (this.blueskyClient?.accessJwt) {
-                try { await this._createArtboardItemOnPDS(metadata); } catch (e) { console.warn('Artboard lexicon create failed:', e); }
+                this.enqueueSync({ kind: 'artboardItem', action: 'create', key: metadata.id, payload: metadata });
+                await this.flushOutbox();
             }
             return item;
         } catch (error) {
@@ -3417,24 +5111,19 @@ class WikiStorage {
     }
 
     async deleteArchiveItem(id) {
-        // Delete from PDS lexicon first (this is the source of truth)
+        // Queue the PDS lexicon delete; it is replayed until the record is gone
         if (this.blueskyClient?.accessJwt) {
-            try {
-                await this._deleteArtboardItemOnPDS(id);
-            } catch (e) {
-                console.error('Failed to delete from PDS:', e);
-                throw e; // Re-throw so caller knows deletion failed
-            }
+            this.enqueueSync({ kind: 'artboardItem', action: 'delete', key: id });
         }
-        // Then remove from local storage
         const archive = this.getArchive();
         const item = archive.find(a => a.id === id);
         if (item && item.filename) {
             await this.deleteFileFromDisk(item.filename);
         }
         const filtered = archive.filter(a => a.id !== id);
-        localStorage.setItem('xoxowiki-archive', JSON.stringify(filtered));
-        // Don't call syncArchiveToBlueskyIfConnected() here - we've already deleted from PDS lexicon
+        this._setArchive(filtered);
+        await this.flushOutbox();
+        // Don't call syncArchiveToBlueskyIfConnected() here - the lexicon delete is queued above
         // Calling sync would re-upload the legacy format which could re-add deleted items
     }
 
@@ -3443,9 +5132,10 @@ class WikiStorage {
         const idx = archive.findIndex(a => a.id === id);
         if (idx !== -1) {
             archive[idx] = { ...archive[idx], ...updates };
-            localStorage.setItem('xoxowiki-archive', JSON.stringify(archive));
+            this._setArchive(archive);
             if (this.blueskyClient?.accessJwt) {
-                this._putArtboardItemOnPDS(archive[idx]).catch(e => console.warn('Artboard lexicon update failed:', e));
+                this.enqueueSync({ kind: 'artboardItem', action: 'put', key: id, payload: archive[idx] });
+                this.flushOutbox();
             }
             this.syncArchiveToBlueskyIfConnected().catch(() => {});
         }
@@ -3474,30 +5164,18 @@ class WikiStorage {
         albums.push(album);
         localStorage.setItem('xoxowiki-albums', JSON.stringify(albums));
         if (this.blueskyClient?.accessJwt) {
-            this._createArtboardAlbumOnPDS(album).catch(e => console.warn('Artboard album lexicon create failed:', e));
+            this.enqueueSync({ kind: 'album', action: 'create', key: album.id, payload: album });
+            this.flushOutbox();
         }
         this.syncArchiveToBlueskyIfConnected().catch(() => {});
         return album;
     }
 
     async deleteAlbum(id) {
-        // Delete from PDS first (source of truth) - this ensures it's actually deleted
+        // Queue the PDS delete (replayed until the record is gone), then delete locally
         if (this.blueskyClient?.accessJwt) {
-            try {
-                await this._deleteArtboardAlbumOnPDS(id);
-            } catch (e) {
-                // Only treat as "already gone" if error clearly says record not found
-                const msg = (e && e.message) || '';
-                const isRecordNotFound = /RecordNotFound|record not found|404/i.test(msg) && !/still exists|accepted but/i.test(msg);
-                if (!isRecordNotFound) {
-                    // PDS deletion failed - throw error so caller knows
-                    console.error('Failed to delete album from PDS:', id, e);
-                    throw e;
-                }
-                // Record not found means it's already deleted, continue
-            }
+            this.enqueueSync({ kind: 'album', action: 'delete', key: id });
         }
-        // Only delete locally if PDS deletion succeeded (or not using PDS)
         const albums = this.getAlbums().filter(a => a.id !== id);
         localStorage.setItem('xoxowiki-albums', JSON.stringify(albums));
         const archive = this.getArchive().map(a => {
@@ -3505,7 +5183,8 @@ class WikiStorage {
             if (a.albumIds && Array.isArray(a.albumIds)) a.albumIds = a.albumIds.filter(albumId => albumId !== id);
             return a;
         });
-        localStorage.setItem('xoxowiki-archive', JSON.stringify(archive));
+        this._setArchive(archive);
+        await this.flushOutbox();
         await this.syncArchiveToBlueskyIfConnected();
     }
 
@@ -3571,8 +5250,18 @@ class WikiStorage {
         try {
             const stored = localStorage.getItem('xoxowiki-meta');
             const meta = stored ? JSON.parse(stored) : {};
-            return meta[key] || { isPublic: true, source: '', remixedFrom: null };
-        } catch { return { isPublic: true, source: '', remixedFrom: null }; }
+            // Fields added after an article's meta was saved fall back to their defaults
+            return { ...WikiStorage.DEFAULT_ARTICLE_META, ...meta[key] };
+        } catch { return { ...WikiStorage.DEFAULT_ARTICLE_META }; }
+    }
+
+    /** Meta of every article that has any: { key: meta } */
+    getAllArticleMeta() {
+        try {
+            const stored = localStorage.getItem('xoxowiki-meta');
+            const meta = stored ? JSON.parse(stored) : {};
+            return Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, { ...WikiStorage.DEFAULT_ARTICLE_META, ...value }]));
+        } catch { return {}; }
     }
 
     saveArticleMeta(key, data) {
@@ -3583,14 +5272,4 @@ class WikiStorage {
             localStorage.setItem('xoxowiki-meta', JSON.stringify(meta));
         } catch (e) { console.error('Error saving meta:', e); }
     }
-
-    getBacklinks(key) {
-        const backlinks = [];
-        for (const [k, article] of Object.entries(this.articles)) {
-            if (k !== key && article.content && article.content.includes(`[[${key}]]`)) {
-                backlinks.push({ key: k, title: article.title });
-            }
-        }
-        return backlinks;
-    }
 }
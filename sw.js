@@ -1,5 +1,5 @@
 // XoxoWiki Service Worker - PWA Offline Support
-const CACHE_NAME = 'xoxowiki-v1';
+const CACHE_NAME = 'xoxowiki-v2';
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
@@ -7,6 +7,17 @@ const ASSETS_TO_CACHE = [
     './storage.js',
     './style.css',
     './manifest.json',
+    // Lexicons the storage layer validates records against before writing them
+    './lexicons/app/wikisky/artboard.json',
+    './lexicons/app/wikisky/artboardAlbum.json',
+    './lexicons/app/wikisky/revision.json',
+    './lexicons/app/wikisky/comment.json',
+    './lexicons/app/wikisky/bookmarks.json',
+    './lexicons/app/wikisky/habits.json',
+    './lexicons/app/wikisky/habitLog.json',
+    './lexicons/app/wikisky/webcomicPages.json',
+    './lexicons/app/wikisky/webcomicProgress.json',
+    './lexicons/app/wikisky/proposal.json',
     'https://cdn.quilljs.com/1.3.6/quill.snow.css',
     'https://cdn.quilljs.com/1.3.6/quill.js',
     'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
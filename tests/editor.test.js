@@ -0,0 +1,56 @@
+// Editor conversion: markup -> Quill HTML -> markup must give back the markup as written, so
+// opening and saving an article in the rich editor leaves nothing behind in its history.
+
+const EDITOR_ROUND_TRIPS = [
+    ['heading and paragraph', '# Title\n\nSome text.'],
+    ['asterisk emphasis', '*it* **bo** and ++under++'],
+    ['back-to-back emphasis', '**bold**_italic_'],
+    ['quote emphasis', "''it'' '''bo'''"],
+    ['apostrophes inside quote emphasis', "''don't'' and '''it's'''"],
+    ['quote emphasis inside a word', "x''it''y"],
+    ['bullet list', '- a\n- b'],
+    ['nested list', '1. a\n   1. x\n   2. y\n2. b'],
+    ['mixed list types', '- a\n  1. x\n- b'],
+    ['ordered list not starting at 1', '3. c\n4. d'],
+    ['loose ordered list', '7. a\n\n8. b'],
+    ['lists around a paragraph', '10. ten\n11. eleven\n\npara\n\n1. one'],
+    ['wiki links', '[[Page]] and [[Page|label]]'],
+    ['external link and image', '[text](https://example.com) ![alt](https://example.com/a.png)'],
+    ['quote', '> quoted'],
+    ['code block', '```\nlet x = 1;\n```'],
+    ['inline code', 'Use `code` here'],
+    ['escaped markup characters', '\\*not\\* \\[\\[a link\\]\\]\n\n\\# not a heading']
+];
+
+EDITOR_ROUND_TRIPS.forEach(([name, markup]) => {
+    test(`editor round trip: ${name}`, () => {
+        const app = createTestApp();
+        const html = app.convertToHTML(markup);
+        assertEqual(app.convertFromHTML(html, app.markupDialect(markup)), markup);
+    });
+});
+
+test('editor reads Quill list indents as nested lists', () => {
+    const app = createTestApp();
+    const html = '<ul><li>a</li><li class="ql-indent-1">b</li></ul><p><br></p><p>after</p>';
+    assertEqual(app.convertFromHTML(html), '- a\n  - b\n\nafter');
+});
+
+test('editor keeps the start number of an ordered list', () => {
+    const app = createTestApp();
+    assertTrue(app.convertToHTML('3. c\n4. d').includes('<li value="3">'), 'first item carries its number');
+    assertEqual(app.convertFromHTML('<ol><li value="5">e</li><li>f</li></ol>'), '5. e\n6. f');
+});
+
+test('markupDialect follows the emphasis the article uses most', () => {
+    const app = createTestApp();
+    assertEqual(app.markupDialect("''a'' '''b''' *c*"), 'quotes');
+    assertEqual(app.markupDialect("*a* **b** ''c''"), 'asterisks');
+    assertEqual(app.markupDialect('plain text'), 'asterisks');
+});
+
+test('new emphasis is written in the article dialect', () => {
+    const app = createTestApp();
+    assertEqual(app.convertFromHTML('<p><em>a</em> <strong>b</strong></p>', 'quotes'), "''a'' '''b'''");
+    assertEqual(app.convertFromHTML('<p><em>a</em> <strong>b</strong></p>'), '*a* **b**');
+});
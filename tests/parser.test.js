@@ -0,0 +1,339 @@
+// Parser fixtures: each markup source with the AST parseMarkup() gives and the HTML renderMarkup()
+// makes of it. A change to the grammar shows up here as a fixture to update on purpose.
+
+const PARSER_FIXTURES = [
+    {
+        name: 'heading and emphasis',
+        markup: "# Title\n\nSome ''italic'' and '''bold''' text.",
+        html: '<h1>Title</h1><p>Some <em>italic</em> and <strong>bold</strong> text.</p>',
+        ast: {
+            type: 'document',
+            children: [
+                { type: 'heading', level: 1, children: [{ type: 'text', value: 'Title' }], lines: [0, 1] },
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'text', value: 'Some ' },
+                        { type: 'em', delimiter: "'", children: [{ type: 'text', value: 'italic' }] },
+                        { type: 'text', value: ' and ' },
+                        { type: 'strong', delimiter: "'", children: [{ type: 'text', value: 'bold' }] },
+                        { type: 'text', value: ' text.' }
+                    ],
+                    lines: [2, 3]
+                }
+            ]
+        }
+    },
+    {
+        name: 'asterisk and underscore runs',
+        markup: '*a* **b** _c_ __d__',
+        html: '<p><em>a</em> <strong>b</strong> <em>c</em> <strong>d</strong></p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'em', delimiter: '*', children: [{ type: 'text', value: 'a' }] },
+                        { type: 'text', value: ' ' },
+                        { type: 'strong', delimiter: '*', children: [{ type: 'text', value: 'b' }] },
+                        { type: 'text', value: ' ' },
+                        { type: 'em', delimiter: '_', children: [{ type: 'text', value: 'c' }] },
+                        { type: 'text', value: ' ' },
+                        { type: 'strong', delimiter: '_', children: [{ type: 'text', value: 'd' }] }
+                    ],
+                    lines: [0, 1]
+                }
+            ]
+        }
+    },
+    {
+        name: 'underline',
+        markup: '++u++',
+        html: '<p><u>u</u></p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [{ type: 'underline', delimiter: '+', children: [{ type: 'text', value: 'u' }] }],
+                    lines: [0, 1]
+                }
+            ]
+        }
+    },
+    {
+        name: 'wiki links',
+        markup: '[[Page]], [[Other Page|label]] and [[Page#History]]',
+        html: '<p><a href="#page" data-route="page">Page</a>, <a href="#other-page" data-route="other-page">label</a> and <a href="#page#history" data-route="page#history">Page#History</a></p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'wikilink', target: 'Page', children: [{ type: 'text', value: 'Page' }] },
+                        { type: 'text', value: ', ' },
+                        { type: 'wikilink', target: 'Other Page', children: [{ type: 'text', value: 'label' }] },
+                        { type: 'text', value: ' and ' },
+                        { type: 'wikilink', target: 'Page#History', children: [{ type: 'text', value: 'Page#History' }] }
+                    ],
+                    lines: [0, 1]
+                }
+            ]
+        }
+    },
+    {
+        name: 'nested bullet list',
+        markup: '- one\n- two\n  - nested',
+        html: '<ul><li>one</li><li>two<ul><li>nested</li></ul></li></ul>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'list',
+                    ordered: false,
+                    start: null,
+                    tight: true,
+                    items: [
+                        {
+                            type: 'list_item',
+                            children: [{ type: 'paragraph', children: [{ type: 'text', value: 'one' }], lines: [0, 1] }]
+                        },
+                        {
+                            type: 'list_item',
+                            children: [
+                                { type: 'paragraph', children: [{ type: 'text', value: 'two' }], lines: [0, 1] },
+                                {
+                                    type: 'list',
+                                    ordered: false,
+                                    start: null,
+                                    tight: true,
+                                    items: [
+                                        {
+                                            type: 'list_item',
+                                            children: [{ type: 'paragraph', children: [{ type: 'text', value: 'nested' }], lines: [0, 1] }]
+                                        }
+                                    ],
+                                    lines: [1, 2]
+                                }
+                            ]
+                        }
+                    ],
+                    lines: [0, 3]
+                }
+            ]
+        }
+    },
+    {
+        name: 'ordered list starting at 3',
+        markup: '3. three\n4. four',
+        html: '<ol start="3"><li>three</li><li>four</li></ol>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'list',
+                    ordered: true,
+                    start: 3,
+                    tight: true,
+                    items: [
+                        {
+                            type: 'list_item',
+                            children: [{ type: 'paragraph', children: [{ type: 'text', value: 'three' }], lines: [0, 1] }]
+                        },
+                        {
+                            type: 'list_item',
+                            children: [{ type: 'paragraph', children: [{ type: 'text', value: 'four' }], lines: [0, 1] }]
+                        }
+                    ],
+                    lines: [0, 2]
+                }
+            ]
+        }
+    },
+    {
+        name: 'blockquote',
+        markup: '> quote\n> more',
+        html: '<blockquote><p>quote<br>more</p></blockquote>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'blockquote',
+                    children: [
+                        {
+                            type: 'paragraph',
+                            children: [{ type: 'text', value: 'quote' }, { type: 'softbreak' }, { type: 'text', value: 'more' }],
+                            lines: [0, 2]
+                        }
+                    ],
+                    lines: [0, 2]
+                }
+            ]
+        }
+    },
+    {
+        name: 'fenced code',
+        markup: '```js\nlet x = 1 < 2;\n```',
+        html: '<pre><code class="language-js">let x = 1 &lt; 2;</code></pre>',
+        ast: {
+            type: 'document',
+            children: [{ type: 'code_block', lang: 'js', text: 'let x = 1 < 2;', lines: [0, 3] }]
+        }
+    },
+    {
+        name: 'inline code',
+        markup: 'Inline `code` here',
+        html: '<p>Inline <code>code</code> here</p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'text', value: 'Inline ' },
+                        { type: 'code', value: 'code' },
+                        { type: 'text', value: ' here' }
+                    ],
+                    lines: [0, 1]
+                }
+            ]
+        }
+    },
+    {
+        name: 'link and image',
+        markup: '[link](https://example.com "T") ![alt](https://example.com/a.png)',
+        html: '<p><a href="https://example.com" title="T" target="_blank" rel="noopener">link</a> <img src="https://example.com/a.png" alt="alt"></p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        {
+                            type: 'link',
+                            href: 'https://example.com',
+                            title: 'T',
+                            children: [{ type: 'text', value: 'link' }]
+                        },
+                        { type: 'text', value: ' ' },
+                        { type: 'image', src: 'https://example.com/a.png', title: null, alt: 'alt' }
+                    ],
+                    lines: [0, 1]
+                }
+            ]
+        }
+    },
+    {
+        name: 'line breaks',
+        markup: 'line one\nline two',
+        html: '<p>line one<br>line two</p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'text', value: 'line one' },
+                        { type: 'softbreak' },
+                        { type: 'text', value: 'line two' }
+                    ],
+                    lines: [0, 2]
+                }
+            ]
+        }
+    },
+    {
+        name: 'thematic break',
+        markup: '---',
+        html: '<hr>',
+        ast: { type: 'document', children: [{ type: 'thematic_break', lines: [0, 1] }] }
+    },
+    {
+        name: 'raw HTML is text',
+        markup: '<b>raw</b> & stuff',
+        html: '<p>&lt;b&gt;raw&lt;/b&gt; &amp; stuff</p>',
+        ast: {
+            type: 'document',
+            children: [
+                { type: 'paragraph', children: [{ type: 'text', value: '<b>raw</b> & stuff' }], lines: [0, 1] }
+            ]
+        }
+    },
+    {
+        name: 'backslash escapes',
+        markup: '\\*not emphasis\\*',
+        html: '<p>*not emphasis*</p>',
+        ast: {
+            type: 'document',
+            children: [
+                { type: 'paragraph', children: [{ type: 'text', value: '*not emphasis*' }], lines: [0, 1] }
+            ]
+        }
+    },
+    {
+        name: 'snake_case stays text',
+        markup: 'snake_case_name',
+        html: '<p>snake_case_name</p>',
+        ast: {
+            type: 'document',
+            children: [
+                { type: 'paragraph', children: [{ type: 'text', value: 'snake_case_name' }], lines: [0, 1] }
+            ]
+        }
+    },
+    {
+        // Each opener used to rescan the rest of the line for its closer
+        name: 'many unmatched link openers',
+        markup: '[[Target]] [label](url) ' + '[[ ['.repeat(10000),
+        html: '<p><a href="#target" data-route="target">Target</a> <a href="url" target="_blank" rel="noopener">label</a> ' + '[[ ['.repeat(10000) + '</p>',
+        ast: {
+            type: 'document',
+            children: [
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'wikilink', target: 'Target', children: [{ type: 'text', value: 'Target' }] },
+                        { type: 'text', value: ' ' },
+                        { type: 'link', href: 'url', title: null, children: [{ type: 'text', value: 'label' }] },
+                        { type: 'text', value: ' ' + '[[ ['.repeat(10000) }
+                    ],
+                    lines: [0, 1]
+                }
+            ]
+        }
+    },
+    {
+        name: 'heading with closing hashes and long runs of spaces',
+        markup: `# Title ${' '.repeat(10000)}x ##   `,
+        html: `<h1>Title ${' '.repeat(10000)}x</h1>`,
+        ast: {
+            type: 'document',
+            children: [
+                { type: 'heading', level: 1, children: [{ type: 'text', value: `Title ${' '.repeat(10000)}x` }], lines: [0, 1] }
+            ]
+        }
+    }
+];
+
+PARSER_FIXTURES.forEach(fixture => {
+    test(`parser: ${fixture.name}`, () => {
+        const app = createTestApp();
+        const ast = app.parseMarkup(fixture.markup);
+        assertEqual(ast, fixture.ast, 'AST');
+        assertEqual(app.renderMarkup(ast), fixture.html, 'HTML');
+    });
+});
+
+test('parser: lists nested past MARKUP_MAX_NESTING are read as text', () => {
+    const app = createTestApp();
+    let node = app.parseMarkup('- '.repeat(WikiApp.MARKUP_MAX_NESTING + 1) + 'x').children[0];
+    let depth = 0;
+    while (node.type === 'list') {
+        node = node.items[0].children[0];
+        depth++;
+    }
+    assertEqual(depth, WikiApp.MARKUP_MAX_NESTING);
+    assertEqual(node.children, [{ type: 'text', value: '- x' }]);
+});
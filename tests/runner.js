@@ -0,0 +1,62 @@
+// XoxoWiki test runner: a few helpers for the browser test page (tests/index.html).
+// Test files call test() to register cases; runTests() runs them in order and lists the results.
+const registeredTests = [];
+
+/** Register a test case; fn may be async */
+function test(name, fn) {
+    registeredTests.push({ name, fn });
+}
+
+/** Throw unless actual and expected are deeply equal (compared as JSON) */
+function assertEqual(actual, expected, message = '') {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson) {
+        throw new Error(`${message ? `${message}: ` : ''}expected ${expectedJson}, got ${actualJson}`);
+    }
+}
+
+/** Throw unless value is truthy */
+function assertTrue(value, message = 'expected a true value') {
+    if (!value) throw new Error(message);
+}
+
+/**
+ * A WikiApp with the given articles that never runs init(), so tests don't touch storage,
+ * the network or the page. Fields the constructor would set are filled in as it does.
+ */
+function createTestApp(articles = {}) {
+    const app = Object.create(WikiApp.prototype);
+    app.storage = new WikiStorage();
+    app.articles = articles;
+    app.currentArticleKey = null;
+    app.searchSelectedIndex = -1;
+    app.searchResults = [];
+    return app;
+}
+
+/** Run every registered test and write one line per test to #results; resolves to { passed, failed } */
+async function runTests() {
+    const results = document.getElementById('results');
+    let passed = 0;
+    let failed = 0;
+    for (const { name, fn } of registeredTests) {
+        const line = document.createElement('li');
+        try {
+            await fn();
+            passed++;
+            line.className = 'pass';
+            line.textContent = `✓ ${name}`;
+        } catch (error) {
+            failed++;
+            line.className = 'fail';
+            line.textContent = `✗ ${name}: ${error.message}`;
+            console.error(name, error);
+        }
+        if (results) results.appendChild(line);
+    }
+    const summary = document.getElementById('summary');
+    if (summary) summary.textContent = `${passed} passed, ${failed} failed`;
+    document.title = `${failed ? '✗' : '✓'} ${passed}/${passed + failed} - XoxoWiki tests`;
+    return { passed, failed };
+}
@@ -0,0 +1,169 @@
+// XSS regression suite: known payloads go through the renderer and into every page template that
+// shows keys, titles or names taken from article text or the URL. Nothing in the output may run
+// script: no <script>, no handler attribute that a payload wrote, no javascript: URL.
+
+const XSS_PAYLOADS = [
+    '<script>xssProbe()</script>',
+    '<img src=x onerror=xssProbe()>',
+    '"><img src=x onerror=xssProbe()>',
+    'x" onmouseover="xssProbe()',
+    'x"onmouseover="xssProbe()',
+    "x' onmouseover='xssProbe()",
+    'q"autofocus onfocus="xssProbe()',
+    "x');xssProbe();('",
+    'javascript:xssProbe()',
+    '<svg onload=xssProbe()>'
+];
+
+// Pages render into the live document, where a payload that got through would call this
+let xssProbeCalls = 0;
+window.xssProbe = () => { xssProbeCalls++; };
+
+/** What in root could run a payload, as short descriptions; empty when it is safe */
+function xssFindings(root) {
+    const findings = [];
+    root.querySelectorAll('*').forEach(element => {
+        const tag = element.localName;
+        if (tag === 'script') findings.push('<script> element');
+        Array.from(element.attributes).forEach(({ name, value }) => {
+            // Keys are lowercased, so the probe's name is matched in any case
+            if (/^on/i.test(name) && /xssprobe/i.test(value)) findings.push(`<${tag} ${name}="${value}">`);
+            if (['href', 'src', 'action', 'formaction'].includes(name) && /^\s*javascript:/i.test(value)) findings.push(`<${tag} ${name}="${value}">`);
+        });
+    });
+    return findings;
+}
+
+/** Findings in html, each prefixed with context; html is parsed without running or loading anything */
+function xssProblems(html, context) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return xssFindings(template.content).map(finding => `${context}: ${finding}`);
+}
+
+/** A test app whose wiki holds the payload as article keys, titles, links, categories and aliases */
+function createPayloadApp(payload) {
+    const articles = {
+        home: {
+            title: 'Home',
+            content: `Links: [[${payload}]], [[${payload}|label]], [[Target|${payload}]], [${payload}](${payload}), ![${payload}](${payload})\n\n[[Category:${payload}]]`
+        },
+        target: { title: 'Target', content: `Back to [[Home]].\n\n[[Category:${payload}]]` },
+        [payload]: { title: payload, content: `${payload} links to [[Target]] and [[Home]].` }
+    };
+    const app = createTestApp(articles);
+    app.storage.articles = articles;
+    return app;
+}
+
+/** Render a page into a detached #article-container and return its HTML */
+async function renderPage(app, show) {
+    const container = document.createElement('div');
+    container.id = 'article-container';
+    document.body.appendChild(container);
+    try {
+        await show();
+        return container.innerHTML;
+    } finally {
+        if (app.graphPageView) app.graphPageView.stop();
+        container.remove();
+    }
+}
+
+XSS_PAYLOADS.forEach(payload => {
+    test(`xss renderer: ${payload}`, () => {
+        const app = createTestApp({ target: { title: 'Target', content: 'Text' } });
+        const problems = [
+            ...xssProblems(app.parseContent(payload), 'plain text'),
+            ...xssProblems(app.parseContent(`[[${payload}]] [[${payload}|label]] [[Target|${payload}]]`), 'wiki links'),
+            ...xssProblems(app.parseContent(`[${payload}](${payload}) ![${payload}](${payload})`), 'links and images'),
+            ...xssProblems(app.parseContent(`\`${payload}\`\n\n> ${payload}\n\n- ${payload}`), 'code, quote and list'),
+            ...xssProblems(app.parseContent(`\`\`\`${payload}\ncode\n\`\`\``), 'code block language'),
+            ...xssProblems(app.parseContent(`[[Category:${payload}]] {{${payload}}} {{Target|${payload}}}`), 'categories and template calls'),
+            ...xssProblems(app.parseContent(`## ${payload}\n\nText`), 'heading')
+        ];
+        assertEqual(problems, []);
+    });
+
+    test(`xss section links: ${payload}`, () => {
+        const app = createTestApp();
+        app.currentArticleKey = payload;
+        const html = app.parseContent('## Section\n\nText');
+        assertEqual(xssProblems(html, 'section links of a payload key'), []);
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const links = Array.from(template.content.querySelectorAll('[data-article-action]'));
+        assertEqual(links.map(link => [link.dataset.articleAction, link.dataset.articleKey, link.dataset.sectionId]), [
+            ['copy-link', payload, 'section'],
+            ['edit-section', payload, 'section']
+        ]);
+    });
+
+    test(`xss sanitizer: ${payload}`, () => {
+        const app = createTestApp();
+        assertEqual(xssProblems(app.sanitizeHtml(payload), 'raw HTML'), []);
+        assertEqual(xssProblems(app.sanitizeHtml(`<a href="${payload}">a</a><img src="${payload}">`), 'URLs'), []);
+    });
+
+    test(`xss page templates: ${payload}`, async () => {
+        const app = createPayloadApp(payload);
+        const problems = [
+            ...xssProblems(app.renderCategoryBar('home'), 'category bar'),
+            ...xssProblems(app.renderBacklinks('target'), 'backlinks'),
+            ...xssProblems(app.renderBacklinks(payload), 'backlinks of a payload key'),
+            ...xssProblems(app.renderRedirectNote({ from: payload }), 'redirect note'),
+            ...xssProblems(await app.renderAnnotatedContent(payload, app.articles[payload].content), 'annotated article'),
+            ...xssProblems(await renderPage(app, () => app.showCategoryPage(payload)), 'category page from the URL'),
+            ...xssProblems(await renderPage(app, () => app.showCategoryPage(app.categoryKey(payload))), 'category page from a tag'),
+            ...xssProblems(await renderPage(app, () => app.showCategoryList()), 'category list'),
+            ...xssProblems(await renderPage(app, () => app.showSearchPage(payload)), 'search page'),
+            ...xssProblems(await renderPage(app, () => app.showSearchPage('links')), 'search results'),
+            ...xssProblems(await renderPage(app, () => app.showGraphPage(payload)), 'graph page')
+        ];
+        for (const name of ['wanted', 'orphans', 'deadends']) {
+            problems.push(...xssProblems(await renderPage(app, () => app.showSpecialPage(name)), `special:${name}`));
+        }
+        assertEqual(problems, []);
+        assertEqual(xssProbeCalls, 0, 'payload calls');
+    });
+
+    test(`xss article page: ${payload}`, async () => {
+        const app = createPayloadApp(payload);
+        app.articles[payload].content += '\n\n## Section\n\nMore text.';
+        const problems = [
+            ...xssProblems(await renderPage(app, () => app.showArticle(payload)), 'article page'),
+            ...xssProblems(await renderPage(app, () => app.showArticle(`${payload}-missing`)), 'missing article page')
+        ];
+        app.annotateMode = true;
+        const annotated = await renderPage(app, () => app.showArticle(payload));
+        problems.push(...xssProblems(annotated, 'annotated article page'));
+        assertEqual(problems, []);
+        assertEqual(xssProbeCalls, 0, 'payload calls');
+
+        // Every header, section and action control names the article as it is
+        const template = document.createElement('template');
+        template.innerHTML = annotated;
+        const controls = Array.from(template.content.querySelectorAll('[data-article-action]'));
+        assertEqual(controls.map(control => control.dataset.articleAction), [
+            'copy-link', 'bookmark', 'remix', 'history', 'move', 'annotate', 'edit',
+            'show-revision', 'show-revision', 'copy-link', 'edit-section', 'show-revision', 'comment'
+        ]);
+        assertTrue(controls.every(control => control.dataset.articleKey === payload), 'controls carry the key');
+    });
+
+    test(`xss search dropdown: ${payload}`, () => {
+        const app = createPayloadApp(payload);
+        const dropdown = document.createElement('div');
+        dropdown.id = 'search-results';
+        document.body.appendChild(dropdown);
+        try {
+            app.handleSearch(payload);
+            const problems = xssProblems(dropdown.innerHTML, 'create option');
+            app.handleSearch('links');
+            problems.push(...xssProblems(dropdown.innerHTML, 'results'));
+            assertEqual(problems, []);
+        } finally {
+            dropdown.remove();
+        }
+    });
+});